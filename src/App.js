@@ -1,247 +1,209 @@
 import React, { useState, useEffect, useCallback, useMemo } from 'react';
-import { Calculator, Download, FileText, BarChart3, Server, Database, Settings, TrendingUp, Cloud, Info } from 'lucide-react';
-
-// Constants
-const ENVIRONMENTS = ['dev', 'tst', 'pre', 'prd'];
-const ENVIRONMENT_LABELS = {
-  dev: 'Development',
-  tst: 'Testing', 
-  pre: 'Staging',
-  prd: 'Production'
-};
-
-const BUSINESS_DOMAINS = {
-  cust: {
-    name: 'Customer',
-    subdomains: ['marketing', 'customer_engagement_and_personalisation', 'customer_management', 'sales', 'loyalty']
-  },
-  comm: {
-    name: 'Commercial',
-    subdomains: ['trading_and_revenue_management', 'network_and_scheduling', 'commercial_partnerships', 'passenger_reservation_and_management', 'product_and_offer_management']
-  },
-  corp: {
-    name: 'Corporate',
-    subdomains: ['people', 'facilities', 'finance_and_risk', 'legal_and_compliance']
-  },
-  aops: {
-    name: 'Airline Operations',
-    subdomains: ['airport_operations', 'engineering_and_safety', 'scheduling_and_crew_rostering', 'aircraft_and_crew_management', 'flight_operations']
-  },
-  hols: {
-    name: 'easyJet Holidays',
-    subdomains: ['search_compare', 'itinerary', 'scheduling', 'payment', 'availability', 'booking', 'notification', 'support']
-  }
-};
+import { Calculator, Download, FileText, BarChart3, Server, Database, Settings, TrendingUp, Cloud, Tag, GitCompare, Calendar, FileSpreadsheet, AlertTriangle, FolderTree, Layers, Network, Gauge, FileCode, SpellCheck } from 'lucide-react';
+import {
+  DEFAULT_NETWORKING,
+  CAPACITY_DIMENSIONS,
+  COST_LINES,
+  ADD_ON_COST_LINES,
+  BEST_PRACTICES
+} from './constants';
+import { bindingLimitLabel, createDefaultInputs, createDomainInput, planClients, sizeEstate } from './sizing';
+import {
+  DEFAULT_PRICE_BOOK,
+  CONFLUENT_NETWORKING_PRICING,
+  STORAGE_BILLING,
+  loadPriceBooks,
+  savePriceBooks
+} from './pricing';
+import { downloadFile, fileDateStamp, toCsv } from './download';
+import PricingEditor from './components/PricingEditor';
+import TopicInventory from './components/TopicInventory';
+import ScenarioManager from './components/ScenarioManager';
+import GrowthForecast from './components/GrowthForecast';
+import ProjectFiles from './components/ProjectFiles';
+import DomainEditor from './components/DomainEditor';
+import EnvironmentEditor from './components/EnvironmentEditor';
+import TopologyEditor from './components/TopologyEditor';
+import CapacityView from './components/CapacityView';
+import TopicNameLinter from './components/TopicNameLinter';
+import TopicTypeEditor from './components/TopicTypeEditor';
+import TopicCatalogue from './components/TopicCatalogue';
+import PartitionRecommender from './components/PartitionRecommender';
+import WhatIfPanel from './components/WhatIfPanel';
+import { STORAGE_MODES, catalogueTopicCount, createDefaultTopicTypes, storageModeFields, summarizeWorkload, topicStorageMode } from './topics';
+import { createDefaultForecast } from './forecast';
+import { DEFAULT_TARGET_UTILISATION } from './capacity';
+import { createDefaultWhatIf } from './whatIf';
+import { buildReport, buildWorkbook } from './report';
+import { serializeProject } from './projectFile';
+import { buildTerraform } from './terraform';
+import { createDefaultDomains, domainLookup, selectPlannedInputs, renameTopicsForSubdomain } from './domains';
+import { createDefaultEnvironments, environmentLabels } from './environments';
+import { createDefaultTopology, orderClusters, removeEnvironmentClusters } from './topology';
+import {
+  createScenario,
+  duplicateScenario,
+  loadScenarios,
+  saveScenarios,
+  clearRecoveredData
+} from './scenarios';
 
-// Confluent Cloud ECKU pricing tiers (GBP)
-const CONFLUENT_ECKU_PRICING = {
-  basic: {
-    name: 'Basic',
-    ecku: 1,
-    monthlyPrice: 75, // ~£75/month per ECKU
-    throughput: '100 MB/s',
-    maxPartitions: 4000,
-    maxConnections: 100,
-    retention: '30 days'
-  },
-  standard: {
-    name: 'Standard',
-    ecku: 2,
-    monthlyPrice: 150,
-    throughput: '250 MB/s',
-    maxPartitions: 4000,
-    maxConnections: 500,
-    retention: '90 days'
-  },
-  dedicated: {
-    name: 'Dedicated',
-    ecku: 4,
-    monthlyPrice: 300,
-    throughput: '500 MB/s',
-    maxPartitions: 10000,
-    maxConnections: 1000,
-    retention: '365 days'
-  }
-};
+const CLIENT_FIELDS = [
+  { field: 'producerInstances', label: 'Producer Instances', help: 'Application instances writing to this domain' },
+  { field: 'consumerInstances', label: 'Consumer Instances', help: 'Instances across every consumer group' },
+  { field: 'requestsPerSecond', label: 'Peak Requests/s', help: 'Produce, fetch and metadata requests at peak' }
+];
 
-// Storage pricing (per GB/month in GBP)
-const CONFLUENT_STORAGE_PRICING = {
-  basic: 0.08, // £0.08 per GB/month
-  standard: 0.10,
-  dedicated: 0.12
+const TIER_BADGES = {
+  basic: 'bg-green-100 text-green-800',
+  standard: 'bg-blue-100 text-blue-800',
+  enterprise: 'bg-indigo-100 text-indigo-800',
+  dedicated: 'bg-purple-100 text-purple-800',
+  freight: 'bg-amber-100 text-amber-800'
 };
 
 const ConfluentKafkaSizingCalculator = () => {
   const [activeTab, setActiveTab] = useState('inputs');
   const [clusterMode, setClusterMode] = useState('single');
   const [selectedDomain, setSelectedDomain] = useState('cust');
+  const [domains, setDomains] = useState(createDefaultDomains);
+  const [environments, setEnvironments] = useState(createDefaultEnvironments);
+  const [topology, setTopology] = useState(createDefaultTopology);
+  const [topicTypes, setTopicTypes] = useState(createDefaultTopicTypes);
   const [inputs, setInputs] = useState({});
-  const [results, setResults] = useState({});
   const [lastSaved, setLastSaved] = useState(null);
+  const [savedPriceBooks] = useState(loadPriceBooks);
+  const [priceBooks, setPriceBooks] = useState(savedPriceBooks.priceBooks);
+  const [priceBook, setPriceBook] = useState(DEFAULT_PRICE_BOOK);
+  const [networking, setNetworking] = useState(DEFAULT_NETWORKING);
+  const [forecast, setForecast] = useState(createDefaultForecast);
+  const [targetUtilisation, setTargetUtilisation] = useState(DEFAULT_TARGET_UTILISATION);
+  const [scenarios, setScenarios] = useState([]);
+  const [activeScenarioId, setActiveScenarioId] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+  // Problems reading and writing browser storage by what was being stored,
+  // shown with the recovery notice
+  const [storageProblems, setStorageProblems] = useState({ priceBooks: savedPriceBooks.storageError });
+  const [topicNameText, setTopicNameText] = useState('');
+  // Held apart from the scenario so trying a what-if never changes the plan
+  const [whatIf, setWhatIf] = useState(createDefaultWhatIf);
+  const activeScenario = scenarios.find(scenario => scenario.id === activeScenarioId);
 
-  // Initialize default inputs
-  const initializeInputs = useCallback(() => {
-    const defaultInputs = {};
-    Object.keys(BUSINESS_DOMAINS).forEach(domain => {
-      defaultInputs[domain] = {
-        messagesPerSecond: 1000,
-        avgMessageSize: 1024,
-        retentionDays: 7,
-        replicationFactor: 3,
-        partitionsPerTopic: 6,
-        topicsCount: BUSINESS_DOMAINS[domain].subdomains.length * 2, // 2 topics per subdomain
-        peakMultiplier: 2.5,
-        compressionRatio: 0.65,
-        durabilityLevel: 'standard',
-        environments: {
-          dev: { scale: 0.1, enabled: true },
-          tst: { scale: 0.3, enabled: true },
-          pre: { scale: 0.7, enabled: true },
-          prd: { scale: 1.0, enabled: true }
-        }
-      };
-    });
-    return defaultInputs;
+  // Record or clear the storage problem for one kind of saved data
+  const reportStorage = useCallback((source, problem) => {
+    setStorageProblems(prev => (prev[source] === problem ? prev : { ...prev, [source]: problem }));
+  }, []);
+
+  // Open a scenario into the working state
+  const applyScenario = useCallback((scenario) => {
+    setActiveScenarioId(scenario.id);
+    setDomains(scenario.domains);
+    setEnvironments(scenario.environments);
+    setTopology(scenario.topology);
+    setTopicTypes(scenario.topicTypes);
+    setInputs(scenario.inputs);
+    setClusterMode(scenario.clusterMode);
+    setPriceBook(scenario.priceBook);
+    setNetworking(scenario.networking);
+    setForecast(scenario.forecast);
+    setTargetUtilisation(scenario.targetUtilisation);
+    setLastSaved(new Date(scenario.updatedAt));
   }, []);
 
   // Load saved data
   const loadSavedData = useCallback(() => {
-    const storageKey = 'confluent-kafka-sizing-data';
-    let savedData = null;
-    
-    try {
-      // Try to load from localStorage if available
-      if (typeof localStorage !== 'undefined') {
-        const stored = localStorage.getItem(storageKey);
-        if (stored) {
-          savedData = JSON.parse(stored);
-        }
-      }
-    } catch (e) {
-      console.log('localStorage not available, using memory storage');
-    }
-    
-    if (savedData && savedData.inputs) {
-      setInputs(savedData.inputs);
-      setClusterMode(savedData.clusterMode || 'single');
-      setLastSaved(new Date(savedData.timestamp));
+    const saved = loadScenarios();
+    setRecovery(saved.recovery);
+    reportStorage('scenarios', saved.storageError);
+
+    if (saved.scenarios.length > 0) {
+      setScenarios(saved.scenarios);
+      applyScenario(saved.scenarios.find(scenario => scenario.id === saved.activeScenarioId) || saved.scenarios[0]);
     } else {
-      setInputs(initializeInputs());
+      const scenario = createScenario('My plan', { inputs: createDefaultInputs() });
+      setScenarios([scenario]);
+      applyScenario(scenario);
     }
-  }, [initializeInputs]);
+  }, [applyScenario, reportStorage]);
 
-  // Save data
+  // Save data into the open scenario
   const saveData = useCallback(() => {
-    const dataToSave = {
-      inputs,
-      clusterMode,
-      timestamp: new Date().toISOString()
-    };
-    
-    try {
-      if (typeof localStorage !== 'undefined') {
-        localStorage.setItem('confluent-kafka-sizing-data', JSON.stringify(dataToSave));
-        setLastSaved(new Date());
-      }
-    } catch (e) {
-      console.log('Unable to save to localStorage');
-    }
-  }, [inputs, clusterMode]);
+    const updatedAt = new Date().toISOString();
+    setScenarios(prev => prev.map(scenario => (scenario.id === activeScenarioId
+      ? { ...scenario, domains, environments, topology, topicTypes, inputs, clusterMode, networking, priceBookId: priceBook.id, priceBook, forecast, targetUtilisation, updatedAt }
+      : scenario)));
+    setLastSaved(new Date(updatedAt));
+  }, [activeScenarioId, domains, environments, topology, topicTypes, inputs, clusterMode, networking, priceBook, forecast, targetUtilisation]);
 
-  // Calculate ECKU requirements
-  const calculateECKUs = useCallback((throughputMBps, partitions, durabilityLevel) => {
-    let requiredECKUs = 1;
-    let tier = 'basic';
-    
-    // Calculate based on throughput
-    if (throughputMBps > 400 || partitions > 8000) {
-      requiredECKUs = Math.ceil(throughputMBps / 500) * 4;
-      tier = 'dedicated';
-    } else if (throughputMBps > 200 || partitions > 3000) {
-      requiredECKUs = Math.ceil(throughputMBps / 250) * 2;
-      tier = 'standard';
-    } else {
-      requiredECKUs = Math.ceil(throughputMBps / 100);
-      tier = 'basic';
-    }
-    
-    // Adjust for durability requirements
-    if (durabilityLevel === 'dedicated') {
-      tier = 'dedicated';
-      requiredECKUs = Math.max(requiredECKUs, 4);
-    }
-    
-    return { ecku: requiredECKUs, tier };
-  }, []);
+  const openScenario = (id) => {
+    const scenario = scenarios.find(existing => existing.id === id);
+    if (scenario) applyScenario(scenario);
+  };
 
-  // Calculate sizing requirements
-  const calculateSizing = useCallback(() => {
-    const newResults = {};
-
-    Object.keys(inputs).forEach(domain => {
-      const domainInput = inputs[domain];
-      newResults[domain] = {};
-
-      ENVIRONMENTS.forEach(env => {
-        if (!domainInput.environments[env].enabled) return;
-
-        const scale = domainInput.environments[env].scale;
-        const scaledMps = domainInput.messagesPerSecond * scale;
-        const scaledPeakMps = scaledMps * domainInput.peakMultiplier;
-        
-        // Calculate throughput requirements
-        const throughputMBps = (scaledPeakMps * domainInput.avgMessageSize) / (1024 * 1024);
-        const compressedThroughput = throughputMBps * domainInput.compressionRatio;
-        
-        // Calculate storage requirements
-        const dailyDataGB = (scaledMps * domainInput.avgMessageSize * 86400) / (1024 * 1024 * 1024);
-        const compressedDailyDataGB = dailyDataGB * domainInput.compressionRatio;
-        const totalStorageGB = compressedDailyDataGB * domainInput.retentionDays * domainInput.replicationFactor;
-        
-        // Calculate partitions
-        const totalPartitions = domainInput.topicsCount * domainInput.partitionsPerTopic;
-        
-        // Calculate ECKU requirements
-        const eckuCalc = calculateECKUs(compressedThroughput, totalPartitions, domainInput.durabilityLevel);
-        
-        // Get pricing tier
-        const pricingTier = CONFLUENT_ECKU_PRICING[eckuCalc.tier];
-        
-        // Calculate costs
-        const monthlyECKUCost = (eckuCalc.ecku / pricingTier.ecku) * pricingTier.monthlyPrice;
-        const monthlyStorageCost = totalStorageGB * CONFLUENT_STORAGE_PRICING[eckuCalc.tier];
-        const totalMonthlyCost = monthlyECKUCost + monthlyStorageCost;
-        
-        // Calculate annual costs
-        const annualCost = totalMonthlyCost * 12;
-
-        newResults[domain][env] = {
-          throughputMBps: compressedThroughput,
-          rawThroughputMBps: throughputMBps,
-          storageGB: totalStorageGB,
-          rawStorageGB: totalStorageGB / domainInput.compressionRatio,
-          partitions: totalPartitions,
-          topics: domainInput.topicsCount,
-          ecku: eckuCalc.ecku,
-          tier: eckuCalc.tier,
-          tierDetails: pricingTier,
-          costs: {
-            monthly: totalMonthlyCost,
-            annual: annualCost,
-            ecku: monthlyECKUCost,
-            storage: monthlyStorageCost
-          },
-          scalingFactors: {
-            scale,
-            peakMultiplier: domainInput.peakMultiplier,
-            compressionRatio: domainInput.compressionRatio
-          }
-        };
-      });
-    });
+  const addScenario = (name) => {
+    const scenario = createScenario(name, { inputs: createDefaultInputs() });
+    setScenarios(prev => [...prev, scenario]);
+    applyScenario(scenario);
+  };
+
+  const copyScenario = (id) => {
+    const source = scenarios.find(existing => existing.id === id);
+    if (!source) return;
+    const scenario = duplicateScenario(source);
+    setScenarios(prev => [...prev, scenario]);
+    applyScenario(scenario);
+  };
+
+  const downloadRecoveredData = () => {
+    downloadFile(recovery.raw, `confluent-kafka-sizing-recovered-${fileDateStamp()}.json`, 'application/json');
+  };
+
+  const dismissRecoveredData = () => {
+    reportStorage('recovery', clearRecoveredData());
+    setRecovery(null);
+  };
+
+  // Open an uploaded project file as a new scenario
+  const openProject = (data) => {
+    const scenario = createScenario(data.name, data);
+    setScenarios(prev => [...prev, scenario]);
+    applyScenario(scenario);
+  };
+
+  const exportProject = () => {
+    const name = activeScenario?.name || 'Kafka sizing';
+    const fileName = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+    downloadFile(
+      serializeProject({
+        name, domains, environments, topology, topicTypes, inputs, clusterMode, networking, priceBook, forecast, targetUtilisation
+      }),
+      `${fileName}-${fileDateStamp()}.kafka-sizing.json`,
+      'application/json'
+    );
+  };
+
+  const renameScenario = (id, name) => {
+    setScenarios(prev => prev.map(scenario => (scenario.id === id ? { ...scenario, name } : scenario)));
+  };
 
-    setResults(newResults);
-  }, [inputs, calculateECKUs]);
+  const deleteScenario = (id) => {
+    const remaining = scenarios.filter(scenario => scenario.id !== id);
+    if (remaining.length === 0) return;
+    setScenarios(remaining);
+    if (id === activeScenarioId) applyScenario(remaining[0]);
+  };
+
+  // Add or replace a user price book
+  const savePriceBook = (book) => {
+    setPriceBooks(prev => (prev.some(existing => existing.id === book.id)
+      ? prev.map(existing => (existing.id === book.id ? book : existing))
+      : [...prev, book]));
+    if (book.id === priceBook.id) setPriceBook(book);
+  };
+
+  const deletePriceBook = (id) => {
+    setPriceBooks(prev => prev.filter(book => book.id !== id));
+  };
 
   // Update inputs
   const updateInput = (domain, field, value) => {
@@ -254,6 +216,13 @@ const ConfluentKafkaSizingCalculator = () => {
     }));
   };
 
+  const updateStorageMode = (domain, mode) => {
+    setInputs(prev => ({
+      ...prev,
+      [domain]: { ...prev[domain], ...storageModeFields(mode) }
+    }));
+  };
+
   const updateEnvironmentInput = (domain, env, field, value) => {
     setInputs(prev => ({
       ...prev,
@@ -262,6 +231,8 @@ const ConfluentKafkaSizingCalculator = () => {
         environments: {
           ...prev[domain].environments,
           [env]: {
+            scale: environments.find(environment => environment.key === env)?.defaultScale ?? 1,
+            enabled: false,
             ...prev[domain].environments[env],
             [field]: value
           }
@@ -270,52 +241,60 @@ const ConfluentKafkaSizingCalculator = () => {
     }));
   };
 
-  // Calculate totals
-  const totals = useMemo(() => {
-    let totalCost = 0;
-    let totalECKUs = 0;
-    let totalStorage = 0;
-    const domainTotals = {};
-    const environmentTotals = {};
-    
-    Object.keys(results).forEach(domain => {
-      domainTotals[domain] = 0;
-      Object.keys(results[domain]).forEach(env => {
-        const result = results[domain][env];
-        
-        if (clusterMode === 'single') {
-          // For single cluster, take maximum requirements
-          totalECKUs = Math.max(totalECKUs, result.ecku);
-          totalStorage = Math.max(totalStorage, result.storageGB);
-        } else {
-          // For domain clusters, sum all requirements
-          totalECKUs += result.ecku;
-          totalStorage += result.storageGB;
-        }
-        
-        totalCost += result.costs.monthly;
-        domainTotals[domain] += result.costs.monthly;
-        
-        if (!environmentTotals[env]) environmentTotals[env] = 0;
-        environmentTotals[env] += result.costs.monthly;
-      });
-    });
+  // A new domain starts with an empty profile to fill in
+  const addDomain = (nextDomains, code) => {
+    setDomains(nextDomains);
+    setInputs(prev => ({ ...prev, [code]: prev[code] || createDomainInput(0, environments) }));
+  };
 
-    return { 
-      totalCost, 
-      totalECKUs, 
-      totalStorage, 
-      domainTotals, 
-      environmentTotals,
-      annualCost: totalCost * 12
-    };
-  }, [results, clusterMode]);
+  // Renaming a subdomain renames its inventory topics too
+  const renameSubdomain = (nextDomains, code, from, to) => {
+    setDomains(nextDomains);
+    setInputs(prev => (prev[code]
+      ? { ...prev, [code]: { ...prev[code], topics: renameTopicsForSubdomain(prev[code].topics, code, from, to) } }
+      : prev));
+  };
+
+  // A new environment starts enabled in every domain at its default scale
+  const addEnvironment = (nextEnvironments, key) => {
+    const { defaultScale } = nextEnvironments.find(environment => environment.key === key);
+    setEnvironments(nextEnvironments);
+    setNetworking(prev => ({ ...prev, [key]: prev[key] || 'public' }));
+    setInputs(prev => Object.fromEntries(Object.entries(prev).map(([domain, domainInput]) => [domain, {
+      ...domainInput,
+      environments: { ...domainInput.environments, [key]: { scale: defaultScale, enabled: true } }
+    }])));
+  };
+
+  // Drop a removed environment's settings so saved and exported plans stay valid
+  const removeEnvironment = (nextEnvironments, key) => {
+    const withoutKey = ({ [key]: removed, ...rest }) => rest;
+    setEnvironments(nextEnvironments);
+    setTopology(prev => removeEnvironmentClusters(prev, key));
+    setNetworking(withoutKey);
+    setInputs(prev => Object.fromEntries(Object.entries(prev).map(([domain, domainInput]) => [domain, {
+      ...domainInput,
+      environments: withoutKey(domainInput.environments)
+    }])));
+  };
+
+  // Live domains and the inputs that are sized; archived ones keep their inputs
+  const domainConfig = useMemo(() => domainLookup(domains), [domains]);
+  const plannedInputs = useMemo(() => selectPlannedInputs(inputs, domains, topicTypes), [inputs, domains, topicTypes]);
+  const envLabels = useMemo(() => environmentLabels(environments), [environments]);
+
+  // Calculate results and totals when inputs change
+  const estate = useMemo(
+    () => ({ inputs: plannedInputs, clusterMode, pricing: priceBook, networking, environments, topology }),
+    [plannedInputs, clusterMode, priceBook, networking, environments, topology]
+  );
+  const { results, totals } = useMemo(() => sizeEstate(estate), [estate]);
 
   // Export functions
   const exportToCSV = () => {
     const csvData = [];
     csvData.push([
-      'Domain', 'Environment', 'Throughput (MB/s)', 'Storage (GB)', 
+      'Domain', 'Environment', 'Cluster', 'Ingress (MB/s)', 'Egress (MB/s)', 'Storage (GB)', 
       'Topics', 'Partitions', 'ECKUs', 'Tier', 'Monthly Cost (£)', 'Annual Cost (£)'
     ]);
     
@@ -323,96 +302,81 @@ const ConfluentKafkaSizingCalculator = () => {
       Object.keys(results[domain]).forEach(env => {
         const result = results[domain][env];
         csvData.push([
-          BUSINESS_DOMAINS[domain].name,
-          ENVIRONMENT_LABELS[env],
-          result.throughputMBps.toFixed(2),
+          domainConfig[domain].name,
+          envLabels[env],
+          totals.clusters[totals.clusterAssignments[domain][env]].name,
+          result.ingressMBps.toFixed(2),
+          result.egressMBps.toFixed(2),
           result.storageGB.toFixed(0),
           result.topics,
           result.partitions,
           result.ecku,
           result.tier,
-          result.costs.monthly.toFixed(2),
-          result.costs.annual.toFixed(2)
+          totals.domainEnvironmentCosts[domain][env].toFixed(2),
+          (totals.domainEnvironmentCosts[domain][env] * 12).toFixed(2)
         ]);
       });
     });
 
-    const csvContent = csvData.map(row => row.join(',')).join('\n');
-    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `confluent-kafka-sizing-${new Date().toISOString().split('T')[0]}.csv`;
-    link.click();
+    // Add-ons are billed to the environment, one row per add-on in use
+    environments.forEach(({ key: env }) => {
+      ADD_ON_COST_LINES.forEach(({ key, label }) => {
+        const monthly = totals.addOnCosts[env][key];
+        if (monthly > 0) {
+          csvData.push([`${label} (add-on)`, envLabels[env], '', '', '', '', '', '', '', '', monthly.toFixed(2), (monthly * 12).toFixed(2)]);
+        }
+      });
+    });
+
+    const csvContent = toCsv(csvData);
+    downloadFile(csvContent, `confluent-kafka-sizing-${fileDateStamp()}.csv`, 'text/csv;charset=utf-8;');
   };
 
-  const exportToPDF = () => {
-    // Create a simple HTML content for PDF export
-    const htmlContent = `
-      <html>
-        <head>
-          <title>Confluent Kafka Sizing Report</title>
-          <style>
-            body { font-family: Arial, sans-serif; margin: 20px; }
-            h1 { color: #1f2937; }
-            h2 { color: #374151; border-bottom: 2px solid #e5e7eb; }
-            table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-            th, td { border: 1px solid #d1d5db; padding: 8px; text-align: left; }
-            th { background-color: #f9fafb; }
-            .summary { background-color: #eff6ff; padding: 15px; border-radius: 8px; margin: 20px 0; }
-          </style>
-        </head>
-        <body>
-          <h1>Confluent Cloud Kafka Sizing Report</h1>
-          <div class="summary">
-            <h3>Summary</h3>
-            <p>Total Monthly Cost: £${totals.totalCost.toFixed(2)}</p>
-            <p>Total Annual Cost: £${totals.annualCost.toFixed(2)}</p>
-            <p>Total ECKUs: ${totals.totalECKUs}</p>
-            <p>Total Storage: ${totals.totalStorage.toFixed(0)} GB</p>
-            <p>Cluster Mode: ${clusterMode === 'single' ? 'Single Shared Cluster' : 'Cluster per Domain'}</p>
-          </div>
-          <table>
-            <thead>
-              <tr>
-                <th>Domain</th>
-                <th>Environment</th>
-                <th>Throughput (MB/s)</th>
-                <th>Storage (GB)</th>
-                <th>ECKUs</th>
-                <th>Tier</th>
-                <th>Monthly Cost (£)</th>
-              </tr>
-            </thead>
-            <tbody>
-              ${Object.keys(results).map(domain => 
-                Object.keys(results[domain]).map(env => {
-                  const result = results[domain][env];
-                  return `
-                    <tr>
-                      <td>${BUSINESS_DOMAINS[domain].name}</td>
-                      <td>${ENVIRONMENT_LABELS[env]}</td>
-                      <td>${result.throughputMBps.toFixed(2)}</td>
-                      <td>${result.storageGB.toFixed(0)}</td>
-                      <td>${result.ecku}</td>
-                      <td>${result.tier}</td>
-                      <td>£${result.costs.monthly.toFixed(2)}</td>
-                    </tr>
-                  `;
-                }).join('')
-              ).join('')}
-            </tbody>
-          </table>
-        </body>
-      </html>
-    `;
-
-    const blob = new Blob([htmlContent], { type: 'text/html' });
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `confluent-kafka-sizing-report-${new Date().toISOString().split('T')[0]}.html`;
-    link.click();
+  const exportToExcel = async () => {
+    const workbook = buildWorkbook({
+      scenarioName: activeScenario?.name,
+      inputs: plannedInputs,
+      clusterMode,
+      networking,
+      priceBook,
+      results,
+      totals,
+      domainConfig,
+      environments
+    });
+
+    // Loaded on demand to keep the spreadsheet library out of the main bundle
+    const { renderWorkbook } = await import('./xlsxReport');
+    const blob = await renderWorkbook(workbook);
+    downloadFile(blob, `confluent-kafka-sizing-${fileDateStamp()}.xlsx`);
+  };
+
+  const exportToPDF = async () => {
+    const report = buildReport({
+      scenarioName: activeScenario?.name,
+      inputs: plannedInputs,
+      clusterMode,
+      networking,
+      priceBook,
+      results,
+      totals,
+      domainConfig,
+      environments
+    });
+
+    // Loaded on demand to keep the PDF library out of the main bundle
+    const { renderPdfReport } = await import('./pdfReport');
+    const doc = renderPdfReport(report);
+    downloadFile(doc.output('blob'), `confluent-kafka-sizing-report-${fileDateStamp()}.pdf`, 'application/pdf');
+  };
+
+  const exportToTerraform = async () => {
+    const files = buildTerraform({ inputs: plannedInputs, totals, domainConfig, environments, topicTypes });
+
+    // Loaded on demand to keep the zip library out of the main bundle
+    const { renderTerraformArchive } = await import('./terraformArchive');
+    const blob = await renderTerraformArchive(files);
+    downloadFile(blob, `confluent-terraform-${fileDateStamp()}.zip`);
   };
 
   // Initialize on mount
@@ -425,20 +389,42 @@ const ConfluentKafkaSizingCalculator = () => {
     if (Object.keys(inputs).length > 0) {
       saveData();
     }
-  }, [inputs, clusterMode, saveData]);
+  }, [domains, environments, topology, topicTypes, inputs, clusterMode, networking, priceBook, forecast, targetUtilisation, saveData]);
 
-  // Calculate results when inputs change
+  // Keep the selected domain on a live one when domains are archived
   useEffect(() => {
-    if (Object.keys(inputs).length > 0) {
-      calculateSizing();
+    const first = Object.keys(domainConfig)[0];
+    if (!domainConfig[selectedDomain] && first) setSelectedDomain(first);
+  }, [domainConfig, selectedDomain]);
+
+  // Persist scenarios whenever one changes. A save that could not be set aside
+  // stays where it is until the user has dismissed the notice.
+  useEffect(() => {
+    if (scenarios.length > 0 && !recovery?.keptInPlace) {
+      reportStorage('scenarios', saveScenarios(scenarios, activeScenarioId));
     }
-  }, [inputs, calculateSizing]);
+  }, [scenarios, activeScenarioId, recovery, reportStorage]);
+
+  // Persist price books once they change from those loaded, so books that
+  // could not be read are not overwritten by an empty list
+  useEffect(() => {
+    if (priceBooks !== savedPriceBooks.priceBooks) {
+      reportStorage('priceBooks', savePriceBooks(priceBooks));
+    }
+  }, [priceBooks, savedPriceBooks, reportStorage]);
 
   // Render input form for selected domain
   const renderDomainInputs = () => {
-    if (!inputs[selectedDomain]) return null;
+    if (!inputs[selectedDomain] || !domainConfig[selectedDomain]) return null;
 
     const domainInput = inputs[selectedDomain];
+    const hasTopicInventory = domainInput.topics.length > 0;
+    const catalogueCount = catalogueTopicCount(domainConfig[selectedDomain].subdomains, topicTypes);
+    const workload = summarizeWorkload({ ...domainInput, topicsCount: catalogueCount });
+    const plannedClients = planClients(domainInput, workload);
+    // The domain's busiest environment sets the cluster type partitions are charged against
+    const busiest = Object.values(results[selectedDomain] || {})
+      .reduce((best, result) => (!best || result.messagesPerSecond > best.messagesPerSecond ? result : best), null);
 
     return (
       <div className="space-y-6">
@@ -447,14 +433,19 @@ const ConfluentKafkaSizingCalculator = () => {
             <Database className="w-8 h-8 text-blue-600" />
           </div>
           <div>
-            <h3 className="text-2xl font-bold text-gray-800">{BUSINESS_DOMAINS[selectedDomain].name}</h3>
-            <p className="text-gray-600">{BUSINESS_DOMAINS[selectedDomain].subdomains.length} subdomains</p>
+            <h3 className="text-2xl font-bold text-gray-800">{domainConfig[selectedDomain].name}</h3>
+            <p className="text-gray-600">{domainConfig[selectedDomain].subdomains.length} subdomains</p>
           </div>
         </div>
 
         {/* Core Configuration */}
         <div className="bg-gray-50 rounded-lg p-6">
           <h4 className="text-lg font-semibold mb-4 text-gray-800">Core Configuration</h4>
+          {hasTopicInventory && (
+            <p className="text-sm text-gray-600 mb-4">
+              Load comes from the topic inventory. Message size, retention and partitions here are defaults for new topics.
+            </p>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -462,9 +453,10 @@ const ConfluentKafkaSizingCalculator = () => {
               </label>
               <input
                 type="number"
-                value={domainInput.messagesPerSecond}
+                value={hasTopicInventory ? workload.messagesPerSecond : domainInput.messagesPerSecond}
                 onChange={(e) => updateInput(selectedDomain, 'messagesPerSecond', parseInt(e.target.value) || 0)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                disabled={hasTopicInventory}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
                 min="0"
               />
             </div>
@@ -492,8 +484,8 @@ const ConfluentKafkaSizingCalculator = () => {
                 onChange={(e) => updateInput(selectedDomain, 'retentionDays', parseInt(e.target.value) || 1)}
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 min="1"
-                max="365"
               />
+              <p className="text-xs text-gray-500 mt-1">For time-bounded topics</p>
             </div>
 
             <div>
@@ -554,13 +546,14 @@ const ConfluentKafkaSizingCalculator = () => {
               </label>
               <input
                 type="number"
-                value={domainInput.topicsCount}
-                onChange={(e) => updateInput(selectedDomain, 'topicsCount', parseInt(e.target.value) || 1)}
-                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
-                min="1"
+                value={workload.topics}
+                disabled
+                className="w-full p-3 border border-gray-300 rounded-lg disabled:bg-gray-100"
               />
               <p className="text-xs text-gray-500 mt-1">
-                Suggested: {BUSINESS_DOMAINS[selectedDomain].subdomains.length * 2} (2 per subdomain)
+                {hasTopicInventory
+                  ? 'Derived from the topic inventory below'
+                  : 'Derived from the topic catalogue below'}
               </p>
             </div>
 
@@ -574,8 +567,10 @@ const ConfluentKafkaSizingCalculator = () => {
                 onChange={(e) => updateInput(selectedDomain, 'partitionsPerTopic', parseInt(e.target.value) || 1)}
                 className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 min="1"
-                max="100"
               />
+              <p className="text-xs text-gray-500 mt-1">
+                {hasTopicInventory ? 'Set per topic in the inventory below' : 'See the partition recommender below'}
+              </p>
             </div>
 
             <div>
@@ -595,75 +590,218 @@ const ConfluentKafkaSizingCalculator = () => {
           </div>
         </div>
 
-        {/* Environment Scaling */}
+        {/* Storage */}
         <div className="bg-gray-50 rounded-lg p-6">
-          <h4 className="text-lg font-semibold mb-4 text-gray-800">Environment Scaling Factors</h4>
-          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
-            {ENVIRONMENTS.map(env => (
-              <div key={env} className="bg-white border border-gray-200 rounded-lg p-4">
-                <div className="flex items-center justify-between mb-3">
-                  <label className="font-medium text-sm text-gray-700">
-                    {ENVIRONMENT_LABELS[env]}
-                  </label>
-                  <input
-                    type="checkbox"
-                    checked={domainInput.environments[env].enabled}
-                    onChange={(e) => updateEnvironmentInput(selectedDomain, env, 'enabled', e.target.checked)}
-                    className="w-4 h-4 text-blue-600"
-                  />
-                </div>
-                <div>
-                  <label className="block text-xs text-gray-600 mb-1">Scale Factor</label>
-                  <input
-                    type="number"
-                    step="0.1"
-                    min="0.1"
-                    max="2.0"
-                    value={domainInput.environments[env].scale}
-                    onChange={(e) => updateEnvironmentInput(selectedDomain, env, 'scale', parseFloat(e.target.value) || 0.1)}
-                    disabled={!domainInput.environments[env].enabled}
-                    className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
-                  />
+          <h4 className="text-lg font-semibold mb-4 text-gray-800">Storage</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Storage Mode
+              </label>
+              <select
+                value={topicStorageMode(domainInput)}
+                onChange={(e) => updateStorageMode(selectedDomain, e.target.value)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {STORAGE_MODES.map(mode => (
+                  <option key={mode.key} value={mode.key}>{mode.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-1">
+                {hasTopicInventory ? 'Default for new topics' : 'How the domain\'s topics keep their data'}
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Keys per Compacted Topic
+              </label>
+              <input
+                type="number"
+                value={domainInput.keyCardinality}
+                onChange={(e) => updateInput(selectedDomain, 'keyCardinality', parseInt(e.target.value) || 0)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                min="0"
+              />
+              <p className="text-xs text-gray-500 mt-1">A compacted topic settles at one record per key</p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Infinite Retention Horizon (months)
+              </label>
+              <input
+                type="number"
+                value={domainInput.retentionHorizonMonths}
+                onChange={(e) => updateInput(selectedDomain, 'retentionHorizonMonths', parseInt(e.target.value) || 1)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                min="1"
+              />
+              <p className="text-xs text-gray-500 mt-1">History infinite-retention topics hold when priced</p>
+            </div>
+          </div>
+          <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
+            {STORAGE_MODES.map(mode => (
+              <div key={mode.key} className="bg-white border border-gray-200 rounded p-3">
+                <div className="text-xs text-gray-500">{mode.label}</div>
+                <div className="font-medium text-gray-900">
+                  {(workload.retainedBytesByMode[mode.key] / (1024 * 1024 * 1024)).toLocaleString(undefined, { maximumFractionDigits: 1 })} GB
                 </div>
               </div>
             ))}
           </div>
+          <p className="text-xs text-gray-500 mt-2">Uncompressed data held at 1x scale, before replication</p>
         </div>
 
-        {/* Topic Structure Preview */}
-        <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
-          <h4 className="text-lg font-semibold mb-4 text-blue-800">
-            <Info className="w-5 h-5 inline mr-2" />
-            Recommended Topic Structure
-          </h4>
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {/* Topic Inventory. Partitions are recommended for the planned topics
+            sizing uses, leaving those of archived subdomains as they are. */}
+        <PartitionRecommender
+          domainInput={plannedInputs[selectedDomain]}
+          tierDetails={busiest?.tierDetails}
+          onChangeInput={(field, value) => updateInput(selectedDomain, field, value)}
+          onChangeTopics={(topics) => updateInput(selectedDomain, 'topics', domainInput.topics.map(topic => (
+            topics.find(planned => planned.name === topic.name) || topic
+          )))}
+        />
+
+        <TopicInventory
+          key={selectedDomain}
+          domain={selectedDomain}
+          subdomains={domainConfig[selectedDomain].subdomains}
+          domainInput={domainInput}
+          topicTypes={topicTypes}
+          onChange={(topics) => updateInput(selectedDomain, 'topics', topics)}
+        />
+
+        {/* Consumers & Data Transfer */}
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-semibold mb-4 text-gray-800">Consumers & Data Transfer</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             <div>
-              <h5 className="font-medium text-blue-700 mb-2">Event Topics</h5>
-              <div className="space-y-1">
-                {BUSINESS_DOMAINS[selectedDomain].subdomains.slice(0, 3).map(subdomain => (
-                  <div key={subdomain} className="text-sm font-mono bg-white px-3 py-2 rounded border border-blue-200">
-                    {selectedDomain}.{subdomain}.events.v1
-                  </div>
-                ))}
-                {BUSINESS_DOMAINS[selectedDomain].subdomains.length > 3 && (
-                  <div className="text-xs text-blue-600 pl-3">
-                    ... and {BUSINESS_DOMAINS[selectedDomain].subdomains.length - 3} more
-                  </div>
-                )}
-              </div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Consumer Groups
+              </label>
+              <input
+                type="number"
+                value={domainInput.consumerGroups}
+                onChange={(e) => updateInput(selectedDomain, 'consumerGroups', parseInt(e.target.value) || 0)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                min="0"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Independent consumer groups reading each topic
+              </p>
             </div>
+
             <div>
-              <h5 className="font-medium text-blue-700 mb-2">Command Topics</h5>
-              <div className="space-y-1">
-                {BUSINESS_DOMAINS[selectedDomain].subdomains.slice(0, 3).map(subdomain => (
-                  <div key={subdomain} className="text-sm font-mono bg-white px-3 py-2 rounded border border-blue-200">
-                    {selectedDomain}.{subdomain}.commands.v1
-                  </div>
-                ))}
-              </div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Read Fan-out per Group
+              </label>
+              <input
+                type="number"
+                step="0.1"
+                value={domainInput.readFanout}
+                onChange={(e) => updateInput(selectedDomain, 'readFanout', parseFloat(e.target.value) || 0)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                min="0"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Times each group reads a message (above 1 for replays and re-reads)
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Traffic Leaving the Cloud (%)
+              </label>
+              <input
+                type="number"
+                value={Math.round(domainInput.internetEgressShare * 100)}
+                onChange={(e) => updateInput(selectedDomain, 'internetEgressShare', Math.min(Math.max(parseFloat(e.target.value) || 0, 0), 100) / 100)}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                min="0"
+                max="100"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Share of consumer egress read from outside the cloud provider
+              </p>
             </div>
           </div>
         </div>
+
+        {/* Client Connections */}
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-semibold mb-4 text-gray-800">Clients & Requests</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+            {CLIENT_FIELDS.map(({ field, label, help }) => (
+              <div key={field}>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  {label}
+                </label>
+                <input
+                  type="number"
+                  value={domainInput[field] ?? ''}
+                  placeholder={`Estimated: ${Math.round(plannedClients[field]).toLocaleString()}`}
+                  onChange={(e) => updateInput(selectedDomain, field, e.target.value === '' ? null : Math.max(parseFloat(e.target.value) || 0, 0))}
+                  className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  min="0"
+                />
+                <p className="text-xs text-gray-500 mt-1">{help}</p>
+              </div>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-4">
+            Production figures; other environments run instances in proportion to their scale factor. Every instance
+            counts towards the cluster type&apos;s connection limits. Leave a field blank to use the estimate shown.
+          </p>
+        </div>
+
+        {/* Environment Scaling */}
+        <div className="bg-gray-50 rounded-lg p-6">
+          <h4 className="text-lg font-semibold mb-4 text-gray-800">Environment Scaling Factors</h4>
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+            {environments.map(({ key: env, label, defaultScale }) => {
+              // Inputs saved or imported without this environment leave it off
+              const envInput = domainInput.environments[env] || { scale: defaultScale, enabled: false };
+              return (
+                <div key={env} className="bg-white border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-3">
+                    <label className="font-medium text-sm text-gray-700">
+                      {label}
+                    </label>
+                    <input
+                      type="checkbox"
+                      checked={envInput.enabled}
+                      onChange={(e) => updateEnvironmentInput(selectedDomain, env, 'enabled', e.target.checked)}
+                      className="w-4 h-4 text-blue-600"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs text-gray-600 mb-1">Scale Factor</label>
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0.1"
+                      max="2.0"
+                      value={envInput.scale}
+                      onChange={(e) => updateEnvironmentInput(selectedDomain, env, 'scale', parseFloat(e.target.value) || 0.1)}
+                      disabled={!envInput.enabled}
+                      className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Topic Catalogue */}
+        <TopicCatalogue
+          domain={selectedDomain}
+          subdomains={domainConfig[selectedDomain].subdomains}
+          topicTypes={topicTypes}
+          onConfigureTypes={() => setActiveTab('naming')}
+        />
       </div>
     );
   };
@@ -681,6 +819,12 @@ const ConfluentKafkaSizingCalculator = () => {
             </div>
           </div>
           <p className="text-gray-600 text-lg">Optimize your Confluent Cloud Kafka clusters for performance and cost</p>
+          {activeScenario && (
+            <p className="text-sm font-medium text-gray-700 mt-2">Scenario: {activeScenario.name}</p>
+          )}
+          <p className="text-sm text-gray-500 mt-2">
+            Priced with {priceBook.name} (effective {priceBook.effectiveDate})
+          </p>
           {lastSaved && (
             <p className="text-sm text-gray-500 mt-2">
               Last saved: {lastSaved.toLocaleString()}
@@ -688,6 +832,54 @@ const ConfluentKafkaSizingCalculator = () => {
           )}
         </header>
 
+        {/* Recovery Notice */}
+        {recovery && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-6 mb-6">
+            <h3 className="text-lg font-semibold text-yellow-800 mb-2 flex items-center">
+              <AlertTriangle className="w-5 h-5 mr-2" />
+              Saved plans could not be loaded
+            </h3>
+            <p className="text-sm text-yellow-800 mb-4">
+              {recovery.keptInPlace ? (
+                <>
+                  {recovery.reason}. The saved data could not be set aside, so it has been left in place and a fresh
+                  plan was started. Nothing will be saved over it until you download a copy and dismiss this notice.
+                </>
+              ) : (
+                <>
+                  {recovery.reason}. The saved data was set aside on {new Date(recovery.setAsideAt).toLocaleString()} and
+                  a fresh plan was started. Download the set-aside data to keep a copy before dismissing this notice.
+                </>
+              )}
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={downloadRecoveredData}
+                className="flex items-center gap-2 px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                Download Set-Aside Data
+              </button>
+              <button
+                onClick={dismissRecoveredData}
+                className="px-4 py-2 border border-yellow-300 text-yellow-800 rounded-lg hover:bg-yellow-100 transition-colors"
+              >
+                Dismiss
+              </button>
+            </div>
+          </div>
+        )}
+        {Object.values(storageProblems).some(Boolean) && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-lg p-4 mb-6 text-sm text-yellow-800 flex items-start">
+            <AlertTriangle className="w-5 h-5 mr-2 flex-shrink-0" />
+            <div>
+              {Object.entries(storageProblems).filter(([, problem]) => problem).map(([source, problem]) => (
+                <p key={source}>{problem}.</p>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Cluster Mode Selection */}
         <div className="bg-white rounded-lg shadow-sm p-6 mb-6">
           <h3 className="text-lg font-semibold mb-4 flex items-center">
@@ -722,17 +914,43 @@ const ConfluentKafkaSizingCalculator = () => {
               </div>
             </label>
           </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-6">
+            {environments.map(({ key: env, label }) => (
+              <div key={env}>
+                <label className="block text-xs font-medium text-gray-600 mb-1">
+                  {label} Networking
+                </label>
+                <select
+                  value={networking[env]}
+                  onChange={(e) => setNetworking(prev => ({ ...prev, [env]: e.target.value }))}
+                  className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {Object.entries((priceBook.networking || CONFLUENT_NETWORKING_PRICING).types).map(([type, rates]) => (
+                    <option key={type} value={type}>{rates.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
         </div>
 
         {/* Main Content */}
         <div className="bg-white rounded-lg shadow-lg overflow-hidden">
           {/* Tab Navigation */}
           <div className="border-b border-gray-200">
-            <nav className="flex">
+            <nav className="flex flex-wrap">
               {[
                 { id: 'inputs', label: 'Domain Inputs', icon: Database },
+                { id: 'domains', label: 'Domains', icon: FolderTree },
+                { id: 'environments', label: 'Environments', icon: Layers },
+                { id: 'topology', label: 'Topology', icon: Network },
+                { id: 'naming', label: 'Topic Naming', icon: SpellCheck },
                 { id: 'results', label: 'Sizing Results', icon: BarChart3 },
-                { id: 'summary', label: 'Cost Summary', icon: TrendingUp }
+                { id: 'capacity', label: 'Capacity', icon: Gauge },
+                { id: 'summary', label: 'Cost Summary', icon: TrendingUp },
+                { id: 'forecast', label: 'Forecast', icon: Calendar },
+                { id: 'pricing', label: 'Pricing', icon: Tag },
+                { id: 'scenarios', label: 'Scenarios', icon: GitCompare }
               ].map((tab) => (
                 <button
                   key={tab.id}
@@ -758,7 +976,7 @@ const ConfluentKafkaSizingCalculator = () => {
                 <div className="bg-gray-50 rounded-lg p-4">
                   <h3 className="text-lg font-semibold mb-4">Select Business Domain</h3>
                   <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-5 gap-3">
-                    {Object.keys(BUSINESS_DOMAINS).map(domain => (
+                    {Object.keys(domainConfig).map(domain => (
                       <button
                         key={domain}
                         onClick={() => setSelectedDomain(domain)}
@@ -768,10 +986,10 @@ const ConfluentKafkaSizingCalculator = () => {
                             : 'border-gray-200 bg-white hover:border-gray-300'
                         }`}
                       >
-                        <div className="font-medium text-sm">{BUSINESS_DOMAINS[domain].name}</div>
+                        <div className="font-medium text-sm">{domainConfig[domain].name}</div>
                         <div className="text-xs text-gray-500 uppercase">{domain}</div>
                         <div className="text-xs text-gray-400 mt-1">
-                          {BUSINESS_DOMAINS[domain].subdomains.length} subdomains
+                          {domainConfig[domain].subdomains.length} subdomains
                         </div>
                       </button>
                     ))}
@@ -783,6 +1001,53 @@ const ConfluentKafkaSizingCalculator = () => {
               </div>
             )}
 
+            {/* Domains Tab */}
+            {activeTab === 'domains' && (
+              <DomainEditor
+                domains={domains}
+                onChange={setDomains}
+                onAddDomain={addDomain}
+                onRenameSubdomain={renameSubdomain}
+              />
+            )}
+
+            {/* Environments Tab */}
+            {activeTab === 'environments' && (
+              <EnvironmentEditor
+                environments={environments}
+                clusterMode={clusterMode}
+                priceBook={priceBook}
+                onChange={setEnvironments}
+                onAddEnvironment={addEnvironment}
+                onRemoveEnvironment={removeEnvironment}
+              />
+            )}
+
+            {/* Topology Tab */}
+            {activeTab === 'topology' && (
+              <TopologyEditor
+                topology={topology}
+                domainConfig={domainConfig}
+                environments={environments}
+                clusterMode={clusterMode}
+                clusters={totals.clusters}
+                onChange={setTopology}
+              />
+            )}
+
+            {/* Topic Naming Tab */}
+            {activeTab === 'naming' && (
+              <div className="space-y-8">
+                <TopicTypeEditor topicTypes={topicTypes} onChange={setTopicTypes} />
+                <TopicNameLinter
+                  text={topicNameText}
+                  domainConfig={domainConfig}
+                  topicTypes={topicTypes}
+                  onTextChange={setTopicNameText}
+                />
+              </div>
+            )}
+
             {/* Results Tab */}
             {activeTab === 'results' && (
               <div className="space-y-8">
@@ -799,58 +1064,95 @@ const ConfluentKafkaSizingCalculator = () => {
                       <Download className="w-4 h-4" />
                       Export CSV
                     </button>
+                    <button
+                      onClick={exportToExcel}
+                      className="flex items-center gap-2 px-4 py-2 bg-emerald-700 text-white rounded-lg hover:bg-emerald-800 transition-colors"
+                    >
+                      <FileSpreadsheet className="w-4 h-4" />
+                      Export Excel
+                    </button>
                     <button
                       onClick={exportToPDF}
                       className="flex items-center gap-2 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
                     >
                       <FileText className="w-4 h-4" />
-                      Export HTML
+                      Export PDF
+                    </button>
+                    <button
+                      onClick={exportToTerraform}
+                      className="flex items-center gap-2 px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
+                    >
+                      <FileCode className="w-4 h-4" />
+                      Export Terraform
                     </button>
                   </div>
                 </div>
 
-                {Object.keys(results).map(domain => (
-                  <div key={domain} className="border border-gray-200 rounded-lg overflow-hidden">
+                {orderClusters(totals.clusters, environments).map(cluster => (
+                  <div key={cluster.id} className="border border-gray-200 rounded-lg overflow-hidden">
                     <div className="bg-gradient-to-r from-blue-50 to-indigo-50 px-6 py-4 border-b border-gray-200">
-                      <h4 className="text-xl font-semibold text-gray-800 flex items-center">
-                        <Database className="w-6 h-6 mr-2 text-blue-600" />
-                        {BUSINESS_DOMAINS[domain].name} ({domain.toUpperCase()})
-                      </h4>
+                      <div className="flex flex-wrap items-center justify-between gap-4">
+                        <h4 className="text-xl font-semibold text-gray-800 flex items-center">
+                          <Server className="w-6 h-6 mr-2 text-blue-600" />
+                          {cluster.name}
+                          <span className="ml-3 text-sm font-normal text-gray-500">{envLabels[cluster.env]}</span>
+                        </h4>
+                        <div className="flex flex-wrap gap-6 text-sm text-gray-700">
+                          <span>{cluster.ingressMBps.toFixed(1)} MB/s in, {cluster.egressMBps.toFixed(1)} MB/s out</span>
+                          <span>{cluster.storageGB.toFixed(0)} GB</span>
+                          <span>{cluster.partitions} partitions</span>
+                          <span className="font-medium">{cluster.ecku} {cluster.unit}s</span>
+                          <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${TIER_BADGES[cluster.tier] || TIER_BADGES.basic}`}>
+                            {cluster.tier}
+                          </span>
+                          <span className="font-medium text-green-600">£{cluster.costs.monthly.toFixed(2)}/month</span>
+                        </div>
+                      </div>
+                      <div className="flex flex-wrap gap-x-6 gap-y-1 mt-3 text-xs text-gray-600">
+                        <span className="font-medium text-gray-700">Sized on {bindingLimitLabel(cluster.bindingLimit).toLowerCase()}</span>
+                        {CAPACITY_DIMENSIONS.filter(({ key }) => cluster.headroom[key].capacity !== null).map(({ key, label }) => (
+                          <span key={key} className={cluster.headroom[key].headroomPercent < 20 ? 'text-amber-700' : undefined}>
+                            {label} {cluster.headroom[key].headroomPercent.toFixed(0)}% headroom
+                          </span>
+                        ))}
+                      </div>
+                      {!cluster.withinLimits && (
+                        <div className="flex items-center mt-2 text-sm text-red-700">
+                          <AlertTriangle className="w-4 h-4 mr-2" />
+                          Needs more than the {cluster.tierDetails.maxUnits} {cluster.unit}s a {cluster.tierDetails.name} cluster allows
+                        </div>
+                      )}
                     </div>
                     <div className="overflow-x-auto">
                       <table className="w-full">
                         <thead className="bg-gray-50">
                           <tr>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Environment</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Domain</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Throughput</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Storage</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topics/Partitions</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ECKUs</th>
-                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tier</th>
+                            <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Share</th>
                             <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Monthly Cost</th>
                           </tr>
                         </thead>
                         <tbody className="bg-white divide-y divide-gray-200">
-                          {Object.keys(results[domain] || {}).map(env => {
-                            const result = results[domain][env];
+                          {cluster.domains.map(domain => {
+                            const result = results[domain][cluster.env];
+                            const contribution = cluster.contributions[domain];
                             return (
-                              <tr key={env} className="hover:bg-gray-50">
-                                <td className="px-6 py-4 whitespace-nowrap">
+                              <tr key={domain} className="hover:bg-gray-50">
+                                <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                                   <div className="flex items-center">
-                                    <div className={`w-3 h-3 rounded-full mr-2 ${
-                                      env === 'prd' ? 'bg-red-400' : 
-                                      env === 'pre' ? 'bg-orange-400' : 
-                                      env === 'tst' ? 'bg-yellow-400' : 'bg-green-400'
-                                    }`}></div>
-                                    <span className="text-sm font-medium text-gray-900">
-                                      {ENVIRONMENT_LABELS[env]}
-                                    </span>
+                                    <Database className="w-4 h-4 mr-2 text-gray-500" />
+                                    {domainConfig[domain].name}
                                   </div>
+                                  <div className="text-xs text-gray-500 mt-1">{domain.toUpperCase()}</div>
                                 </td>
                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                                  <div>{result.throughputMBps.toFixed(1)} MB/s</div>
+                                  <div>{result.ingressMBps.toFixed(1)} MB/s in</div>
+                                  <div>{result.egressMBps.toFixed(1)} MB/s out</div>
                                   <div className="text-xs text-gray-500">
-                                    ({result.rawThroughputMBps.toFixed(1)} raw)
+                                    ({result.rawThroughputMBps.toFixed(1)} raw in)
                                   </div>
                                 </td>
                                 <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -865,24 +1167,22 @@ const ConfluentKafkaSizingCalculator = () => {
                                     {result.partitions} partitions
                                   </div>
                                 </td>
-                                <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 font-medium">
-                                  {result.ecku} ECKUs
-                                </td>
-                                <td className="px-6 py-4 whitespace-nowrap">
-                                  <span className={`inline-flex px-2 py-1 text-xs font-medium rounded-full ${
-                                    result.tier === 'dedicated' ? 'bg-purple-100 text-purple-800' :
-                                    result.tier === 'standard' ? 'bg-blue-100 text-blue-800' :
-                                    'bg-green-100 text-green-800'
-                                  }`}>
-                                    {result.tier}
-                                  </span>
+                                <td className="px-6 py-4 whitespace-nowrap text-xs text-gray-600">
+                                  {cluster.domains.length > 1 ? (
+                                    <>
+                                      <div>{(contribution.throughputShare * 100).toFixed(0)}% throughput</div>
+                                      <div>{(contribution.storageShare * 100).toFixed(0)}% storage</div>
+                                    </>
+                                  ) : 'Sole tenant'}
                                 </td>
                                 <td className="px-6 py-4 whitespace-nowrap">
                                   <div className="text-sm font-medium text-green-600">
-                                    £{result.costs.monthly.toFixed(2)}
+                                    £{contribution.monthly.toFixed(2)}
                                   </div>
                                   <div className="text-xs text-gray-500">
-                                    £{result.costs.annual.toFixed(0)}/year
+                                    {cluster.domains.length > 1
+                                      ? `£${result.costs.monthly.toFixed(0)} on its own ${result.tier} cluster`
+                                      : `£${contribution.annual.toFixed(0)}/year`}
                                   </div>
                                 </td>
                               </tr>
@@ -896,6 +1196,16 @@ const ConfluentKafkaSizingCalculator = () => {
               </div>
             )}
 
+            {/* Capacity Tab */}
+            {activeTab === 'capacity' && (
+              <CapacityView
+                clusters={orderClusters(totals.clusters, environments)}
+                envLabels={envLabels}
+                targetUtilisation={targetUtilisation}
+                onTargetChange={setTargetUtilisation}
+              />
+            )}
+
             {/* Summary Tab */}
             {activeTab === 'summary' && (
               <div className="space-y-8">
@@ -955,6 +1265,9 @@ const ConfluentKafkaSizingCalculator = () => {
                   </div>
                 </div>
 
+                {/* What-if */}
+                <WhatIfPanel whatIf={whatIf} onChange={setWhatIf} estate={estate} baselineTotals={totals} />
+
                 {/* Cluster Architecture Info */}
                 <div className="bg-gradient-to-r from-blue-50 to-indigo-50 border border-blue-200 rounded-lg p-6">
                   <h4 className="text-lg font-semibold text-blue-800 mb-3 flex items-center">
@@ -968,7 +1281,7 @@ const ConfluentKafkaSizingCalculator = () => {
                       </p>
                       <p className="text-blue-600 text-sm">
                         {clusterMode === 'single' 
-                          ? 'All business domains share a single Confluent Cloud cluster. ECKUs calculated based on peak aggregate requirements.'
+                          ? 'All business domains share one Confluent Cloud cluster per environment, sized from their combined throughput, partitions and storage. Each domain is charged for its contribution.'
                           : 'Each business domain has its own dedicated Confluent Cloud cluster for complete isolation and independent scaling.'
                         }
                       </p>
@@ -976,11 +1289,11 @@ const ConfluentKafkaSizingCalculator = () => {
                     <div className="space-y-2">
                       <div className="flex justify-between text-sm">
                         <span className="text-blue-600">Total Business Domains:</span>
-                        <span className="font-medium">{Object.keys(BUSINESS_DOMAINS).length}</span>
+                        <span className="font-medium">{Object.keys(domainConfig).length}</span>
                       </div>
                       <div className="flex justify-between text-sm">
                         <span className="text-blue-600">Active Environments:</span>
-                        <span className="font-medium">{ENVIRONMENTS.length}</span>
+                        <span className="font-medium">{environments.length}</span>
                       </div>
                       <div className="flex justify-between text-sm">
                         <span className="text-blue-600">Provider:</span>
@@ -990,6 +1303,76 @@ const ConfluentKafkaSizingCalculator = () => {
                   </div>
                 </div>
 
+                {/* Cost Breakdown by Cluster */}
+                <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+                  <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+                    <h4 className="text-xl font-semibold text-gray-800">Cost Breakdown by Cluster</h4>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cluster</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Domains</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ECKUs</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tier</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Storage</th>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Monthly Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {orderClusters(totals.clusters, environments).map(cluster => (
+                          <tr key={cluster.id} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                              <div className="flex items-center">
+                                <Server className="w-4 h-4 mr-2 text-gray-500" />
+                                {cluster.name}
+                              </div>
+                              <div className="text-xs text-gray-500 mt-1">{envLabels[cluster.env]}</div>
+                            </td>
+                            <td className="px-6 py-4 text-sm text-gray-900">
+                              {cluster.domains.map(domain => domainConfig[domain].name).join(', ')}
+                            </td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{cluster.ecku} {cluster.unit}s</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">{cluster.tier}</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{cluster.storageGB.toFixed(0)} GB</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-green-600">
+                              £{cluster.costs.monthly.toFixed(2)}
+                            </td>
+                          </tr>
+                        ))}
+                        {/* Add-ons are billed to the environment rather than a cluster */}
+                        {environments.filter(({ key: env }) => totals.addOnCosts[env]?.monthly > 0).map(({ key: env, label }) => (
+                          <tr key={`add-ons-${env}`} className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                              <div className="flex items-center">
+                                <Layers className="w-4 h-4 mr-2 text-gray-500" />
+                                Environment add-ons
+                              </div>
+                              <div className="text-xs text-gray-500 mt-1">{label}</div>
+                            </td>
+                            <td colSpan="4" className="px-6 py-4 text-sm text-gray-500">Governance, ksqlDB, Flink, connectors</td>
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-green-600">
+                              £{totals.addOnCosts[env].monthly.toFixed(2)}
+                            </td>
+                          </tr>
+                        ))}
+                        <tr className="bg-gray-50 border-t-2 border-gray-300">
+                          <td colSpan="2" className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
+                            {Object.keys(totals.clusters).length} Clusters
+                          </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-blue-600">{totals.totalECKUs}</td>
+                          <td></td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-blue-600">{totals.totalStorage.toFixed(0)} GB</td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-green-700">
+                            £{totals.totalCost.toFixed(2)}
+                          </td>
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
                 {/* Cost Breakdown by Domain */}
                 <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
                   <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
@@ -1000,22 +1383,21 @@ const ConfluentKafkaSizingCalculator = () => {
                       <thead className="bg-gray-50">
                         <tr>
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Business Domain</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">DEV</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">TST</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PRE</th>
-                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PRD</th>
+                          {environments.map(({ key: env }) => (
+                            <th key={env} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{env.toUpperCase()}</th>
+                          ))}
                           <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Domain Total</th>
                         </tr>
                       </thead>
                       <tbody className="bg-white divide-y divide-gray-200">
-                        {Object.keys(BUSINESS_DOMAINS).map(domain => {
+                        {Object.keys(domainConfig).map(domain => {
                           const domainCosts = {};
                           let domainTotal = 0;
                           
-                          ENVIRONMENTS.forEach(env => {
+                          environments.forEach(({ key: env }) => {
                             if (results[domain]?.[env]) {
-                              domainCosts[env] = results[domain][env].costs.monthly;
-                              domainTotal += results[domain][env].costs.monthly;
+                              domainCosts[env] = totals.domainEnvironmentCosts[domain][env];
+                              domainTotal += totals.domainEnvironmentCosts[domain][env];
                             } else {
                               domainCosts[env] = 0;
                             }
@@ -1026,13 +1408,13 @@ const ConfluentKafkaSizingCalculator = () => {
                               <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
                                 <div className="flex items-center">
                                   <Database className="w-4 h-4 mr-2 text-gray-500" />
-                                  {BUSINESS_DOMAINS[domain].name}
+                                  {domainConfig[domain].name}
                                 </div>
                                 <div className="text-xs text-gray-500 mt-1">
                                   {domain.toUpperCase()}
                                 </div>
                               </td>
-                              {ENVIRONMENTS.map(env => (
+                              {environments.map(({ key: env }) => (
                                 <td key={env} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                                   {domainCosts[env] > 0 ? `£${domainCosts[env].toFixed(2)}` : '—'}
                                 </td>
@@ -1043,11 +1425,30 @@ const ConfluentKafkaSizingCalculator = () => {
                             </tr>
                           );
                         })}
+                        {totals.addOnTotal > 0 && (
+                          <tr className="hover:bg-gray-50">
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">
+                              <div className="flex items-center">
+                                <Layers className="w-4 h-4 mr-2 text-gray-500" />
+                                Environment add-ons
+                              </div>
+                              <div className="text-xs text-gray-500 mt-1">Governance, ksqlDB, Flink, connectors</div>
+                            </td>
+                            {environments.map(({ key: env }) => (
+                              <td key={env} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                {totals.addOnCosts[env].monthly > 0 ? `£${totals.addOnCosts[env].monthly.toFixed(2)}` : '—'}
+                              </td>
+                            ))}
+                            <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-green-600">
+                              £{totals.addOnTotal.toFixed(2)}
+                            </td>
+                          </tr>
+                        )}
                         <tr className="bg-gray-50 border-t-2 border-gray-300">
                           <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-gray-900">
                             Environment Totals
                           </td>
-                          {ENVIRONMENTS.map(env => (
+                          {environments.map(({ key: env }) => (
                             <td key={env} className="px-6 py-4 whitespace-nowrap text-sm font-bold text-blue-600">
                               £{(totals.environmentTotals[env] || 0).toFixed(2)}
                             </td>
@@ -1061,18 +1462,53 @@ const ConfluentKafkaSizingCalculator = () => {
                   </div>
                 </div>
 
-                {/* ECKU Pricing Reference */}
+                {/* Cost Breakdown by Cost Line */}
+                <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+                  <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+                    <h4 className="text-xl font-semibold text-gray-800">Cost Breakdown by Cost Line</h4>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="w-full">
+                      <thead className="bg-gray-50">
+                        <tr>
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cost Line</th>
+                          {environments.map(({ key: env }) => (
+                            <th key={env} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{env.toUpperCase()}</th>
+                          ))}
+                          <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Line Total</th>
+                        </tr>
+                      </thead>
+                      <tbody className="bg-white divide-y divide-gray-200">
+                        {COST_LINES.map(({ key, label }) => {
+                          const lineCosts = totals.costLineTotals[key] || {};
+                          const lineTotal = Object.values(lineCosts).reduce((sum, cost) => sum + cost, 0);
+                          return (
+                            <tr key={key} className="hover:bg-gray-50">
+                              <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{label}</td>
+                              {environments.map(({ key: env }) => (
+                                <td key={env} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                                  {lineCosts[env] > 0 ? `£${lineCosts[env].toFixed(2)}` : '—'}
+                                </td>
+                              ))}
+                              <td className="px-6 py-4 whitespace-nowrap text-sm font-bold text-green-600">
+                                £{lineTotal.toFixed(2)}
+                              </td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+
+                {/* Cluster Type Reference */}
                 <div className="grid md:grid-cols-3 gap-6">
-                  {Object.entries(CONFLUENT_ECKU_PRICING).map(([tier, pricing]) => (
+                  {Object.entries(priceBook.ecku).map(([tier, pricing]) => (
                     <div key={tier} className="bg-white border border-gray-200 rounded-lg p-6">
                       <div className="flex items-center justify-between mb-4">
                         <h5 className="text-lg font-semibold text-gray-800 capitalize">{pricing.name}</h5>
-                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${
-                          tier === 'dedicated' ? 'bg-purple-100 text-purple-800' :
-                          tier === 'standard' ? 'bg-blue-100 text-blue-800' :
-                          'bg-green-100 text-green-800'
-                        }`}>
-                          {pricing.ecku} ECKU{pricing.ecku > 1 ? 's' : ''}
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${TIER_BADGES[tier] || TIER_BADGES.basic}`}>
+                          Per {pricing.unit}
                         </span>
                       </div>
                       <div className="space-y-2 text-sm">
@@ -1081,17 +1517,33 @@ const ConfluentKafkaSizingCalculator = () => {
                           <span className="font-medium">£{pricing.monthlyPrice}</span>
                         </div>
                         <div className="flex justify-between">
-                          <span className="text-gray-600">Throughput:</span>
-                          <span className="font-medium">{pricing.throughput}</span>
-                        </div>
-                        <div className="flex justify-between">
-                          <span className="text-gray-600">Max Partitions:</span>
-                          <span className="font-medium">{pricing.maxPartitions.toLocaleString()}</span>
+                          <span className="text-gray-600">Size:</span>
+                          <span className="font-medium">
+                            {pricing.maxUnits === null
+                              ? `${pricing.minUnits}+ ${pricing.unit}s`
+                              : `${pricing.minUnits}–${pricing.maxUnits} ${pricing.unit}s`}
+                          </span>
                         </div>
+                        {CAPACITY_DIMENSIONS.map(({ key, label, unit }) => (
+                          <div key={key} className="flex justify-between">
+                            <span className="text-gray-600">{label}:</span>
+                            <span className="font-medium">
+                              {pricing[key] === null ? 'No limit' : `${pricing[key].toLocaleString()}${unit ? ` ${unit}` : ''}`}
+                            </span>
+                          </div>
+                        ))}
                         <div className="flex justify-between">
                           <span className="text-gray-600">Retention:</span>
                           <span className="font-medium">{pricing.retention}</span>
                         </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Storage:</span>
+                          <span className="font-medium">£{priceBook.storage[tier]}/GB</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Storage billed on:</span>
+                          <span className="font-medium">{STORAGE_BILLING[priceBook.storageBilling]}</span>
+                        </div>
                       </div>
                     </div>
                   ))}
@@ -1101,28 +1553,70 @@ const ConfluentKafkaSizingCalculator = () => {
                 <div className="bg-green-50 border border-green-200 rounded-lg p-6">
                   <h4 className="text-lg font-semibold text-green-800 mb-4">Confluent Cloud Best Practices</h4>
                   <div className="grid md:grid-cols-2 gap-6">
-                    <div>
-                      <h5 className="font-medium text-green-700 mb-2">Topic Design</h5>
-                      <ul className="space-y-1 text-sm text-green-600">
-                        <li>• Use consistent naming: {`{domain}.{subdomain}.{type}.v{version}`}</li>
-                        <li>• Plan partition count for scaling (6-12 partitions typical)</li>
-                        <li>• Set appropriate retention based on business needs</li>
-                        <li>• Use Schema Registry for data governance</li>
-                      </ul>
-                    </div>
-                    <div>
-                      <h5 className="font-medium text-green-700 mb-2">Performance & Cost</h5>
-                      <ul className="space-y-1 text-sm text-green-600">
-                        <li>• Enable compression (snappy/lz4) to reduce costs</li>
-                        <li>• Monitor ECKU utilization and scale accordingly</li>
-                        <li>• Use dedicated clusters for production workloads</li>
-                        <li>• Implement proper consumer group strategies</li>
-                      </ul>
-                    </div>
+                    {BEST_PRACTICES.map(section => (
+                      <div key={section.title}>
+                        <h5 className="font-medium text-green-700 mb-2">{section.title}</h5>
+                        <ul className="space-y-1 text-sm text-green-600">
+                          {section.items.map(item => (
+                            <li key={item}>• {item}</li>
+                          ))}
+                        </ul>
+                      </div>
+                    ))}
                   </div>
                 </div>
               </div>
             )}
+
+            {/* Forecast Tab */}
+            {activeTab === 'forecast' && (
+              <GrowthForecast
+                inputs={plannedInputs}
+                domainConfig={domainConfig}
+                environments={environments}
+                topology={topology}
+                clusterMode={clusterMode}
+                pricing={priceBook}
+                networking={networking}
+                forecast={forecast}
+                onForecastChange={setForecast}
+                onGrowthChange={(domain, growth) => updateInput(domain, 'growth', growth)}
+              />
+            )}
+
+            {/* Pricing Tab */}
+            {activeTab === 'pricing' && (
+              <PricingEditor
+                priceBooks={priceBooks}
+                activePriceBook={priceBook}
+                onSelect={setPriceBook}
+                onSaveBook={savePriceBook}
+                onDeleteBook={deletePriceBook}
+              />
+            )}
+
+            {/* Scenarios Tab */}
+            {activeTab === 'scenarios' && (
+              <div className="space-y-8">
+                <ScenarioManager
+                  scenarios={scenarios}
+                  activeScenarioId={activeScenarioId}
+                  onOpen={openScenario}
+                  onCreate={addScenario}
+                  onDuplicate={copyScenario}
+                  onRename={renameScenario}
+                  onDelete={deleteScenario}
+                />
+                <ProjectFiles
+                  inputs={inputs}
+                  domainConfig={domainConfig}
+                  topicTypes={topicTypes}
+                  onExportProject={exportProject}
+                  onOpenProject={openProject}
+                  onImportInputs={setInputs}
+                />
+              </div>
+            )}
           </div>
         </div>
       </div>
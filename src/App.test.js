@@ -1,8 +1,39 @@
-import { render, screen } from '@testing-library/react';
+import { fireEvent, render, screen } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+test('renders the sizing calculator', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const heading = screen.getByText(/confluent cloud kafka sizing calculator/i);
+  expect(heading).toBeInTheDocument();
+});
+
+test('sets aside saves it cannot migrate and says so', () => {
+  localStorage.setItem('confluent-kafka-sizing-scenarios', '{"schemaVersion": 99, "scenarios": []}');
+
+  render(<App />);
+
+  expect(screen.getByText(/saved plans could not be loaded/i)).toBeInTheDocument();
+  expect(screen.getByText(/newer than this calculator supports/i)).toBeInTheDocument();
+  localStorage.clear();
+});
+
+test('gives a domain added after a new environment an entry for it', () => {
+  render(<App />);
+
+  fireEvent.click(screen.getByRole('button', { name: /^Environments$/ }));
+  fireEvent.change(screen.getByPlaceholderText('Key, e.g. perf'), { target: { value: 'perf' } });
+  fireEvent.change(screen.getByPlaceholderText('Name, e.g. Performance'), { target: { value: 'Performance' } });
+  fireEvent.click(screen.getByRole('button', { name: /Add Environment/ }));
+
+  fireEvent.click(screen.getByRole('button', { name: /^Domains$/ }));
+  fireEvent.change(screen.getByPlaceholderText('Code, e.g. pay'), { target: { value: 'pay' } });
+  fireEvent.change(screen.getByPlaceholderText('Name, e.g. Payments'), { target: { value: 'Payments' } });
+  fireEvent.click(screen.getByRole('button', { name: /Add Domain/ }));
+
+  fireEvent.click(screen.getByRole('button', { name: /^Domain Inputs$/ }));
+  fireEvent.click(screen.getByRole('button', { name: /Payments/ }));
+
+  expect(screen.getByText('Environment Scaling Factors')).toBeInTheDocument();
+  expect(screen.getByText('Performance')).toBeInTheDocument();
+  localStorage.clear();
 });
@@ -0,0 +1,78 @@
+import { CAPACITY_DIMENSIONS } from './constants';
+import { tierMinUnits } from './sizing';
+
+// Utilisation above this share of a cluster's capacity is flagged
+export const DEFAULT_TARGET_UTILISATION = 70;
+
+export const normalizeTargetUtilisation = value =>
+  (typeof value === 'number' && value > 0 && value <= 100 ? value : DEFAULT_TARGET_UTILISATION);
+
+const percent = (value, capacity) => (capacity ? (value / capacity) * 100 : null);
+
+// Utilisation of one sized cluster on each dimension its type limits: against
+// the units it is sized to, and against the most units the type allows
+export const clusterUtilisation = cluster => CAPACITY_DIMENSIONS
+  .filter(({ key }) => cluster.headroom[key].capacity !== null)
+  .map(({ key, label, unit }) => {
+    const { demand, capacity } = cluster.headroom[key];
+    const { maxUnits } = cluster.tierDetails;
+    const ceiling = maxUnits === null ? null : cluster.tierDetails[key] * maxUnits;
+    return {
+      key,
+      label,
+      unit,
+      demand,
+      capacity,
+      ceiling,
+      utilisation: percent(demand, capacity),
+      tierUtilisation: percent(demand, ceiling)
+    };
+  });
+
+// Units a cluster needs to keep every dimension under the target
+const unitsForTarget = (cluster, dimensions, targetUtilisation) => Math.max(
+  tierMinUnits(cluster.tierDetails, cluster.availability),
+  ...dimensions.map(({ key, demand }) => Math.ceil(demand / (cluster.tierDetails[key] * (targetUtilisation / 100))))
+);
+
+const STATUS_ORDER = ['ok', 'over-target', 'boundary', 'over-limit'];
+
+// Check each sized cluster against the target utilisation. A cluster is near
+// its tier boundary when it is past the target share of the most its type can
+// grow to, so further growth moves it to a larger type.
+export const assessCapacity = (clusters, targetUtilisation = DEFAULT_TARGET_UTILISATION) => clusters.map(cluster => {
+  const dimensions = clusterUtilisation(cluster);
+  const tierName = cluster.tierDetails.name;
+  const warnings = [];
+  let status = 'ok';
+  const raise = (level, message) => {
+    warnings.push(message);
+    if (STATUS_ORDER.indexOf(level) > STATUS_ORDER.indexOf(status)) status = level;
+  };
+
+  if (!cluster.withinLimits) {
+    raise('over-limit', `Needs ${cluster.ecku} ${cluster.unit}s, more than the ${cluster.tierDetails.maxUnits} a ${tierName} cluster allows`);
+  }
+  dimensions.forEach(({ label, utilisation, tierUtilisation }) => {
+    if (tierUtilisation !== null && tierUtilisation >= targetUtilisation) {
+      raise('boundary', `${label} is at ${tierUtilisation.toFixed(0)}% of the ${tierName} ceiling`);
+    } else if (utilisation > targetUtilisation) {
+      raise('over-target', `${label} is at ${utilisation.toFixed(0)}% of capacity, over the ${targetUtilisation}% target`);
+    }
+  });
+
+  return {
+    id: cluster.id,
+    name: cluster.name,
+    env: cluster.env,
+    tier: cluster.tier,
+    tierName,
+    unit: cluster.unit,
+    ecku: cluster.ecku,
+    targetUnits: unitsForTarget(cluster, dimensions, targetUtilisation),
+    peakUtilisation: Math.max(0, ...dimensions.map(({ utilisation }) => utilisation)),
+    dimensions,
+    status,
+    warnings
+  };
+});
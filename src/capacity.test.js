@@ -0,0 +1,39 @@
+import { assessCapacity, clusterUtilisation, normalizeTargetUtilisation } from './capacity';
+import { calculateECKUs } from './sizing';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+
+const sizedCluster = (demand, clusterType = 'auto', availability = 'multi') => {
+  const sizing = calculateECKUs(demand, 'standard', DEFAULT_PRICE_BOOK, clusterType, availability);
+  return { id: 'prd', name: 'Production shared', env: 'prd', availability, ...sizing, tierDetails: DEFAULT_PRICE_BOOK.ecku[sizing.tier] };
+};
+
+describe('capacity', () => {
+  test('report utilisation against provisioned capacity and the tier ceiling', () => {
+    const ingress = clusterUtilisation(sizedCluster({ ingressMBps: 50, partitions: 100 }))
+      .find(dimension => dimension.key === 'ingressMBps');
+
+    expect(ingress).toMatchObject({ demand: 50, capacity: 50, ceiling: 250, utilisation: 100, tierUtilisation: 20 });
+  });
+
+  test('flag clusters over the target and suggest the units that meet it', () => {
+    const [assessment] = assessCapacity([sizedCluster({ ingressMBps: 40 })], 70);
+
+    expect(assessment.status).toBe('over-target');
+    expect(assessment.warnings).toEqual(['Ingress is at 80% of capacity, over the 70% target']);
+    expect(assessment.targetUnits).toBe(3);
+  });
+
+  test('warn when a cluster nears its tier boundary or passes a pinned limit', () => {
+    expect(assessCapacity([sizedCluster({ ingressMBps: 200 })], 70)[0].status).toBe('boundary');
+
+    const [pinned] = assessCapacity([sizedCluster({ ingressMBps: 500 }, 'basic', 'single')], 70);
+    expect(pinned.status).toBe('over-limit');
+    expect(pinned.warnings[0]).toBe('Needs 20 eCKUs, more than the 10 a Basic cluster allows');
+  });
+
+  test('fall back to the default target for missing or out-of-range values', () => {
+    expect(normalizeTargetUtilisation(85)).toBe(85);
+    expect(normalizeTargetUtilisation(140)).toBe(70);
+    expect(normalizeTargetUtilisation(undefined)).toBe(70);
+  });
+});
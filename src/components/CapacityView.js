@@ -0,0 +1,178 @@
+import React from 'react';
+import { AlertTriangle, CheckCircle, Gauge as GaugeIcon } from 'lucide-react';
+import { assessCapacity } from '../capacity';
+
+const STATUS_STYLES = {
+  ok: { label: 'Within target', badge: 'bg-green-100 text-green-800' },
+  'over-target': { label: 'Over target', badge: 'bg-amber-100 text-amber-800' },
+  boundary: { label: 'Near tier boundary', badge: 'bg-orange-100 text-orange-800' },
+  'over-limit': { label: 'Over tier limit', badge: 'bg-red-100 text-red-800' }
+};
+
+const gaugeColour = (value, target) => {
+  if (value >= 100) return '#dc2626';
+  if (value > target) return '#d97706';
+  return '#16a34a';
+};
+
+// Point on the gauge arc for a percentage, 0 at the left and 100 at the right
+const arcPoint = (value, radius) => {
+  const angle = Math.PI * (1 - Math.min(Math.max(value, 0), 100) / 100);
+  return [50 + radius * Math.cos(angle), 50 - radius * Math.sin(angle)];
+};
+
+const Gauge = ({ value, target, label }) => {
+  const [innerX, innerY] = arcPoint(target, 32);
+  const [outerX, outerY] = arcPoint(target, 48);
+  return (
+    <div className="text-center">
+      <svg viewBox="0 0 100 56" className="w-28 mx-auto" role="img" aria-label={`${label} ${value.toFixed(0)}%`}>
+        <path d="M 10 50 A 40 40 0 0 1 90 50" fill="none" stroke="#e5e7eb" strokeWidth="8" />
+        <path
+          d="M 10 50 A 40 40 0 0 1 90 50"
+          fill="none"
+          stroke={gaugeColour(value, target)}
+          strokeWidth="8"
+          pathLength="100"
+          strokeDasharray={`${Math.min(value, 100)} 100`}
+        />
+        <line x1={innerX} y1={innerY} x2={outerX} y2={outerY} stroke="#374151" strokeWidth="1.5" />
+        <text x="50" y="48" textAnchor="middle" className="text-sm font-semibold" fill="#1f2937">
+          {value.toFixed(0)}%
+        </text>
+      </svg>
+      <div className="text-xs text-gray-600">{label}</div>
+    </div>
+  );
+};
+
+const formatAmount = (value, unit) => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })}${unit ? ` ${unit}` : ''}`;
+
+const CapacityView = ({ clusters, envLabels, targetUtilisation, onTargetChange }) => {
+  const assessments = assessCapacity(clusters, targetUtilisation);
+  const flagged = assessments.filter(assessment => assessment.warnings.length > 0);
+
+  return (
+    <div className="space-y-8">
+      <div className="flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+            <GaugeIcon className="w-8 h-8 mr-3 text-blue-600" />
+            Capacity Headroom
+          </h3>
+          <p className="text-gray-600 mt-2">
+            Utilisation of each cluster against the capacity it is sized to. The marker on each gauge is the target.
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Target utilisation (%)</label>
+          <input
+            type="number"
+            min="10"
+            max="100"
+            step="5"
+            value={targetUtilisation}
+            onChange={(e) => onTargetChange(Math.min(100, Math.max(10, parseFloat(e.target.value) || 10)))}
+            className="w-32 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      </div>
+
+      {flagged.length > 0 ? (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <h4 className="flex items-center font-medium text-amber-800 mb-2">
+            <AlertTriangle className="w-5 h-5 mr-2" />
+            {flagged.length} cluster{flagged.length > 1 ? 's' : ''} need attention
+          </h4>
+          <ul className="space-y-1 text-sm text-amber-700">
+            {flagged.flatMap(assessment => assessment.warnings.map(warning => (
+              <li key={`${assessment.id}-${warning}`}>
+                <span className="font-medium">{assessment.name}</span> ({envLabels[assessment.env]}): {warning}
+              </li>
+            )))}
+          </ul>
+        </div>
+      ) : (
+        <div className="flex items-center bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-700">
+          <CheckCircle className="w-5 h-5 mr-2" />
+          Every cluster is under {targetUtilisation}% utilisation and clear of its tier boundary.
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {assessments.map(assessment => (
+          <div key={assessment.id} className="border border-gray-200 rounded-lg overflow-hidden">
+            <div className="flex items-center justify-between bg-gray-50 px-4 py-3 border-b border-gray-200">
+              <div>
+                <h4 className="font-medium text-gray-800">{assessment.name}</h4>
+                <p className="text-xs text-gray-500">
+                  {envLabels[assessment.env]} · {assessment.ecku} {assessment.unit}s {assessment.tierName}
+                </p>
+              </div>
+              <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[assessment.status].badge}`}>
+                {STATUS_STYLES[assessment.status].label}
+              </span>
+            </div>
+            <div className="grid grid-cols-3 gap-4 p-4">
+              {assessment.dimensions.map(dimension => (
+                <Gauge key={dimension.key} value={dimension.utilisation} target={targetUtilisation} label={dimension.label} />
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+          <h4 className="text-xl font-semibold text-gray-800">Headroom by Cluster</h4>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cluster</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Dimension</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Demand</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Capacity</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Utilisation</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Headroom</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Of Tier Ceiling</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {assessments.flatMap(assessment => assessment.dimensions.map((dimension, index) => (
+                <tr key={`${assessment.id}-${dimension.key}`} className="hover:bg-gray-50">
+                  {index === 0 && (
+                    <td rowSpan={assessment.dimensions.length} className="px-4 py-3 align-top text-sm font-medium text-gray-900">
+                      {assessment.name}
+                      <div className="text-xs font-normal text-gray-500">{envLabels[assessment.env]}</div>
+                      {assessment.targetUnits > assessment.ecku && (
+                        <div className="text-xs font-normal text-amber-700 mt-1">
+                          {assessment.targetUnits} {assessment.unit}s to meet target
+                        </div>
+                      )}
+                    </td>
+                  )}
+                  <td className="px-4 py-2 text-sm text-gray-700">{dimension.label}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{formatAmount(dimension.demand, dimension.unit)}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{formatAmount(dimension.capacity, dimension.unit)}</td>
+                  <td className={`px-4 py-2 text-sm font-medium ${
+                    dimension.utilisation > targetUtilisation ? 'text-amber-700' : 'text-green-700'
+                  }`}>
+                    {dimension.utilisation.toFixed(0)}%
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{(100 - dimension.utilisation).toFixed(0)}%</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {dimension.tierUtilisation === null ? 'No ceiling' : `${dimension.tierUtilisation.toFixed(0)}%`}
+                  </td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CapacityView;
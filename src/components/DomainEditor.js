@@ -0,0 +1,234 @@
+import React, { useState } from 'react';
+import { Archive, ArchiveRestore, ArrowDown, ArrowUp, Check, FolderTree, Pencil, Plus, X } from 'lucide-react';
+import {
+  addDomain,
+  addSubdomain,
+  moveDomain,
+  moveSubdomain,
+  renameDomain,
+  renameSubdomain,
+  setDomainArchived,
+  setSubdomainArchived,
+  validateDomainCode,
+  validateSubdomainName
+} from '../domains';
+
+const iconButton = 'p-1 text-gray-500 rounded hover:bg-gray-100 hover:text-gray-700 disabled:opacity-30 disabled:hover:bg-transparent';
+
+const DomainEditor = ({ domains, onChange, onAddDomain, onRenameSubdomain }) => {
+  const [newDomain, setNewDomain] = useState({ code: '', name: '' });
+  const [domainError, setDomainError] = useState(null);
+  const [newSubdomains, setNewSubdomains] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [subdomainErrors, setSubdomainErrors] = useState({});
+
+  const liveDomainCount = domains.filter(domain => !domain.archived).length;
+
+  const createDomain = () => {
+    const code = newDomain.code.trim();
+    const error = validateDomainCode(domains, code);
+    setDomainError(error);
+    if (error) return;
+    onAddDomain(addDomain(domains, code, newDomain.name.trim()), code);
+    setNewDomain({ code: '', name: '' });
+  };
+
+  const createSubdomain = domain => {
+    const name = (newSubdomains[domain.code] || '').trim();
+    const error = validateSubdomainName(domain, name);
+    setSubdomainErrors(prev => ({ ...prev, [domain.code]: error }));
+    if (error) return;
+    onChange(addSubdomain(domains, domain.code, name));
+    setNewSubdomains(prev => ({ ...prev, [domain.code]: '' }));
+  };
+
+  // Subdomain renames change topic names, so they apply on save rather than per keystroke
+  const saveSubdomainName = domain => {
+    const to = editing.value.trim();
+    const error = validateSubdomainName(domain, to, editing.name);
+    setSubdomainErrors(prev => ({ ...prev, [domain.code]: error }));
+    if (error) return;
+    if (to !== editing.name) {
+      onRenameSubdomain(renameSubdomain(domains, domain.code, editing.name, to), domain.code, editing.name, to);
+    }
+    setEditing(null);
+  };
+
+  const renderSubdomain = (domain, subdomain, index) => {
+    const isEditing = editing?.code === domain.code && editing.name === subdomain.name;
+    return (
+      <li key={subdomain.name} className={`flex items-center gap-2 px-3 py-2 ${subdomain.archived ? 'bg-gray-50 text-gray-400' : ''}`}>
+        {isEditing ? (
+          <>
+            <input
+              type="text"
+              value={editing.value}
+              onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+              onKeyDown={(e) => e.key === 'Enter' && saveSubdomainName(domain)}
+              className="flex-1 p-1 text-sm font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <button onClick={() => saveSubdomainName(domain)} className={iconButton} title="Save name">
+              <Check className="w-4 h-4" />
+            </button>
+            <button onClick={() => setEditing(null)} className={iconButton} title="Cancel">
+              <X className="w-4 h-4" />
+            </button>
+          </>
+        ) : (
+          <>
+            <span className="flex-1 text-sm font-mono">
+              {domain.code}.{subdomain.name}
+              {subdomain.archived && <span className="ml-2 text-xs font-sans">(archived)</span>}
+            </span>
+            <button
+              onClick={() => setEditing({ code: domain.code, name: subdomain.name, value: subdomain.name })}
+              className={iconButton}
+              title="Rename"
+            >
+              <Pencil className="w-4 h-4" />
+            </button>
+          </>
+        )}
+        <button
+          onClick={() => onChange(moveSubdomain(domains, domain.code, subdomain.name, -1))}
+          disabled={index === 0}
+          className={iconButton}
+          title="Move up"
+        >
+          <ArrowUp className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onChange(moveSubdomain(domains, domain.code, subdomain.name, 1))}
+          disabled={index === domain.subdomains.length - 1}
+          className={iconButton}
+          title="Move down"
+        >
+          <ArrowDown className="w-4 h-4" />
+        </button>
+        <button
+          onClick={() => onChange(setSubdomainArchived(domains, domain.code, subdomain.name, !subdomain.archived))}
+          className={iconButton}
+          title={subdomain.archived ? 'Restore' : 'Archive'}
+        >
+          {subdomain.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+        </button>
+      </li>
+    );
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+          <FolderTree className="w-8 h-8 mr-3 text-blue-600" />
+          Business Domains
+        </h3>
+        <p className="text-gray-600 mt-2">
+          Domains and subdomains are saved with the open scenario. Archived ones are left out of sizing, costs and
+          exports but keep their inputs, so restoring them brings the plan back.
+        </p>
+      </div>
+
+      <div className="space-y-4">
+        {domains.map((domain, index) => (
+          <div
+            key={domain.code}
+            className={`border border-gray-200 rounded-lg overflow-hidden ${domain.archived ? 'opacity-75' : ''}`}
+          >
+            <div className="flex items-center gap-3 bg-gray-50 px-4 py-3 border-b border-gray-200">
+              <span className="w-16 text-sm font-mono font-medium text-gray-700 uppercase">{domain.code}</span>
+              <input
+                type="text"
+                value={domain.name}
+                onChange={(e) => onChange(renameDomain(domains, domain.code, e.target.value))}
+                className="flex-1 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {domain.archived && <span className="text-xs text-gray-500">Archived</span>}
+              <button
+                onClick={() => onChange(moveDomain(domains, domain.code, -1))}
+                disabled={index === 0}
+                className={iconButton}
+                title="Move up"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onChange(moveDomain(domains, domain.code, 1))}
+                disabled={index === domains.length - 1}
+                className={iconButton}
+                title="Move down"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => onChange(setDomainArchived(domains, domain.code, !domain.archived))}
+                disabled={!domain.archived && liveDomainCount === 1}
+                className={iconButton}
+                title={domain.archived ? 'Restore' : 'Archive'}
+              >
+                {domain.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+              </button>
+            </div>
+
+            <ul className="divide-y divide-gray-100">
+              {domain.subdomains.map((subdomain, subIndex) => renderSubdomain(domain, subdomain, subIndex))}
+            </ul>
+
+            <div className="flex gap-2 px-4 py-3 border-t border-gray-100">
+              <input
+                type="text"
+                value={newSubdomains[domain.code] || ''}
+                placeholder="New subdomain, e.g. loyalty"
+                onChange={(e) => setNewSubdomains(prev => ({ ...prev, [domain.code]: e.target.value }))}
+                onKeyDown={(e) => e.key === 'Enter' && createSubdomain(domain)}
+                className="flex-1 p-2 text-sm font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                onClick={() => createSubdomain(domain)}
+                className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+              >
+                <Plus className="w-3 h-3" /> Add Subdomain
+              </button>
+            </div>
+            {subdomainErrors[domain.code] && (
+              <div className="px-4 pb-3 text-xs text-red-600">{subdomainErrors[domain.code]}</div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+        <h4 className="font-medium text-gray-800">Add Domain</h4>
+        <div className="flex gap-3">
+          <input
+            type="text"
+            value={newDomain.code}
+            placeholder="Code, e.g. pay"
+            onChange={(e) => setNewDomain(prev => ({ ...prev, code: e.target.value }))}
+            className="w-40 p-2 text-sm font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="text"
+            value={newDomain.name}
+            placeholder="Name, e.g. Payments"
+            onChange={(e) => setNewDomain(prev => ({ ...prev, name: e.target.value }))}
+            className="flex-1 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            onClick={createDomain}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add Domain
+          </button>
+        </div>
+        {domainError && <p className="text-sm text-red-600">{domainError}</p>}
+        <p className="text-xs text-gray-500">
+          The code is the first part of every topic name in the domain and cannot be changed once added.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default DomainEditor;
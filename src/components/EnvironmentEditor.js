@@ -0,0 +1,291 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Layers, Plus, Trash2 } from 'lucide-react';
+import {
+  AVAILABILITY_OPTIONS,
+  ENVIRONMENT_CLUSTER_MODES,
+  addEnvironment,
+  moveEnvironment,
+  removeEnvironment,
+  updateEnvironment,
+  validateEnvironmentKey
+} from '../environments';
+import { CONFLUENT_ADD_ON_PRICING } from '../pricing';
+import { priceAddOns } from '../sizing';
+
+const iconButton = 'p-1 text-gray-500 rounded hover:bg-gray-100 hover:text-gray-700 disabled:opacity-30 disabled:hover:bg-transparent';
+const field = 'w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// Blank override fields mean "use each domain's own setting"
+const parseOverride = value => (parseFloat(value) > 0 ? parseFloat(value) : null);
+
+const ADD_ON_FIELDS = [
+  { field: 'ksqldbCsus', label: 'ksqlDB CSUs', step: '1' },
+  { field: 'flinkCfus', label: 'Flink CFUs', step: '1' },
+  { field: 'connectorTasks', label: 'Connector Tasks', step: '1' },
+  { field: 'connectorThroughputMBps', label: 'Connector MB/s', step: '0.1' }
+];
+
+const EnvironmentEditor = ({ environments, clusterMode, priceBook, onChange, onAddEnvironment, onRemoveEnvironment }) => {
+  const [newEnvironment, setNewEnvironment] = useState({ key: '', label: '', defaultScale: 1 });
+  const [error, setError] = useState(null);
+
+  const update = (key, changes) => onChange(updateEnvironment(environments, key, changes));
+  const updateAddOns = (environment, changes) => update(environment.key, { addOns: { ...environment.addOns, ...changes } });
+  const governancePackages = (priceBook.addOns || CONFLUENT_ADD_ON_PRICING).governance;
+
+  const createEnvironment = () => {
+    const key = newEnvironment.key.trim();
+    const keyError = validateEnvironmentKey(environments, key);
+    setError(keyError);
+    if (keyError) return;
+    onAddEnvironment(addEnvironment(environments, key, newEnvironment.label.trim(), newEnvironment.defaultScale), key);
+    setNewEnvironment({ key: '', label: '', defaultScale: 1 });
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+          <Layers className="w-8 h-8 mr-3 text-blue-600" />
+          Environments
+        </h3>
+        <p className="text-gray-600 mt-2">
+          Each environment sets its own cluster policy. Replication and retention left blank use each
+          domain&apos;s settings; single-zone clusters have no cross-AZ traffic charges but no zone redundancy.
+        </p>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Environment</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Clusters</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cluster Type</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Availability</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Replication</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Retention (days)</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Default Scale</th>
+                <th className="px-4 py-3"></th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {environments.map((environment, index) => (
+                <tr key={environment.key} className="hover:bg-gray-50">
+                  <td className="px-4 py-3">
+                    <input
+                      type="text"
+                      value={environment.label}
+                      onChange={(e) => update(environment.key, { label: e.target.value })}
+                      className={field}
+                    />
+                    <div className="text-xs text-gray-500 font-mono uppercase mt-1">{environment.key}</div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={environment.clusterMode || ''}
+                      onChange={(e) => update(environment.key, { clusterMode: e.target.value || null })}
+                      className={field}
+                    >
+                      <option value="">Scenario default ({ENVIRONMENT_CLUSTER_MODES[clusterMode].toLowerCase()})</option>
+                      {Object.entries(ENVIRONMENT_CLUSTER_MODES).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={priceBook.ecku[environment.clusterType] ? environment.clusterType : 'auto'}
+                      onChange={(e) => update(environment.key, { clusterType: e.target.value })}
+                      className={field}
+                    >
+                      <option value="auto">Smallest that fits</option>
+                      {/* Multi-zone clusters are sized past single-zone types */}
+                      {Object.entries(priceBook.ecku).map(([tier, pricing]) => (
+                        <option key={tier} value={tier} disabled={pricing.singleZoneOnly && environment.availability === 'multi'}>
+                          {pricing.name}{pricing.singleZoneOnly ? ' (single zone only)' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3">
+                    <select
+                      value={environment.availability}
+                      onChange={(e) => update(environment.key, { availability: e.target.value })}
+                      className={field}
+                    >
+                      {Object.entries(AVAILABILITY_OPTIONS).map(([availability, label]) => (
+                        <option key={availability} value={availability}>{label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="number"
+                      min="1"
+                      max="5"
+                      placeholder="Per domain"
+                      value={environment.replicationFactor ?? ''}
+                      onChange={(e) => update(environment.key, { replicationFactor: parseOverride(e.target.value) })}
+                      className={field}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Per domain"
+                      value={environment.retentionDays ?? ''}
+                      onChange={(e) => update(environment.key, { retentionDays: parseOverride(e.target.value) })}
+                      className={field}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <input
+                      type="number"
+                      step="0.1"
+                      min="0.1"
+                      max="2.0"
+                      value={environment.defaultScale}
+                      onChange={(e) => update(environment.key, { defaultScale: parseFloat(e.target.value) || 0.1 })}
+                      className={field}
+                    />
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex gap-1">
+                      <button
+                        onClick={() => onChange(moveEnvironment(environments, environment.key, -1))}
+                        disabled={index === 0}
+                        className={iconButton}
+                        title="Move up"
+                      >
+                        <ArrowUp className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => onChange(moveEnvironment(environments, environment.key, 1))}
+                        disabled={index === environments.length - 1}
+                        className={iconButton}
+                        title="Move down"
+                      >
+                        <ArrowDown className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => onRemoveEnvironment(removeEnvironment(environments, environment.key), environment.key)}
+                        disabled={environments.length === 1}
+                        className={iconButton}
+                        title="Remove"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+          <h4 className="text-xl font-semibold text-gray-800">Add-ons</h4>
+          <p className="text-sm text-gray-600 mt-1">
+            Billed to the environment alongside its clusters and shown as their own cost lines.
+          </p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Environment</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Stream Governance</th>
+                {ADD_ON_FIELDS.map(({ field, label }) => (
+                  <th key={field} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                ))}
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Monthly</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {environments.map(environment => {
+                const monthly = Object.values(priceAddOns(environment.addOns, priceBook)).reduce((sum, cost) => sum + cost, 0);
+                return (
+                  <tr key={environment.key} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">{environment.label}</td>
+                    <td className="px-4 py-3">
+                      <select
+                        value={environment.addOns.governance}
+                        onChange={(e) => updateAddOns(environment, { governance: e.target.value })}
+                        className={field}
+                      >
+                        {Object.entries(governancePackages).map(([pack, pricing]) => (
+                          <option key={pack} value={pack}>{pricing.name}</option>
+                        ))}
+                      </select>
+                    </td>
+                    {ADD_ON_FIELDS.map(({ field: addOn, step }) => (
+                      <td key={addOn} className="px-4 py-3">
+                        <input
+                          type="number"
+                          min="0"
+                          step={step}
+                          value={environment.addOns[addOn]}
+                          onChange={(e) => updateAddOns(environment, { [addOn]: Math.max(0, parseFloat(e.target.value) || 0) })}
+                          className={field}
+                        />
+                      </td>
+                    ))}
+                    <td className="px-4 py-3 text-sm font-medium text-gray-900">£{monthly.toFixed(2)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 space-y-3">
+        <h4 className="font-medium text-gray-800">Add Environment</h4>
+        <div className="flex gap-3">
+          <input
+            type="text"
+            value={newEnvironment.key}
+            placeholder="Key, e.g. perf"
+            onChange={(e) => setNewEnvironment(prev => ({ ...prev, key: e.target.value }))}
+            className="w-40 p-2 text-sm font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="text"
+            value={newEnvironment.label}
+            placeholder="Name, e.g. Performance"
+            onChange={(e) => setNewEnvironment(prev => ({ ...prev, label: e.target.value }))}
+            className="flex-1 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <input
+            type="number"
+            step="0.1"
+            min="0.1"
+            max="2.0"
+            title="Default scale factor"
+            value={newEnvironment.defaultScale}
+            onChange={(e) => setNewEnvironment(prev => ({ ...prev, defaultScale: parseFloat(e.target.value) || 0.1 }))}
+            className="w-24 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            onClick={createEnvironment}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            Add Environment
+          </button>
+        </div>
+        {error && <p className="text-sm text-red-600">{error}</p>}
+        <p className="text-xs text-gray-500">
+          A new environment is enabled in every domain at its default scale; adjust each domain on the Domain Inputs tab.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default EnvironmentEditor;
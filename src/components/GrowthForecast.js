@@ -0,0 +1,267 @@
+import React, { useMemo, useState } from 'react';
+import { Calendar, Plus, Trash2 } from 'lucide-react';
+import { environmentLabels } from '../environments';
+import { FORECAST_HORIZONS, GROWTH_MODES, forecastEstate } from '../forecast';
+
+const GrowthForecast = ({
+  inputs,
+  domainConfig,
+  environments,
+  topology,
+  clusterMode,
+  pricing,
+  networking,
+  forecast,
+  onForecastChange,
+  onGrowthChange
+}) => {
+  const [showAllMonths, setShowAllMonths] = useState(false);
+
+  const projection = useMemo(
+    () => forecastEstate({ inputs, clusterMode, pricing, networking, environments, topology, forecast }),
+    [inputs, clusterMode, pricing, networking, environments, topology, forecast]
+  );
+  const labels = environmentLabels(environments);
+
+  const crossingMonths = new Set(projection.crossings.map(crossing => crossing.month));
+  const visibleMonths = showAllMonths
+    ? projection.months
+    : projection.months.filter(month => month.index % 12 === 0 || crossingMonths.has(month.month));
+
+  const updateGrowth = (domain, field, value) => {
+    onGrowthChange(domain, { ...inputs[domain].growth, [field]: value });
+  };
+
+  const updateStep = (domain, stepIndex, field, value) => {
+    const steps = inputs[domain].growth.steps.map((step, index) =>
+      index === stepIndex ? { ...step, [field]: value } : step
+    );
+    updateGrowth(domain, 'steps', steps);
+  };
+
+  return (
+    <div className="space-y-8">
+      <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+        <Calendar className="w-8 h-8 mr-3 text-blue-600" />
+        Growth Forecast
+      </h3>
+
+      {/* Planning Horizon */}
+      <div className="bg-gray-50 rounded-lg p-6 grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Forecast Start</label>
+          <input
+            type="month"
+            value={forecast.startMonth}
+            onChange={(e) => e.target.value && onForecastChange({ ...forecast, startMonth: e.target.value })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Planning Horizon</label>
+          <select
+            value={forecast.horizonYears}
+            onChange={(e) => onForecastChange({ ...forecast, horizonYears: parseInt(e.target.value) })}
+            className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {FORECAST_HORIZONS.map(years => (
+              <option key={years} value={years}>{years} year{years > 1 ? 's' : ''}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {/* Growth per Domain */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+          <h4 className="text-xl font-semibold text-gray-800">Growth by Business Domain</h4>
+          <p className="text-sm text-gray-500">Growth scales message rates, and with them throughput and storage, from the current inputs</p>
+        </div>
+        <div className="divide-y divide-gray-200">
+          {Object.keys(inputs).map(domain => {
+            const growth = inputs[domain].growth;
+            return (
+              <div key={domain} className="px-6 py-4 flex flex-wrap items-start gap-4">
+                <div className="w-48 font-medium text-gray-900">{domainConfig[domain]?.name || domain}</div>
+                <select
+                  value={growth.mode}
+                  onChange={(e) => updateGrowth(domain, 'mode', e.target.value)}
+                  className="p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {GROWTH_MODES.map(mode => (
+                    <option key={mode.key} value={mode.key}>{mode.label}</option>
+                  ))}
+                </select>
+
+                {growth.mode === 'compound' ? (
+                  <div className="flex items-center gap-2 text-sm text-gray-600">
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={growth.monthlyRatePercent}
+                      onChange={(e) => updateGrowth(domain, 'monthlyRatePercent', parseFloat(e.target.value) || 0)}
+                      className="w-24 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    % per month
+                    <span className="text-xs text-gray-500">
+                      ({((Math.pow(1 + growth.monthlyRatePercent / 100, 12) - 1) * 100).toFixed(1)}% per year)
+                    </span>
+                  </div>
+                ) : (
+                  <div className="space-y-2">
+                    {growth.steps.map((step, index) => (
+                      <div key={index} className="flex items-center gap-2 text-sm text-gray-600">
+                        From
+                        <input
+                          type="month"
+                          value={step.month}
+                          onChange={(e) => updateStep(domain, index, 'month', e.target.value)}
+                          className="p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        change by
+                        <input
+                          type="number"
+                          value={step.percent}
+                          onChange={(e) => updateStep(domain, index, 'percent', parseFloat(e.target.value) || 0)}
+                          className="w-24 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        %
+                        <button
+                          onClick={() => updateGrowth(domain, 'steps', growth.steps.filter((_, i) => i !== index))}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded"
+                          title="Remove step"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <button
+                      onClick={() => updateGrowth(domain, 'steps', [...growth.steps, { month: forecast.startMonth, percent: 25 }])}
+                      className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+                    >
+                      <Plus className="w-3 h-3" /> Add step
+                    </button>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Cost by Year */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+          <h4 className="text-xl font-semibold text-gray-800">Cost by Plan Year</h4>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Year</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Months</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ECKUs at Year End</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Year Cost</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cumulative</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {projection.years.map(year => (
+                <tr key={year.year} className="hover:bg-gray-50">
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900">Year {year.year}</td>
+                  <td className="px-6 py-4 text-sm text-gray-600">{year.startMonth} to {year.endMonth}</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">{year.endECKUs}</td>
+                  <td className="px-6 py-4 text-sm text-gray-900">£{year.cost.toLocaleString(undefined, { maximumFractionDigits: 0 })}</td>
+                  <td className="px-6 py-4 text-sm font-medium text-green-600">£{year.cumulative.toLocaleString(undefined, { maximumFractionDigits: 0 })}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Threshold Crossings */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+          <h4 className="text-xl font-semibold text-gray-800">ECKU and Tier Thresholds</h4>
+        </div>
+        {projection.crossings.length === 0 ? (
+          <p className="px-6 py-4 text-sm text-gray-600">No cluster changes size or tier over the forecast.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cluster</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">ECKUs</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tier</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {projection.crossings.map(crossing => (
+                  <tr key={`${crossing.month}-${crossing.domain}-${crossing.env}`} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm text-gray-900">{crossing.month}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {crossing.domain ? `${domainConfig[crossing.domain]?.name || crossing.domain} ${labels[crossing.env]}` : crossing.cluster}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-900">{crossing.fromECKUs} → {crossing.toECKUs}</td>
+                    <td className={`px-6 py-4 text-sm capitalize ${crossing.fromTier !== crossing.toTier ? 'font-bold text-orange-600' : 'text-gray-600'}`}>
+                      {crossing.fromTier === crossing.toTier ? crossing.toTier : `${crossing.fromTier} → ${crossing.toTier}`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Monthly Projection */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h4 className="text-xl font-semibold text-gray-800">Monthly Projection</h4>
+          <label className="flex items-center gap-2 text-sm text-gray-600 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={showAllMonths}
+              onChange={(e) => setShowAllMonths(e.target.checked)}
+              className="w-4 h-4 text-blue-600"
+            />
+            Show every month
+          </label>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Month</th>
+                {environments.map(({ key, label }) => (
+                  <th key={key} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {label} ECKUs
+                  </th>
+                ))}
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Storage</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Monthly Cost</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleMonths.map(month => (
+                <tr key={month.month} className={crossingMonths.has(month.month) ? 'bg-orange-50' : 'hover:bg-gray-50'}>
+                  <td className="px-6 py-4 text-sm font-medium text-gray-900">{month.month}</td>
+                  {environments.map(({ key }) => (
+                    <td key={key} className="px-6 py-4 text-sm text-gray-900">{month.environmentECKUs[key] ?? '—'}</td>
+                  ))}
+                  <td className="px-6 py-4 text-sm text-gray-900">{month.totalStorage.toFixed(0)} GB</td>
+                  <td className="px-6 py-4 text-sm font-medium text-green-600">£{month.monthly.toFixed(2)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GrowthForecast;
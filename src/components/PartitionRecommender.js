@@ -0,0 +1,148 @@
+import React from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import { assessPartitions } from '../partitions';
+
+const STATUS_STYLES = {
+  ok: { label: 'Right-sized', badge: 'bg-green-100 text-green-800' },
+  under: { label: 'Too few', badge: 'bg-red-100 text-red-800' },
+  over: { label: 'Too many', badge: 'bg-amber-100 text-amber-800' }
+};
+
+const RATE_FIELDS = [
+  { field: 'producerMBpsPerPartition', label: 'Producer MB/s per Partition', step: '0.5', parse: parseFloat },
+  { field: 'consumerMBpsPerPartition', label: 'Consumer MB/s per Partition', step: '0.5', parse: parseFloat },
+  { field: 'maxConsumerInstances', label: 'Max Consumer Instances per Topic', step: '1', parse: value => parseInt(value) }
+];
+
+const field = 'p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+// Recommends partitions for a domain's topics. tierDetails is the cluster
+// type the domain is sized to at its largest scale.
+const PartitionRecommender = ({ domainInput, tierDetails, onChangeInput, onChangeTopics }) => {
+  const assessments = assessPartitions(domainInput, tierDetails);
+  const fromProfile = domainInput.topics.length === 0;
+  const needsChange = assessments.filter(assessment => assessment.status !== 'ok');
+
+  const setTopicFields = (name, fields) => {
+    onChangeTopics(domainInput.topics.map(topic => (topic.name === name ? { ...topic, ...fields } : topic)));
+  };
+
+  const apply = assessment => {
+    if (fromProfile) onChangeInput('partitionsPerTopic', assessment.recommended);
+    else setTopicFields(assessment.name, { partitions: assessment.recommended });
+  };
+
+  const applyAll = () => {
+    if (fromProfile) {
+      apply(assessments[0]);
+      return;
+    }
+    const recommended = Object.fromEntries(needsChange.map(assessment => [assessment.name, assessment.recommended]));
+    onChangeTopics(domainInput.topics.map(topic => (
+      recommended[topic.name] ? { ...topic, partitions: recommended[topic.name] } : topic
+    )));
+  };
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h4 className="text-lg font-semibold text-gray-800 flex items-center">
+          <SlidersHorizontal className="w-5 h-5 mr-2" />
+          Partition Recommender
+        </h4>
+        {needsChange.length > 0 && (
+          <button
+            onClick={applyAll}
+            className="px-3 py-1 text-sm bg-blue-600 text-white rounded hover:bg-blue-700"
+          >
+            Apply {needsChange.length} Recommendation{needsChange.length > 1 ? 's' : ''}
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-gray-600 mb-4">
+        Each topic needs enough partitions for its peak compressed throughput on both the producing and
+        consuming side, and one for every consumer instance reading it in parallel. Counts over twice the
+        recommendation use partition allowance the cluster type charges for.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {RATE_FIELDS.map(({ field: rate, label, step, parse }) => (
+          <div key={rate}>
+            <label className="block text-xs text-gray-600 mb-1">{label}</label>
+            <input
+              type="number"
+              min={step}
+              step={step}
+              value={domainInput[rate]}
+              onChange={(e) => onChangeInput(rate, Math.max(parseFloat(step), parse(e.target.value) || 0))}
+              className={`w-full ${field}`}
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full bg-white border border-gray-200 rounded-lg">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topic</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Peak MB/s</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Max Consumers</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Recommended</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assessment</th>
+              <th className="px-4 py-3"></th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {assessments.map(assessment => (
+              <tr key={assessment.name || 'profile'} className="align-top">
+                <td className="px-4 py-2 text-sm text-gray-900">
+                  {fromProfile
+                    ? `Each of ${assessment.copies} profile topics`
+                    : <span className="font-mono">{assessment.name}</span>}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">{assessment.throughputMBps.toFixed(2)}</td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  {fromProfile ? assessment.maxConsumerInstances : (
+                    <input
+                      type="number"
+                      min="1"
+                      value={domainInput.topics.find(topic => topic.name === assessment.name).maxConsumerInstances ?? ''}
+                      placeholder={String(domainInput.maxConsumerInstances)}
+                      onChange={(e) => setTopicFields(assessment.name, {
+                        maxConsumerInstances: e.target.value === '' ? null : Math.max(1, parseInt(e.target.value) || 1)
+                      })}
+                      aria-label={`Max consumers for ${assessment.name}`}
+                      className={`w-20 ${field}`}
+                    />
+                  )}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-900">{assessment.current}</td>
+                <td className="px-4 py-2 text-sm font-medium text-gray-900">{assessment.recommended}</td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full ${STATUS_STYLES[assessment.status].badge}`}>
+                    {STATUS_STYLES[assessment.status].label}
+                  </span>
+                  <div className="text-xs text-gray-600 mt-1">{assessment.message}</div>
+                </td>
+                <td className="px-4 py-2 text-right">
+                  {assessment.status !== 'ok' && (
+                    <button
+                      onClick={() => apply(assessment)}
+                      className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-gray-50"
+                    >
+                      Apply
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PartitionRecommender;
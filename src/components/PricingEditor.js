@@ -0,0 +1,391 @@
+import React, { useState } from 'react';
+import { Copy, Download, Edit3, Tag, Trash2, Upload } from 'lucide-react';
+import {
+  DEFAULT_PRICE_BOOK,
+  STORAGE_BILLING,
+  duplicatePriceBook,
+  parsePriceBook,
+  serializePriceBook,
+  validatePriceBook
+} from '../pricing';
+import { downloadFile } from '../download';
+import { CAPACITY_DIMENSIONS } from '../constants';
+
+const TIER_FIELDS = [
+  { field: 'monthlyPrice', label: '£ / unit / month', step: '0.01' },
+  { field: 'minUnits', label: 'Min units', step: '1' },
+  { field: 'maxUnits', label: 'Max units', step: '1', nullable: true },
+  ...CAPACITY_DIMENSIONS.map(({ key, label, unit }) => ({
+    field: key,
+    label: `${label}${unit ? ` ${unit}` : ''} / unit`,
+    step: '1',
+    nullable: key !== 'ingressMBps'
+  }))
+];
+
+const DATA_TRANSFER_FIELDS = [
+  { field: 'ingressPerGB', label: 'Ingress £ / GB' },
+  { field: 'egressPerGB', label: 'Egress £ / GB' },
+  { field: 'internetEgressPerGB', label: 'Internet egress £ / GB' },
+  { field: 'crossAzPerGB', label: 'Cross-AZ £ / GB' }
+];
+
+const ADD_ON_RATE_FIELDS = [
+  { field: 'ksqldbPerCSU', label: 'ksqlDB £ / CSU / month' },
+  { field: 'flinkPerCFU', label: 'Flink £ / CFU / month' },
+  { field: 'connectorPerTask', label: 'Connector £ / task / month' },
+  { field: 'connectorPerGB', label: 'Connector £ / GB' }
+];
+
+const PricingEditor = ({ priceBooks, activePriceBook, onSelect, onSaveBook, onDeleteBook }) => {
+  const [draft, setDraft] = useState(null);
+  const [importError, setImportError] = useState(null);
+
+  const allBooks = [DEFAULT_PRICE_BOOK, ...priceBooks];
+  const draftErrors = draft ? validatePriceBook(draft) : [];
+
+  const updateTier = (tier, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      ecku: { ...prev.ecku, [tier]: { ...prev.ecku[tier], [field]: value } }
+    }));
+  };
+
+  const updateStorage = (tier, value) => {
+    setDraft(prev => ({ ...prev, storage: { ...prev.storage, [tier]: value } }));
+  };
+
+  const updateDataTransfer = (field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      networking: { ...prev.networking, dataTransfer: { ...prev.networking.dataTransfer, [field]: value } }
+    }));
+  };
+
+  const updateAddOnRate = (field, value) => {
+    setDraft(prev => ({ ...prev, addOns: { ...prev.addOns, [field]: value } }));
+  };
+
+  const updateGovernancePrice = (pack, value) => {
+    setDraft(prev => ({
+      ...prev,
+      addOns: {
+        ...prev.addOns,
+        governance: { ...prev.addOns.governance, [pack]: { ...prev.addOns.governance[pack], monthlyPrice: value } }
+      }
+    }));
+  };
+
+  const updateNetworkingType = (type, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      networking: {
+        ...prev.networking,
+        types: { ...prev.networking.types, [type]: { ...prev.networking.types[type], [field]: value } }
+      }
+    }));
+  };
+
+  const exportBook = book => {
+    downloadFile(serializePriceBook(book), `price-book-${book.effectiveDate}-${book.id}.json`, 'application/json');
+  };
+
+  const importBook = event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+      try {
+        const book = parsePriceBook(text);
+        // Never overwrite the built-in book or an existing one silently
+        const clash = allBooks.some(existing => existing.id === book.id);
+        onSaveBook(clash ? { ...book, id: duplicatePriceBook(book).id } : book);
+        setImportError(null);
+      } catch (e) {
+        setImportError(e.message);
+      }
+    });
+  };
+
+  const saveDraft = () => {
+    onSaveBook(draft);
+    setDraft(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+          <Tag className="w-8 h-8 mr-3 text-blue-600" />
+          Price Books
+        </h3>
+        <label className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer">
+          <Upload className="w-4 h-4" />
+          Import JSON
+          <input type="file" accept="application/json,.json" onChange={importBook} className="hidden" />
+        </label>
+      </div>
+
+      {importError && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+          Could not import price book: {importError}
+        </div>
+      )}
+
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-700">
+        Sizing is priced with <strong>{activePriceBook.name}</strong> (effective {activePriceBook.effectiveDate}).
+        Each saved sizing keeps a copy of its price book, so earlier estimates stay reproducible when rates change.
+      </div>
+
+      <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-4">
+        {allBooks.map(book => (
+          <div
+            key={book.id}
+            className={`border rounded-lg p-4 ${
+              book.id === activePriceBook.id ? 'border-blue-500 bg-blue-50' : 'border-gray-200 bg-white'
+            }`}
+          >
+            <div className="flex items-start justify-between mb-2">
+              <div>
+                <div className="font-medium text-gray-800">{book.name}</div>
+                <div className="text-xs text-gray-500">Effective {book.effectiveDate}</div>
+              </div>
+              {book.builtIn && (
+                <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700">Built-in</span>
+              )}
+            </div>
+            <div className="flex flex-wrap gap-2 mt-3">
+              {book.id !== activePriceBook.id && (
+                <button
+                  onClick={() => onSelect(book)}
+                  className="px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded hover:bg-blue-700"
+                >
+                  Use
+                </button>
+              )}
+              {!book.builtIn && (
+                <button
+                  onClick={() => setDraft(JSON.parse(JSON.stringify(book)))}
+                  className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+                >
+                  <Edit3 className="w-3 h-3" /> Edit
+                </button>
+              )}
+              <button
+                onClick={() => setDraft(duplicatePriceBook(book))}
+                className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+              >
+                <Copy className="w-3 h-3" /> Duplicate
+              </button>
+              <button
+                onClick={() => exportBook(book)}
+                className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+              >
+                <Download className="w-3 h-3" /> Export
+              </button>
+              {!book.builtIn && book.id !== activePriceBook.id && (
+                <button
+                  onClick={() => onDeleteBook(book.id)}
+                  className="flex items-center gap-1 px-3 py-1 text-xs border border-red-200 text-red-600 rounded hover:bg-red-50"
+                >
+                  <Trash2 className="w-3 h-3" /> Delete
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {draft && (
+        <div className="bg-gray-50 rounded-lg p-6 space-y-4">
+          <h4 className="text-lg font-semibold text-gray-800">Edit Price Book</h4>
+          <div className="grid md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Effective Date</label>
+              <input
+                type="date"
+                value={draft.effectiveDate}
+                onChange={(e) => setDraft(prev => ({ ...prev, effectiveDate: e.target.value }))}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Storage Billed On</label>
+              <select
+                value={draft.storageBilling}
+                onChange={(e) => setDraft(prev => ({ ...prev, storageBilling: e.target.value }))}
+                className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {Object.entries(STORAGE_BILLING).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full bg-white border border-gray-200 rounded-lg">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Tier</th>
+                  {TIER_FIELDS.map(({ field, label }) => (
+                    <th key={field} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">{label}</th>
+                  ))}
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Storage £ / GB</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {Object.entries(draft.ecku).map(([tier, pricing]) => (
+                  <tr key={tier}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">
+                      {pricing.name}
+                      <div className="text-xs font-normal text-gray-500">per {pricing.unit}</div>
+                    </td>
+                    {TIER_FIELDS.map(({ field, step, nullable }) => (
+                      <td key={field} className="px-4 py-2">
+                        <input
+                          type="number"
+                          step={step}
+                          min="0"
+                          value={pricing[field] ?? ''}
+                          placeholder={nullable ? 'No limit' : undefined}
+                          onChange={(e) => updateTier(
+                            tier,
+                            field,
+                            e.target.value === '' && nullable ? null : parseFloat(e.target.value)
+                          )}
+                          className="w-28 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </td>
+                    ))}
+                    <td className="px-4 py-2">
+                      <input
+                        type="number"
+                        step="0.01"
+                        min="0"
+                        value={draft.storage[tier] ?? ''}
+                        onChange={(e) => updateStorage(tier, parseFloat(e.target.value))}
+                        className="w-28 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h5 className="font-medium text-gray-700">Networking & Data Transfer</h5>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {DATA_TRANSFER_FIELDS.map(({ field, label }) => (
+              <div key={field}>
+                <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={draft.networking.dataTransfer[field] ?? ''}
+                  onChange={(e) => updateDataTransfer(field, parseFloat(e.target.value))}
+                  className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full bg-white border border-gray-200 rounded-lg">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Networking Type</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">£ / cluster / month</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Processing £ / GB</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {Object.entries(draft.networking.types).map(([type, rates]) => (
+                  <tr key={type}>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">{rates.name}</td>
+                    {['monthlyPerCluster', 'perGB'].map(field => (
+                      <td key={field} className="px-4 py-2">
+                        <input
+                          type="number"
+                          step="0.001"
+                          min="0"
+                          value={rates[field] ?? ''}
+                          onChange={(e) => updateNetworkingType(type, field, parseFloat(e.target.value))}
+                          className="w-28 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h5 className="font-medium text-gray-700">Environment Add-ons</h5>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {Object.entries(draft.addOns.governance).map(([pack, pricing]) => (
+              <div key={pack}>
+                <label className="block text-xs font-medium text-gray-600 mb-1">Governance {pricing.name} £ / month</label>
+                <input
+                  type="number"
+                  step="0.01"
+                  min="0"
+                  value={pricing.monthlyPrice ?? ''}
+                  onChange={(e) => updateGovernancePrice(pack, parseFloat(e.target.value))}
+                  className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            ))}
+            {ADD_ON_RATE_FIELDS.map(({ field, label }) => (
+              <div key={field}>
+                <label className="block text-xs font-medium text-gray-600 mb-1">{label}</label>
+                <input
+                  type="number"
+                  step="0.001"
+                  min="0"
+                  value={draft.addOns[field] ?? ''}
+                  onChange={(e) => updateAddOnRate(field, parseFloat(e.target.value))}
+                  className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            ))}
+          </div>
+
+          {draftErrors.length > 0 && (
+            <ul className="text-sm text-red-600 space-y-1">
+              {draftErrors.map(error => <li key={error}>• {error}</li>)}
+            </ul>
+          )}
+
+          <div className="flex gap-3">
+            <button
+              onClick={saveDraft}
+              disabled={draftErrors.length > 0}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-300"
+            >
+              Save Price Book
+            </button>
+            <button
+              onClick={() => setDraft(null)}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PricingEditor;
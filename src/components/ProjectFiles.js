@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { Download, FileUp, Upload } from 'lucide-react';
+import { parseProject } from '../projectFile';
+import { mergeThroughputRows, readThroughputCsv } from '../csvImport';
+
+const ProjectFiles = ({ inputs, domainConfig, topicTypes, onExportProject, onOpenProject, onImportInputs }) => {
+  const [projectError, setProjectError] = useState(null);
+  const [csvResult, setCsvResult] = useState(null);
+
+  const readUpload = (event, handle) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) file.text().then(text => handle(text, file.name));
+  };
+
+  const openProject = (text, fileName) => {
+    try {
+      const project = parseProject(text);
+      onOpenProject({ ...project, name: project.name || fileName.replace(/\.json$/i, '') });
+      setProjectError(null);
+    } catch (e) {
+      setProjectError(e.message);
+    }
+  };
+
+  const importCsv = text => {
+    const read = readThroughputCsv(text, domainConfig, topicTypes);
+    const merged = mergeThroughputRows(inputs, read.rows);
+    if (merged.applied > 0) onImportInputs(merged.inputs);
+    setCsvResult({
+      applied: merged.applied,
+      errors: [...read.errors, ...merged.errors].sort((a, b) => a.line - b.line)
+    });
+  };
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+      <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+        <h4 className="text-xl font-semibold text-gray-800">Project Files and Imports</h4>
+      </div>
+      <div className="p-6 space-y-6">
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className="space-y-3">
+            <h5 className="font-medium text-gray-800">Project File</h5>
+            <p className="text-sm text-gray-600">
+              A project file holds the open scenario&apos;s inputs, cluster mode, domains, environments and
+              pricing. Opening one adds it as a new scenario.
+            </p>
+            <div className="flex gap-3">
+              <button
+                onClick={onExportProject}
+                className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                <Download className="w-4 h-4" />
+                Save Project File
+              </button>
+              <label className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer">
+                <Upload className="w-4 h-4" />
+                Open Project File
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={(e) => readUpload(e, openProject)}
+                  className="hidden"
+                />
+              </label>
+            </div>
+            {projectError && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+                Could not open project file: {projectError}
+              </div>
+            )}
+          </div>
+
+          <div className="space-y-3">
+            <h5 className="font-medium text-gray-800">Throughput CSV</h5>
+            <p className="text-sm text-gray-600">
+              Merge rows into the open scenario. Rows with <code>domain, messagesPerSecond</code> update a
+              domain profile. Rows with <code>topic</code>, or <code>domain, subdomain, type</code>, update or add
+              topics in a domain&apos;s inventory. Optional columns: avgMessageSize, partitions, retentionDays, cleanupPolicy.
+            </p>
+            <label className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer">
+              <FileUp className="w-4 h-4" />
+              Import CSV
+              <input
+                type="file"
+                accept="text/csv,.csv"
+                onChange={(e) => readUpload(e, importCsv)}
+                className="hidden"
+              />
+            </label>
+            {csvResult && (
+              <div className={`border rounded-lg p-4 text-sm ${
+                csvResult.errors.length > 0 ? 'bg-yellow-50 border-yellow-200 text-yellow-800' : 'bg-green-50 border-green-200 text-green-700'
+              }`}>
+                <p>Merged {csvResult.applied} row{csvResult.applied === 1 ? '' : 's'} into the plan.</p>
+                {csvResult.errors.length > 0 && (
+                  <ul className="mt-2 space-y-1">
+                    {csvResult.errors.map(error => (
+                      <li key={`${error.line}-${error.message}`}>Line {error.line}: {error.message}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectFiles;
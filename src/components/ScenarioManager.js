@@ -0,0 +1,228 @@
+import React, { useMemo, useState } from 'react';
+import { Copy, FolderOpen, GitCompare, Plus, Trash2 } from 'lucide-react';
+import { MAX_COMPARED_SCENARIOS, compareScenarios } from '../scenarios';
+
+const formatDelta = (value, format) => {
+  if (Math.abs(value) < 0.005) return null;
+  return `${value > 0 ? '+' : '−'}${format(Math.abs(value))}`;
+};
+
+const ScenarioManager = ({ scenarios, activeScenarioId, onOpen, onCreate, onDuplicate, onRename, onDelete }) => {
+  const [newName, setNewName] = useState('');
+  const [compareIds, setCompareIds] = useState([]);
+
+  const comparison = useMemo(() => {
+    const compared = compareIds
+      .map(id => scenarios.find(scenario => scenario.id === id))
+      .filter(Boolean);
+    return compared.length >= 2 ? compareScenarios(compared) : null;
+  }, [scenarios, compareIds]);
+
+  const toggleCompare = id => {
+    setCompareIds(prev => {
+      if (prev.includes(id)) return prev.filter(existing => existing !== id);
+      if (prev.length >= MAX_COMPARED_SCENARIOS) return prev;
+      return [...prev, id];
+    });
+  };
+
+  const createScenario = () => {
+    onCreate(newName.trim() || `Scenario ${scenarios.length + 1}`);
+    setNewName('');
+  };
+
+  const renderDelta = (delta, field, format) => {
+    const text = delta && formatDelta(delta[field], format);
+    if (!text) return null;
+    return (
+      <div className={`text-xs ${delta[field] > 0 ? 'text-red-600' : 'text-green-600'}`}>{text}</div>
+    );
+  };
+
+  return (
+    <div className="space-y-8">
+      <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+        <GitCompare className="w-8 h-8 mr-3 text-blue-600" />
+        Scenarios
+      </h3>
+
+      {/* Scenario List */}
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Compare</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scenario</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Price Book</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Saved</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {scenarios.map(scenario => (
+                <tr key={scenario.id} className={scenario.id === activeScenarioId ? 'bg-blue-50' : 'hover:bg-gray-50'}>
+                  <td className="px-6 py-4">
+                    <input
+                      type="checkbox"
+                      checked={compareIds.includes(scenario.id)}
+                      onChange={() => toggleCompare(scenario.id)}
+                      disabled={!compareIds.includes(scenario.id) && compareIds.length >= MAX_COMPARED_SCENARIOS}
+                      className="w-4 h-4 text-blue-600"
+                    />
+                  </td>
+                  <td className="px-6 py-4">
+                    <input
+                      type="text"
+                      value={scenario.name}
+                      onChange={(e) => onRename(scenario.id, e.target.value)}
+                      className="w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    {scenario.id === activeScenarioId && (
+                      <div className="text-xs text-blue-600 mt-1">Currently open</div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {scenario.priceBook.name}
+                    <div className="text-xs text-gray-500">Effective {scenario.priceBook.effectiveDate}</div>
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-600">
+                    {new Date(scenario.updatedAt).toLocaleString()}
+                  </td>
+                  <td className="px-6 py-4">
+                    <div className="flex gap-2">
+                      {scenario.id !== activeScenarioId && (
+                        <button
+                          onClick={() => onOpen(scenario.id)}
+                          className="flex items-center gap-1 px-3 py-1 text-xs font-medium bg-blue-600 text-white rounded hover:bg-blue-700"
+                        >
+                          <FolderOpen className="w-3 h-3" /> Open
+                        </button>
+                      )}
+                      <button
+                        onClick={() => onDuplicate(scenario.id)}
+                        className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+                      >
+                        <Copy className="w-3 h-3" /> Duplicate
+                      </button>
+                      {scenarios.length > 1 && (
+                        <button
+                          onClick={() => {
+                            setCompareIds(prev => prev.filter(id => id !== scenario.id));
+                            onDelete(scenario.id);
+                          }}
+                          className="flex items-center gap-1 px-3 py-1 text-xs border border-red-200 text-red-600 rounded hover:bg-red-50"
+                        >
+                          <Trash2 className="w-3 h-3" /> Delete
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+        <div className="flex gap-3 p-4 bg-gray-50 border-t border-gray-200">
+          <input
+            type="text"
+            value={newName}
+            placeholder="New scenario name, e.g. FY27 baseline"
+            onChange={(e) => setNewName(e.target.value)}
+            className="flex-1 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+          <button
+            onClick={createScenario}
+            className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="w-4 h-4" />
+            New Scenario
+          </button>
+        </div>
+      </div>
+
+      {/* Comparison */}
+      {!comparison ? (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-700">
+          Tick two or three scenarios to compare them side by side. The first one ticked is the baseline.
+        </div>
+      ) : (
+        <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+          <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+            <h4 className="text-xl font-semibold text-gray-800">Scenario Comparison</h4>
+            <p className="text-sm text-gray-500">Differences are shown against {comparison.scenarios[0].name}</p>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Domain / Environment</th>
+                  {comparison.scenarios.map(scenario => (
+                    <th key={scenario.id} className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                      {scenario.name}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                <tr className="bg-gray-50 font-medium">
+                  <td className="px-6 py-4 text-sm text-gray-900">Estate Total</td>
+                  {comparison.scenarios.map((scenario, index) => {
+                    const baseline = comparison.scenarios[0].totals;
+                    return (
+                      <td key={scenario.id} className="px-6 py-4 text-sm text-gray-900">
+                        <div>£{scenario.totals.totalCost.toFixed(2)}/month</div>
+                        {index > 0 && renderDelta(
+                          { monthly: scenario.totals.totalCost - baseline.totalCost },
+                          'monthly',
+                          value => `£${value.toFixed(2)}`
+                        )}
+                        <div className="text-xs text-gray-500">
+                          {scenario.totals.totalECKUs} ECKUs, {scenario.totals.totalStorage.toFixed(0)} GB,{' '}
+                          {scenario.clusterMode === 'single' ? 'shared clusters' : 'cluster per domain'}
+                        </div>
+                      </td>
+                    );
+                  })}
+                </tr>
+                {comparison.rows.map(row => (
+                  <tr key={`${row.domain}-${row.env}`} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      <div className="font-medium">{row.name}</div>
+                      <div className="text-xs text-gray-500">{row.envLabel}</div>
+                    </td>
+                    {row.cells.map((cell, index) => (
+                      <td key={comparison.scenarios[index].id} className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {!cell ? '—' : (
+                          <div className="space-y-1">
+                            <div className="flex gap-2 items-baseline">
+                              <span>{cell.ecku} ECKUs</span>
+                              {index > 0 && renderDelta(cell.delta, 'ecku', value => value.toFixed(0))}
+                            </div>
+                            <div className="flex gap-2 items-baseline">
+                              <span>{cell.storageGB.toFixed(0)} GB</span>
+                              {index > 0 && renderDelta(cell.delta, 'storageGB', value => `${value.toFixed(0)} GB`)}
+                            </div>
+                            <div className={`text-xs capitalize ${index > 0 && cell.delta?.tierChanged ? 'font-bold text-orange-600' : 'text-gray-500'}`}>
+                              {cell.tier}
+                            </div>
+                            <div className="flex gap-2 items-baseline font-medium text-green-600">
+                              <span>£{cell.monthly.toFixed(2)}</span>
+                              {index > 0 && renderDelta(cell.delta, 'monthly', value => `£${value.toFixed(2)}`)}
+                            </div>
+                          </div>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScenarioManager;
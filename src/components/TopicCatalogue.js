@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { Info, Search } from 'lucide-react';
+import { buildTopicCatalogue } from '../topics';
+
+const TopicCatalogue = ({ domain, subdomains, topicTypes, onConfigureTypes }) => {
+  const [search, setSearch] = useState('');
+  const catalogue = buildTopicCatalogue(domain, subdomains, topicTypes);
+  const needle = search.trim().toLowerCase();
+  const shown = needle ? catalogue.filter(entry => entry.name.includes(needle)) : catalogue;
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h4 className="text-lg font-semibold text-blue-800">
+          <Info className="w-5 h-5 inline mr-2" />
+          Topic Catalogue
+        </h4>
+        <div className="relative">
+          <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-blue-400" />
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search topics"
+            aria-label="Search topics"
+            className="pl-9 p-2 text-sm border border-blue-200 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+          />
+        </div>
+      </div>
+      <p className="text-sm text-blue-700 mb-4">
+        {catalogue.length} topics: one per subdomain and enabled type. Change the types on the{' '}
+        <button onClick={onConfigureTypes} className="underline hover:text-blue-900">Topic Naming</button> tab.
+      </p>
+      <div className="overflow-x-auto max-h-96 overflow-y-auto bg-white border border-blue-200 rounded">
+        <table className="w-full">
+          <thead className="bg-blue-50 sticky top-0">
+            <tr>
+              <th className="px-4 py-2 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Topic</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Partitions</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Retention</th>
+              <th className="px-4 py-2 text-left text-xs font-medium text-blue-700 uppercase tracking-wider">Cleanup</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-blue-100">
+            {shown.map(entry => (
+              <tr key={entry.name}>
+                <td className="px-4 py-2 text-sm font-mono text-gray-900 break-all">{entry.name}</td>
+                <td className="px-4 py-2 text-sm text-gray-700">{entry.partitions}</td>
+                <td className="px-4 py-2 text-sm text-gray-700">
+                  {entry.cleanupPolicy === 'compact' ? 'Compacted' : `${entry.retentionDays} days`}
+                </td>
+                <td className="px-4 py-2 text-sm text-gray-700">{entry.cleanupPolicy}</td>
+              </tr>
+            ))}
+            {shown.length === 0 && (
+              <tr>
+                <td colSpan={4} className="px-4 py-3 text-sm text-gray-500">No topics match &quot;{search}&quot;.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TopicCatalogue;
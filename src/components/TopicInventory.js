@@ -0,0 +1,205 @@
+import React, { useState } from 'react';
+import { Layers, Plus, Trash2 } from 'lucide-react';
+import {
+  STORAGE_MODES,
+  buildTopicName,
+  createTopic,
+  enabledTopicTypes,
+  generateTopics,
+  storageModeFields,
+  summarizeWorkload,
+  topicStorageMode
+} from '../topics';
+
+const TopicInventory = ({ domain, subdomains, domainInput, topicTypes, onChange }) => {
+  const topics = domainInput.topics || [];
+  const [newTopic, setNewTopic] = useState({
+    subdomain: subdomains[0],
+    type: (enabledTopicTypes(topicTypes)[0] || topicTypes[0]).key,
+    version: 1
+  });
+
+  const newTopicName = buildTopicName(domain, newTopic.subdomain, newTopic.type, newTopic.version);
+  const nameTaken = topics.some(topic => topic.name === newTopicName);
+  const workload = summarizeWorkload(domainInput);
+
+  const updateTopicFields = (name, fields) => {
+    onChange(topics.map(topic => (topic.name === name ? { ...topic, ...fields } : topic)));
+  };
+
+  const updateTopic = (name, field, value) => updateTopicFields(name, { [field]: value });
+
+  // New topics start from their type's settings
+  const addTopic = () => {
+    const type = topicTypes.find(candidate => candidate.key === newTopic.type);
+    onChange([
+      ...topics,
+      createTopic(domain, newTopic.subdomain, newTopic.type, newTopic.version, {
+        messagesPerSecond: 100,
+        avgMessageSize: domainInput.avgMessageSize,
+        partitions: type.partitions,
+        retentionDays: type.retentionDays,
+        cleanupPolicy: type.cleanupPolicy,
+        keyCardinality: domainInput.keyCardinality
+      })
+    ]);
+  };
+
+  const numberCell = (topic, field, parse, min = '0', disabled = false) => (
+    <td className="px-4 py-2">
+      <input
+        type="number"
+        min={min}
+        value={topic[field]}
+        disabled={disabled}
+        onChange={(e) => updateTopic(topic.name, field, parse(e.target.value) || 0)}
+        className="w-24 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100"
+      />
+    </td>
+  );
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h4 className="text-lg font-semibold text-gray-800 flex items-center">
+          <Layers className="w-5 h-5 mr-2" />
+          Topic Inventory
+        </h4>
+        {topics.length > 0 && (
+          <button
+            onClick={() => onChange([])}
+            className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-white"
+          >
+            Revert to Domain Profile
+          </button>
+        )}
+      </div>
+
+      {topics.length === 0 ? (
+        <div className="text-sm text-gray-600 space-y-3">
+          <p>
+            This domain is sized from the profile above. Generate a topic inventory from the topic
+            catalogue to give each topic its own throughput, message size, partitions, retention and
+            storage mode.
+          </p>
+          <button
+            onClick={() => onChange(generateTopics(domain, subdomains, domainInput, topicTypes))}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Generate Topic Inventory
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          <div className="overflow-x-auto">
+            <table className="w-full bg-white border border-gray-200 rounded-lg">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topic</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Msg/s</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size (bytes)</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Partitions</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Retention (days)</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Storage</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Keys</th>
+                  <th className="px-4 py-3"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {topics.map(topic => {
+                  const mode = topicStorageMode(topic);
+                  return (
+                    <tr key={topic.name}>
+                      <td className="px-4 py-2 text-sm font-mono text-gray-900">{topic.name}</td>
+                      {numberCell(topic, 'messagesPerSecond', parseFloat)}
+                      {numberCell(topic, 'avgMessageSize', value => parseInt(value), '1')}
+                      {numberCell(topic, 'partitions', value => parseInt(value), '1')}
+                      {numberCell(topic, 'retentionDays', parseFloat, '1', mode !== 'delete')}
+                      <td className="px-4 py-2">
+                        <select
+                          value={mode}
+                          onChange={(e) => updateTopicFields(topic.name, storageModeFields(e.target.value))}
+                          className="p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                        >
+                          {STORAGE_MODES.map(({ key, label }) => (
+                            <option key={key} value={key}>{label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      {numberCell(topic, 'keyCardinality', value => parseInt(value), '0', mode !== 'compact')}
+                      <td className="px-4 py-2">
+                        <button
+                          onClick={() => onChange(topics.filter(existing => existing.name !== topic.name))}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded"
+                          title="Remove topic"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+                <tr className="bg-gray-50 font-medium">
+                  <td className="px-4 py-2 text-sm text-gray-900">Domain total ({workload.topics} topics)</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{workload.messagesPerSecond.toLocaleString()}</td>
+                  <td className="px-4 py-2 text-sm text-gray-900">
+                    {workload.messagesPerSecond > 0 ? Math.round(workload.bytesPerSecond / workload.messagesPerSecond) : 0} avg
+                  </td>
+                  <td className="px-4 py-2 text-sm text-gray-900">{workload.partitions.toLocaleString()}</td>
+                  <td colSpan="4"></td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-3">
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Subdomain</label>
+              <select
+                value={newTopic.subdomain}
+                onChange={(e) => setNewTopic(prev => ({ ...prev, subdomain: e.target.value }))}
+                className="p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {subdomains.map(subdomain => (
+                  <option key={subdomain} value={subdomain}>{subdomain}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Type</label>
+              <select
+                value={newTopic.type}
+                onChange={(e) => setNewTopic(prev => ({ ...prev, type: e.target.value }))}
+                className="p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {topicTypes.map(type => (
+                  <option key={type.key} value={type.key}>{type.key}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-xs text-gray-600 mb-1">Version</label>
+              <input
+                type="number"
+                min="1"
+                value={newTopic.version}
+                onChange={(e) => setNewTopic(prev => ({ ...prev, version: parseInt(e.target.value) || 1 }))}
+                className="w-20 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              />
+            </div>
+            <button
+              onClick={addTopic}
+              disabled={nameTaken}
+              className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:bg-gray-300"
+            >
+              <Plus className="w-4 h-4" />
+              Add {newTopicName}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TopicInventory;
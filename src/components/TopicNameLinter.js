@@ -0,0 +1,141 @@
+import React, { useMemo, useState } from 'react';
+import { CheckCircle, FileUp, SpellCheck } from 'lucide-react';
+import { lintTopicNames, readTopicNames } from '../topicNames';
+import { enabledTopicTypes } from '../topics';
+
+const complianceColour = compliance => {
+  if (compliance >= 90) return 'text-green-700';
+  if (compliance >= 60) return 'text-amber-700';
+  return 'text-red-700';
+};
+
+const TopicNameLinter = ({ text, domainConfig, topicTypes, onTextChange }) => {
+  const [showCompliant, setShowCompliant] = useState(false);
+  const typeKeys = useMemo(() => enabledTopicTypes(topicTypes).map(type => type.key), [topicTypes]);
+  const { names, internal } = useMemo(() => readTopicNames(text), [text]);
+  const report = useMemo(() => lintTopicNames(names, domainConfig, typeKeys), [names, domainConfig, typeKeys]);
+  const shown = showCompliant ? report.results : report.results.filter(result => !result.compliant);
+
+  const readUpload = event => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (file) file.text().then(onTextChange);
+  };
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+          <SpellCheck className="w-8 h-8 mr-3 text-blue-600" />
+          Topic Name Linter
+        </h3>
+        <p className="text-gray-600 mt-2">
+          Check existing topics against <code>{'{domain}.{subdomain}.{type}.v{version}'}</code>, where the type is
+          one of the enabled topic types: {typeKeys.join(', ')}. Paste names one per line, or upload the output of{' '}
+          <code>kafka-topics --list</code>. Internal topics starting with an underscore are skipped.
+        </p>
+      </div>
+
+      <div className="space-y-3">
+        <textarea
+          value={text}
+          onChange={(e) => onTextChange(e.target.value)}
+          rows={8}
+          placeholder={'cust.marketing.events.v1\nhols.booking.commands.v2'}
+          aria-label="Topic names"
+          className="w-full p-3 text-sm font-mono border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+        />
+        <div className="flex flex-wrap items-center gap-3">
+          <label className="inline-flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors cursor-pointer">
+            <FileUp className="w-4 h-4" />
+            Upload Topic List
+            <input type="file" accept="text/plain,text/csv,.txt,.csv" onChange={readUpload} className="hidden" />
+          </label>
+          {text && (
+            <button
+              onClick={() => onTextChange('')}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+            >
+              Clear
+            </button>
+          )}
+          {internal > 0 && (
+            <span className="text-sm text-gray-500">{internal} internal topic{internal > 1 ? 's' : ''} skipped</span>
+          )}
+        </div>
+      </div>
+
+      {report.results.length > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+            <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+              <div className="text-sm text-gray-600">All Topics</div>
+              <div className={`text-2xl font-bold ${complianceColour(report.compliance)}`}>
+                {report.compliance.toFixed(0)}%
+              </div>
+              <div className="text-xs text-gray-500">{report.compliant} of {report.results.length} compliant</div>
+            </div>
+            {report.byDomain.map(domain => (
+              <div key={domain.domain || 'unrecognised'} className="bg-white border border-gray-200 rounded-lg p-4">
+                <div className="text-sm text-gray-600">{domain.name}</div>
+                <div className={`text-2xl font-bold ${complianceColour(domain.compliance)}`}>
+                  {domain.compliance.toFixed(0)}%
+                </div>
+                <div className="text-xs text-gray-500">{domain.compliant} of {domain.total} compliant</div>
+              </div>
+            ))}
+          </div>
+
+          <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+            <div className="flex items-center justify-between bg-gray-50 px-6 py-4 border-b border-gray-200">
+              <h4 className="text-xl font-semibold text-gray-800">Findings</h4>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input type="checkbox" checked={showCompliant} onChange={(e) => setShowCompliant(e.target.checked)} />
+                Show compliant topics
+              </label>
+            </div>
+            {shown.length === 0 ? (
+              <div className="flex items-center px-6 py-4 text-sm text-green-700">
+                <CheckCircle className="w-5 h-5 mr-2" />
+                Every topic follows the naming convention.
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="w-full">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Topic</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Issues</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Suggested Name</th>
+                    </tr>
+                  </thead>
+                  <tbody className="bg-white divide-y divide-gray-200">
+                    {shown.map(result => (
+                      <tr key={result.name} className="hover:bg-gray-50 align-top">
+                        <td className="px-4 py-2 text-sm font-mono text-gray-900 break-all">{result.name}</td>
+                        <td className="px-4 py-2 text-sm text-gray-700">
+                          {result.compliant ? (
+                            <span className="text-green-700">Compliant</span>
+                          ) : (
+                            <ul className="space-y-1">
+                              {result.issues.map(issue => <li key={issue}>{issue}</li>)}
+                            </ul>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-sm font-mono text-gray-900 break-all">
+                          {result.suggestion || <span className="font-sans text-gray-400">No suggestion</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TopicNameLinter;
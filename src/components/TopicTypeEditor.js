@@ -0,0 +1,86 @@
+import React from 'react';
+import { CLEANUP_POLICIES, enabledTopicTypes, updateTopicType } from '../topics';
+
+const field = 'w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500 disabled:bg-gray-100';
+
+const TopicTypeEditor = ({ topicTypes, onChange }) => {
+  // The catalogue needs at least one type, so the last enabled one stays on
+  const enabledCount = enabledTopicTypes(topicTypes).length;
+  const update = (key, changes) => onChange(updateTopicType(topicTypes, key, changes));
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+      <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+        <h4 className="text-xl font-semibold text-gray-800">Topic Types</h4>
+        <p className="text-sm text-gray-600 mt-1">
+          Every subdomain gets one topic of each enabled type. The catalogue sets each domain&apos;s topic
+          count, and generated inventories start from these settings.
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="w-full">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Enabled</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Partitions</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Retention (days)</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Cleanup Policy</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {topicTypes.map(type => (
+              <tr key={type.key} className="hover:bg-gray-50">
+                <td className="px-4 py-3">
+                  <input
+                    type="checkbox"
+                    checked={type.enabled}
+                    disabled={type.enabled && enabledCount === 1}
+                    onChange={(e) => update(type.key, { enabled: e.target.checked })}
+                    aria-label={`Enable ${type.label}`}
+                  />
+                </td>
+                <td className="px-4 py-3 text-sm">
+                  <div className="font-medium text-gray-900">{type.label}</div>
+                  <div className="text-xs font-mono text-gray-500">{type.key}</div>
+                </td>
+                <td className="px-4 py-3">
+                  <input
+                    type="number"
+                    min="1"
+                    value={type.partitions}
+                    onChange={(e) => update(type.key, { partitions: Math.max(1, parseInt(e.target.value) || 1) })}
+                    className={field}
+                  />
+                </td>
+                <td className="px-4 py-3">
+                  <input
+                    type="number"
+                    min="1"
+                    value={type.retentionDays}
+                    disabled={type.cleanupPolicy === 'compact'}
+                    onChange={(e) => update(type.key, { retentionDays: Math.max(1, parseFloat(e.target.value) || 1) })}
+                    className={field}
+                  />
+                </td>
+                <td className="px-4 py-3">
+                  <select
+                    value={type.cleanupPolicy}
+                    onChange={(e) => update(type.key, { cleanupPolicy: e.target.value })}
+                    className={field}
+                  >
+                    {CLEANUP_POLICIES.map(policy => (
+                      <option key={policy} value={policy}>{policy}</option>
+                    ))}
+                  </select>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default TopicTypeEditor;
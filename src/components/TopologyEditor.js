@@ -0,0 +1,155 @@
+import React, { useState } from 'react';
+import { Network, Plus, Server, Trash2 } from 'lucide-react';
+import { resolveClusterMode } from '../environments';
+import {
+  addCluster,
+  assignDomain,
+  findAssignedCluster,
+  removeCluster,
+  renameCluster,
+  validateClusterName
+} from '../topology';
+
+const iconButton = 'p-1 text-gray-500 rounded hover:bg-gray-100 hover:text-gray-700 disabled:opacity-30 disabled:hover:bg-transparent';
+const field = 'w-full p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500';
+
+const TopologyEditor = ({ topology, domainConfig, environments, clusterMode, clusters, onChange }) => {
+  const [newClusters, setNewClusters] = useState({});
+  const [errors, setErrors] = useState({});
+
+  const createCluster = env => {
+    const name = newClusters[env] || '';
+    const error = validateClusterName(topology, name);
+    setErrors(prev => ({ ...prev, [env]: error }));
+    if (error) return;
+    onChange(addCluster(topology, env, name));
+    setNewClusters(prev => ({ ...prev, [env]: '' }));
+  };
+
+  // What a domain gets when it is not in a named cluster
+  const defaultLabel = environment => (resolveClusterMode(environment, clusterMode) === 'single'
+    ? `${environment.label} shared`
+    : 'Own cluster');
+
+  return (
+    <div className="space-y-8">
+      <div>
+        <h3 className="text-2xl font-bold text-gray-800 flex items-center">
+          <Network className="w-8 h-8 mr-3 text-blue-600" />
+          Cluster Topology
+        </h3>
+        <p className="text-gray-600 mt-2">
+          Name clusters in each environment and choose which domains run on them. Domains left on the default
+          follow the environment&apos;s cluster layout. Each cluster is sized and priced from the combined load of
+          its domains.
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {environments.map(environment => {
+          const named = topology.clusters.filter(cluster => cluster.env === environment.key);
+          return (
+            <div key={environment.key} className="border border-gray-200 rounded-lg overflow-hidden">
+              <div className="bg-gray-50 px-4 py-3 border-b border-gray-200">
+                <h4 className="font-medium text-gray-800">{environment.label}</h4>
+                <p className="text-xs text-gray-500 mt-1">Default: {defaultLabel(environment).toLowerCase()}</p>
+              </div>
+              <ul className="divide-y divide-gray-100">
+                {named.map(cluster => (
+                  <li key={cluster.id} className="flex items-center gap-2 px-4 py-2">
+                    <Server className="w-4 h-4 text-gray-500" />
+                    <input
+                      type="text"
+                      value={cluster.name}
+                      onChange={(e) => onChange(renameCluster(topology, cluster.id, e.target.value))}
+                      className="flex-1 p-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                    <span className="w-28 text-xs text-gray-500 text-right">
+                      {clusters[cluster.id]
+                        ? `${clusters[cluster.id].ecku} ${clusters[cluster.id].unit}s · ${clusters[cluster.id].tier}`
+                        : 'No domains'}
+                    </span>
+                    <button
+                      onClick={() => onChange(removeCluster(topology, cluster.id))}
+                      className={iconButton}
+                      title="Remove cluster"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+                {named.length === 0 && (
+                  <li className="px-4 py-2 text-sm text-gray-500">No named clusters</li>
+                )}
+              </ul>
+              <div className="flex gap-2 px-4 py-3 border-t border-gray-100">
+                <input
+                  type="text"
+                  value={newClusters[environment.key] || ''}
+                  placeholder="New cluster, e.g. Core services"
+                  onChange={(e) => setNewClusters(prev => ({ ...prev, [environment.key]: e.target.value }))}
+                  onKeyDown={(e) => e.key === 'Enter' && createCluster(environment.key)}
+                  className="flex-1 p-2 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+                />
+                <button
+                  onClick={() => createCluster(environment.key)}
+                  className="flex items-center gap-1 px-3 py-1 text-xs border border-gray-300 rounded hover:bg-gray-50"
+                >
+                  <Plus className="w-3 h-3" /> Add Cluster
+                </button>
+              </div>
+              {errors[environment.key] && (
+                <div className="px-4 pb-3 text-xs text-red-600">{errors[environment.key]}</div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+        <div className="bg-gray-50 px-6 py-4 border-b border-gray-200">
+          <h4 className="text-xl font-semibold text-gray-800">Domain Placement</h4>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Domain</th>
+                {environments.map(environment => (
+                  <th key={environment.key} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    {environment.label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {Object.entries(domainConfig).map(([domain, config]) => (
+                <tr key={domain} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 whitespace-nowrap text-sm font-medium text-gray-900">{config.name}</td>
+                  {environments.map(environment => (
+                    <td key={environment.key} className="px-4 py-3">
+                      <select
+                        value={findAssignedCluster(topology, environment.key, domain)?.id || ''}
+                        onChange={(e) => onChange(assignDomain(topology, environment.key, domain, e.target.value || null))}
+                        className={field}
+                      >
+                        <option value="">{defaultLabel(environment)}</option>
+                        {topology.clusters
+                          .filter(cluster => cluster.env === environment.key)
+                          .map(cluster => (
+                            <option key={cluster.id} value={cluster.id}>{cluster.name}</option>
+                          ))}
+                      </select>
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TopologyEditor;
@@ -0,0 +1,176 @@
+import React, { useMemo, useState } from 'react';
+import { SlidersHorizontal } from 'lucide-react';
+import {
+  SENSITIVITY_SWINGS,
+  WHAT_IF_FACTORS,
+  analyseSensitivity,
+  createDefaultWhatIf,
+  isWhatIfNeutral,
+  sizeWhatIf
+} from '../whatIf';
+
+const formatPounds = value => `£${Math.round(value).toLocaleString()}`;
+
+const formatDelta = (value, baseline) => {
+  const percent = baseline ? (value / baseline) * 100 : 0;
+  return `${value >= 0 ? '+' : '-'}${formatPounds(Math.abs(value))} (${value >= 0 ? '+' : '-'}${Math.abs(percent).toFixed(1)}%)`;
+};
+
+const CHART_WIDTH = 640;
+const LABEL_WIDTH = 130;
+const ROW_HEIGHT = 36;
+
+// Bars for each factor's low and high total either side of the current total,
+// widest first
+const TornadoChart = ({ analysis }) => {
+  const { baseline, factors } = analysis;
+  const spread = Math.max(1, ...factors.flatMap(({ lowCost, highCost }) => [
+    Math.abs(lowCost - baseline),
+    Math.abs(highCost - baseline)
+  ]));
+  const half = (CHART_WIDTH - LABEL_WIDTH - 100) / 2;
+  const centre = LABEL_WIDTH + 50 + half;
+  const x = cost => centre + ((cost - baseline) / spread) * half;
+  const height = factors.length * ROW_HEIGHT + 24;
+
+  return (
+    <svg viewBox={`0 0 ${CHART_WIDTH} ${height}`} className="w-full" role="img" aria-label="Sensitivity of monthly total to each input">
+      {factors.map(({ key, label, lowCost, highCost }, index) => {
+        const y = index * ROW_HEIGHT + 8;
+        return (
+          <g key={key}>
+            <text x={LABEL_WIDTH - 8} y={y + 17} textAnchor="end" className="text-xs" fill="#374151">{label}</text>
+            {[{ cost: lowCost, colour: '#2563eb', side: 'low' }, { cost: highCost, colour: '#dc2626', side: 'high' }].map(({ cost, colour, side }) => (
+              <g key={side}>
+                <rect
+                  x={Math.min(x(cost), centre)}
+                  y={y + 4}
+                  width={Math.max(Math.abs(x(cost) - centre), 1)}
+                  height={ROW_HEIGHT - 12}
+                  fill={colour}
+                  opacity="0.8"
+                />
+                <text
+                  x={x(cost) + (cost < baseline ? -4 : 4)}
+                  y={y + 17}
+                  textAnchor={cost < baseline ? 'end' : 'start'}
+                  className="text-xs"
+                  fill="#4b5563"
+                >
+                  {cost === baseline ? '' : formatPounds(cost)}
+                </text>
+              </g>
+            ))}
+          </g>
+        );
+      })}
+      <line x1={centre} y1="4" x2={centre} y2={height - 16} stroke="#111827" strokeWidth="1" />
+      <text x={centre} y={height - 2} textAnchor="middle" className="text-xs" fill="#111827">{formatPounds(baseline)}</text>
+    </svg>
+  );
+};
+
+const WhatIfPanel = ({ whatIf, onChange, estate, baselineTotals }) => {
+  const [swing, setSwing] = useState(0.2);
+  const whatIfTotals = useMemo(() => sizeWhatIf({ ...estate, whatIf }).totals, [estate, whatIf]);
+  const analysis = useMemo(() => analyseSensitivity({ ...estate, whatIf, swing }), [estate, whatIf, swing]);
+  const costDelta = whatIfTotals.totalCost - baselineTotals.totalCost;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-lg overflow-hidden">
+      <div className="flex flex-wrap items-center justify-between gap-3 bg-gray-50 px-6 py-4 border-b border-gray-200">
+        <div>
+          <h4 className="text-xl font-semibold text-gray-800 flex items-center">
+            <SlidersHorizontal className="w-5 h-5 mr-2" />
+            What-if
+          </h4>
+          <p className="text-sm text-gray-600 mt-1">
+            Multiply inputs across every domain, topic and environment override. The saved plan is not changed.
+          </p>
+        </div>
+        {!isWhatIfNeutral(whatIf) && (
+          <button
+            onClick={() => onChange(createDefaultWhatIf())}
+            className="px-3 py-1 text-sm border border-gray-300 rounded hover:bg-white"
+          >
+            Reset
+          </button>
+        )}
+      </div>
+
+      <div className="p-6 space-y-6">
+        <div className="grid md:grid-cols-2 gap-6">
+          {WHAT_IF_FACTORS.map(({ key, label, min, max, step }) => (
+            <div key={key}>
+              <div className="flex justify-between text-sm mb-1">
+                <label htmlFor={`what-if-${key}`} className="font-medium text-gray-700">{label}</label>
+                <span className="text-gray-900">×{whatIf[key].toFixed(2)}</span>
+              </div>
+              <input
+                id={`what-if-${key}`}
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={whatIf[key]}
+                onChange={(e) => onChange({ ...whatIf, [key]: parseFloat(e.target.value) })}
+                className="w-full"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-gray-50 border border-gray-200 rounded-lg p-4">
+            <div className="text-sm text-gray-600">Planned Monthly Total</div>
+            <div className="text-2xl font-bold text-gray-900">{formatPounds(baselineTotals.totalCost)}</div>
+            <div className="text-xs text-gray-500">{baselineTotals.totalECKUs} ECKUs</div>
+          </div>
+          <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+            <div className="text-sm text-blue-700">What-if Monthly Total</div>
+            <div className="text-2xl font-bold text-blue-900">{formatPounds(whatIfTotals.totalCost)}</div>
+            <div className="text-xs text-blue-700">{whatIfTotals.totalECKUs} ECKUs</div>
+          </div>
+          <div className={`border rounded-lg p-4 ${costDelta > 0 ? 'bg-red-50 border-red-200' : 'bg-green-50 border-green-200'}`}>
+            <div className="text-sm text-gray-600">Change</div>
+            <div className={`text-2xl font-bold ${costDelta > 0 ? 'text-red-700' : 'text-green-700'}`}>
+              {formatDelta(costDelta, baselineTotals.totalCost)}
+            </div>
+            <div className="text-xs text-gray-500">
+              {costDelta >= 0 ? '+' : '-'}{formatPounds(Math.abs(costDelta * 12))} a year
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+            <h5 className="font-medium text-gray-800">Sensitivity</h5>
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              Move each input by
+              <select
+                value={swing}
+                onChange={(e) => setSwing(parseFloat(e.target.value))}
+                className="p-1 text-sm border border-gray-300 rounded focus:ring-1 focus:ring-blue-500 focus:border-blue-500"
+              >
+                {SENSITIVITY_SWINGS.map(option => (
+                  <option key={option} value={option}>±{option * 100}%</option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <p className="text-sm text-gray-600 mb-3">
+            Monthly total with one input lowered (blue) or raised (red) from the what-if above, most influential first.
+          </p>
+          <TornadoChart analysis={analysis} />
+          <ul className="mt-2 text-xs text-gray-500 space-y-1">
+            {analysis.factors.filter(({ range }) => range === 0).map(({ key, label }) => (
+              <li key={key}>{label} has no effect on cost under the current price book and plan.</li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WhatIfPanel;
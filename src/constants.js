@@ -0,0 +1,95 @@
+// Constants
+export const ENVIRONMENTS = ['dev', 'tst', 'pre', 'prd'];
+export const ENVIRONMENT_LABELS = {
+  dev: 'Development',
+  tst: 'Testing', 
+  pre: 'Staging',
+  prd: 'Production'
+};
+
+export const BUSINESS_DOMAINS = {
+  cust: {
+    name: 'Customer',
+    subdomains: ['marketing', 'customer_engagement_and_personalisation', 'customer_management', 'sales', 'loyalty']
+  },
+  comm: {
+    name: 'Commercial',
+    subdomains: ['trading_and_revenue_management', 'network_and_scheduling', 'commercial_partnerships', 'passenger_reservation_and_management', 'product_and_offer_management']
+  },
+  corp: {
+    name: 'Corporate',
+    subdomains: ['people', 'facilities', 'finance_and_risk', 'legal_and_compliance']
+  },
+  aops: {
+    name: 'Airline Operations',
+    subdomains: ['airport_operations', 'engineering_and_safety', 'scheduling_and_crew_rostering', 'aircraft_and_crew_management', 'flight_operations']
+  },
+  hols: {
+    name: 'easyJet Holidays',
+    subdomains: ['search_compare', 'itinerary', 'scheduling', 'payment', 'availability', 'booking', 'notification', 'support']
+  }
+};
+
+// Default networking type for each environment's clusters
+export const DEFAULT_NETWORKING = {
+  dev: 'public',
+  tst: 'public',
+  pre: 'privateLink',
+  prd: 'privateLink'
+};
+
+// Cluster cost lines, in the order they are reported
+export const CLUSTER_COST_LINES = [
+  { key: 'ecku', label: 'ECKUs' },
+  { key: 'storage', label: 'Time-bounded Storage' },
+  { key: 'infiniteStorage', label: 'Infinite Retention Storage' },
+  { key: 'compactedStorage', label: 'Compacted Storage' },
+  { key: 'ingress', label: 'Ingress' },
+  { key: 'egress', label: 'Egress' },
+  { key: 'internetEgress', label: 'Internet Egress' },
+  { key: 'crossAz', label: 'Cross-AZ Traffic' },
+  { key: 'networking', label: 'Private Networking' }
+];
+
+// Add-ons billed to an environment rather than to its clusters
+export const ADD_ON_COST_LINES = [
+  { key: 'governance', label: 'Stream Governance' },
+  { key: 'ksqldb', label: 'ksqlDB' },
+  { key: 'flink', label: 'Flink' },
+  { key: 'connectors', label: 'Managed Connectors' }
+];
+
+export const COST_LINES = [...CLUSTER_COST_LINES, ...ADD_ON_COST_LINES];
+
+// Dimensions a cluster type is sized on. Each price book tier gives the
+// capacity of one unit under the same key.
+export const CAPACITY_DIMENSIONS = [
+  { key: 'ingressMBps', label: 'Ingress', unit: 'MB/s' },
+  { key: 'egressMBps', label: 'Egress', unit: 'MB/s' },
+  { key: 'partitions', label: 'Partitions', unit: '' },
+  { key: 'connections', label: 'Client connections', unit: '' },
+  { key: 'connectionAttemptsPerSecond', label: 'Connection attempts', unit: '/s' },
+  { key: 'requestsPerSecond', label: 'Requests', unit: '/s' }
+];
+
+// Guidance shown on the Cost Summary and in exported reports
+export const BEST_PRACTICES = [
+  {
+    title: 'Topic Design',
+    items: [
+      'Use consistent naming: {domain}.{subdomain}.{type}.v{version}',
+      'Size partitions for peak throughput and consumer parallelism, not more',
+      'Set appropriate retention based on business needs',
+      'Use Schema Registry for data governance'
+    ]
+  },
+  {
+    title: 'Performance & Cost',
+    items: [
+      'Enable compression (snappy/lz4) to reduce costs',
+      'Monitor ECKU utilization and scale accordingly',
+      'Use dedicated clusters for production workloads',
+      'Implement proper consumer group strategies'
+    ]
+  }
+];
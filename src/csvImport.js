@@ -0,0 +1,210 @@
+import { BUSINESS_DOMAINS } from './constants';
+import { CLEANUP_POLICIES, buildTopicName, createDefaultTopicTypes, createTopic, enabledTopicTypes } from './topics';
+
+// Split CSV text into rows of fields, honouring quoted fields
+export const parseCsv = text => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Accepted spellings of each column, compared lower-case without punctuation
+const COLUMN_ALIASES = {
+  domain: ['domain', 'domaincode'],
+  subdomain: ['subdomain'],
+  type: ['type', 'topictype'],
+  version: ['version'],
+  topic: ['topic', 'topicname'],
+  messagesPerSecond: ['messagespersecond', 'msgs', 'msgspersec', 'msgpersec', 'throughput'],
+  avgMessageSize: ['avgmessagesize', 'messagesize', 'avgsize', 'sizebytes'],
+  partitions: ['partitions'],
+  retentionDays: ['retentiondays', 'retention'],
+  cleanupPolicy: ['cleanuppolicy', 'cleanup']
+};
+
+const NUMBER_COLUMNS = ['messagesPerSecond', 'avgMessageSize', 'partitions', 'retentionDays', 'version'];
+
+const columnKey = header => {
+  const normalized = header.toLowerCase().replace(/[^a-z]/g, '');
+  return Object.keys(COLUMN_ALIASES).find(key => COLUMN_ALIASES[key].includes(normalized));
+};
+
+// Match a domain by its code or display name
+const findDomain = (domainConfig, value) => {
+  const needle = value.trim().toLowerCase();
+  return Object.keys(domainConfig).find(domain =>
+    domain === needle || domainConfig[domain].name.toLowerCase() === needle
+  );
+};
+
+// Read throughput rows from CSV. Rows naming a topic, or a subdomain and
+// type, update that topic; rows naming only a domain update its profile.
+// Topic rows must use one of the scenario's enabled topic types.
+export const readThroughputCsv = (text, domainConfig = BUSINESS_DOMAINS, topicTypes = createDefaultTopicTypes()) => {
+  const [header = [], ...lines] = parseCsv(text);
+  const typeKeys = enabledTopicTypes(topicTypes).map(type => type.key);
+  const columns = header.map(columnKey);
+  const errors = [];
+  const rows = [];
+
+  if (!columns.includes('domain') && !columns.includes('topic')) {
+    return { rows, errors: [{ line: 1, message: 'Header needs a domain or topic column' }] };
+  }
+  if (!columns.includes('messagesPerSecond')) {
+    return { rows, errors: [{ line: 1, message: 'Header needs a messagesPerSecond column' }] };
+  }
+
+  lines.forEach((fields, index) => {
+    const line = index + 2;
+    const values = {};
+    columns.forEach((key, column) => {
+      const value = (fields[column] || '').trim();
+      if (key && value !== '') values[key] = value;
+    });
+
+    const invalid = NUMBER_COLUMNS.find(key => values[key] !== undefined && !(Number(values[key]) >= 0));
+    if (invalid) {
+      errors.push({ line, message: `${invalid} "${values[invalid]}" is not a non-negative number` });
+      return;
+    }
+    NUMBER_COLUMNS.forEach(key => {
+      if (values[key] !== undefined) values[key] = Number(values[key]);
+    });
+
+    // A full topic name carries its domain, subdomain, type and version
+    if (values.topic) {
+      const match = values.topic.match(/^([^.]+)\.([^.]+)\.([^.]+)\.v(\d+)$/);
+      if (!match) {
+        errors.push({ line, message: `Topic "${values.topic}" does not follow {domain}.{subdomain}.{type}.v{version}` });
+        return;
+      }
+      [, values.domain, values.subdomain, values.type] = match;
+      values.version = Number(match[4]);
+    }
+
+    const domain = values.domain && findDomain(domainConfig, values.domain);
+    if (!domain) {
+      errors.push({ line, message: `Unknown domain "${values.domain || ''}"` });
+      return;
+    }
+
+    if (!values.subdomain && !values.type) {
+      rows.push({ line, kind: 'domain', domain, values });
+      return;
+    }
+
+    if (!domainConfig[domain].subdomains.includes(values.subdomain)) {
+      errors.push({ line, message: `Unknown subdomain "${values.subdomain || ''}" in ${domain}` });
+      return;
+    }
+    if (!typeKeys.includes(values.type)) {
+      errors.push({ line, message: `Topic type must be one of ${typeKeys.join(', ')}` });
+      return;
+    }
+    if (values.cleanupPolicy && !CLEANUP_POLICIES.includes(values.cleanupPolicy)) {
+      errors.push({ line, message: `Cleanup policy must be one of ${CLEANUP_POLICIES.join(', ')}` });
+      return;
+    }
+
+    rows.push({ line, kind: 'topic', domain, values: { version: 1, ...values } });
+  });
+
+  return { rows, errors };
+};
+
+const pick = (values, fields) => Object.fromEntries(
+  fields.filter(field => values[field] !== undefined).map(field => [field, values[field]])
+);
+
+// Merge imported rows into the plan. Topic rows update or add topics in the
+// inventory of domains sized from one; domain rows update the profile of
+// domains sized without one.
+export const mergeThroughputRows = (inputs, rows) => {
+  const merged = { ...inputs };
+  const errors = [];
+  let applied = 0;
+
+  rows.forEach(({ line, kind, domain, values }) => {
+    const domainInput = merged[domain];
+    if (!domainInput) {
+      errors.push({ line, message: `Domain "${domain}" is not in this plan` });
+      return;
+    }
+
+    if (kind === 'domain') {
+      if (domainInput.topics.length > 0) {
+        errors.push({ line, message: `${domain} is sized from its topic inventory; import per-topic rows instead` });
+        return;
+      }
+      merged[domain] = {
+        ...domainInput,
+        ...pick(values, ['messagesPerSecond', 'avgMessageSize', 'retentionDays']),
+        ...(values.partitions !== undefined ? { partitionsPerTopic: values.partitions } : {})
+      };
+      applied++;
+      return;
+    }
+
+    if (domainInput.topics.length === 0) {
+      errors.push({ line, message: `${domain} is sized from its domain profile; import a domain row or generate its topic inventory first` });
+      return;
+    }
+
+    const name = buildTopicName(domain, values.subdomain, values.type, values.version);
+    const updates = pick(values, ['messagesPerSecond', 'avgMessageSize', 'partitions', 'retentionDays', 'cleanupPolicy']);
+    const exists = domainInput.topics.some(topic => topic.name === name);
+    const topics = exists
+      ? domainInput.topics.map(topic => (topic.name === name ? { ...topic, ...updates } : topic))
+      : [
+        ...domainInput.topics,
+        {
+          ...createTopic(domain, values.subdomain, values.type, values.version, {
+            messagesPerSecond: 0,
+            avgMessageSize: domainInput.avgMessageSize,
+            partitions: domainInput.partitionsPerTopic,
+            retentionDays: domainInput.retentionDays
+          }),
+          ...updates
+        }
+      ];
+
+    merged[domain] = { ...domainInput, topics };
+    applied++;
+  });
+
+  return { inputs: merged, applied, errors };
+};
@@ -0,0 +1,108 @@
+import { mergeThroughputRows, parseCsv, readThroughputCsv } from './csvImport';
+import { createDefaultInputs } from './sizing';
+import { createDefaultTopicTypes, generateTopics, updateTopicType } from './topics';
+import { BUSINESS_DOMAINS } from './constants';
+
+describe('parseCsv', () => {
+  test('handles quoted fields and CRLF line endings', () => {
+    expect(parseCsv('a,b\r\n"x, y","say ""hi"""\r\n\r\n')).toEqual([
+      ['a', 'b'],
+      ['x, y', 'say "hi"']
+    ]);
+  });
+});
+
+describe('readThroughputCsv', () => {
+  test('reads domain rows and topic rows with flexible headers', () => {
+    const { rows, errors } = readThroughputCsv([
+      'Domain,Messages Per Second,Avg Message Size,Subdomain,Type',
+      'Customer,2500,512,,',
+      'hols,300,,booking,events'
+    ].join('\n'));
+
+    expect(errors).toEqual([]);
+    expect(rows).toEqual([
+      { line: 2, kind: 'domain', domain: 'cust', values: { domain: 'Customer', messagesPerSecond: 2500, avgMessageSize: 512 } },
+      { line: 3, kind: 'topic', domain: 'hols', values: { version: 1, domain: 'hols', messagesPerSecond: 300, subdomain: 'booking', type: 'events' } }
+    ]);
+  });
+
+  test('reports bad rows by line and keeps the rest', () => {
+    const { rows, errors } = readThroughputCsv([
+      'topic,msg/s',
+      'cust.sales.events.v2,100',
+      'cust.sales.events,100',
+      'mystery.sales.events.v1,100',
+      'cust.nowhere.events.v1,100',
+      'cust.sales.events.v1,fast'
+    ].join('\n'));
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0].values.version).toBe(2);
+    expect(errors.map(error => error.line)).toEqual([3, 4, 5, 6]);
+  });
+
+  test('requires a throughput column', () => {
+    expect(readThroughputCsv('domain,notes\ncust,x').errors[0].message).toBe('Header needs a messagesPerSecond column');
+  });
+
+  test('accepts only enabled topic types', () => {
+    const topicTypes = updateTopicType(createDefaultTopicTypes(), 'commands', { enabled: false });
+    const { rows, errors } = readThroughputCsv([
+      'topic,messagesPerSecond',
+      'cust.sales.commands.v1,100',
+      'cust.sales.state.v1,100',
+      'cust.sales.events.v1,100'
+    ].join('\n'), BUSINESS_DOMAINS, topicTypes);
+
+    expect(rows.map(row => row.line)).toEqual([4]);
+    expect(errors.map(error => error.line)).toEqual([2, 3]);
+    expect(errors[0].message).toBe('Topic type must be one of events');
+  });
+});
+
+describe('mergeThroughputRows', () => {
+  test('updates domain profiles and inventory topics', () => {
+    const inputs = createDefaultInputs();
+    inputs.hols.topics = generateTopics('hols', BUSINESS_DOMAINS.hols.subdomains, inputs.hols);
+    const { rows } = readThroughputCsv([
+      'domain,subdomain,type,version,messagesPerSecond,partitions',
+      'cust,,,,2500,12',
+      'hols,booking,events,1,300,',
+      'hols,booking,events,2,50,3'
+    ].join('\n'));
+
+    const merged = mergeThroughputRows(inputs, rows);
+    const bookingV1 = merged.inputs.hols.topics.find(topic => topic.name === 'hols.booking.events.v1');
+    const bookingV2 = merged.inputs.hols.topics.find(topic => topic.name === 'hols.booking.events.v2');
+
+    expect(merged.applied).toBe(3);
+    expect(merged.inputs.cust.messagesPerSecond).toBe(2500);
+    expect(merged.inputs.cust.partitionsPerTopic).toBe(12);
+    expect(bookingV1.messagesPerSecond).toBe(300);
+    expect(bookingV2).toMatchObject({ messagesPerSecond: 50, partitions: 3, retentionDays: 7 });
+    expect(inputs.cust.messagesPerSecond).toBe(1000);
+  });
+
+  test('refuses domain rows for domains sized from an inventory', () => {
+    const inputs = createDefaultInputs();
+    inputs.hols.topics = generateTopics('hols', BUSINESS_DOMAINS.hols.subdomains, inputs.hols);
+    const { rows } = readThroughputCsv('domain,messagesPerSecond\nhols,9000');
+
+    const merged = mergeThroughputRows(inputs, rows);
+
+    expect(merged.applied).toBe(0);
+    expect(merged.errors[0].message).toMatch('topic inventory');
+  });
+
+  test('refuses topic rows for domains sized from their profile', () => {
+    const inputs = createDefaultInputs();
+    const { rows } = readThroughputCsv('topic,messagesPerSecond\ncust.sales.events.v1,300');
+
+    const merged = mergeThroughputRows(inputs, rows);
+
+    expect(merged.applied).toBe(0);
+    expect(merged.errors[0].message).toMatch('domain profile');
+    expect(merged.inputs.cust.topics).toEqual([]);
+  });
+});
@@ -0,0 +1,118 @@
+import { BUSINESS_DOMAINS } from './constants';
+import { buildTopicName, catalogueTopicCount, createDefaultTopicTypes } from './topics';
+
+// Domain codes and subdomain names appear in topic names, so keep them to
+// lower-case letters, digits and underscores
+const DOMAIN_CODE_PATTERN = /^[a-z][a-z0-9]{1,9}$/;
+const SUBDOMAIN_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+// Ordered domain configuration a new scenario starts from
+export const createDefaultDomains = () => Object.entries(BUSINESS_DOMAINS).map(([code, domain]) => ({
+  code,
+  name: domain.name,
+  archived: false,
+  subdomains: domain.subdomains.map(name => ({ name, archived: false }))
+}));
+
+// Live domains keyed by code, with only their live subdomains, in order
+export const domainLookup = domains => Object.fromEntries(
+  domains
+    .filter(domain => !domain.archived)
+    .map(domain => [domain.code, {
+      name: domain.name,
+      subdomains: domain.subdomains.filter(subdomain => !subdomain.archived).map(subdomain => subdomain.name)
+    }])
+);
+
+// Inputs for live domains only, in configured order, leaving out topics of
+// archived subdomains and counting profile topics from the topic catalogue.
+// Archived domains keep their inputs for when they return.
+export const selectPlannedInputs = (inputs, domains, topicTypes = createDefaultTopicTypes()) => {
+  const planned = {};
+  Object.entries(domainLookup(domains)).forEach(([code, domain]) => {
+    if (!inputs[code]) return;
+    planned[code] = {
+      ...inputs[code],
+      topicsCount: catalogueTopicCount(domain.subdomains, topicTypes),
+      topics: inputs[code].topics.filter(topic => domain.subdomains.includes(topic.subdomain))
+    };
+  });
+  return planned;
+};
+
+// Fill in anything missing from a saved configuration
+export const normalizeDomains = domains => {
+  if (!Array.isArray(domains) || domains.length === 0) return createDefaultDomains();
+  return domains
+    .filter(domain => domain && typeof domain.code === 'string')
+    .map(domain => ({
+      code: domain.code,
+      name: domain.name || domain.code,
+      archived: Boolean(domain.archived),
+      subdomains: (domain.subdomains || []).map(subdomain => (
+        typeof subdomain === 'string'
+          ? { name: subdomain, archived: false }
+          : { name: subdomain.name, archived: Boolean(subdomain.archived) }
+      ))
+    }));
+};
+
+export const validateDomainCode = (domains, code) => {
+  if (!DOMAIN_CODE_PATTERN.test(code)) return 'Code must be 2-10 lower-case letters or digits, starting with a letter';
+  if (domains.some(domain => domain.code === code)) return `Code "${code}" is already used`;
+  return null;
+};
+
+export const validateSubdomainName = (domain, name, currentName = null) => {
+  if (!SUBDOMAIN_PATTERN.test(name)) return 'Use lower-case letters, digits and underscores, starting with a letter';
+  if (name !== currentName && domain.subdomains.some(subdomain => subdomain.name === name)) {
+    return `Subdomain "${name}" already exists`;
+  }
+  return null;
+};
+
+const updateDomain = (domains, code, update) =>
+  domains.map(domain => (domain.code === code ? { ...domain, ...update(domain) } : domain));
+
+const move = (list, index, offset) => {
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= list.length) return list;
+  const next = [...list];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+export const addDomain = (domains, code, name) => [
+  ...domains,
+  { code, name: name || code, archived: false, subdomains: [] }
+];
+
+export const renameDomain = (domains, code, name) => updateDomain(domains, code, () => ({ name }));
+
+export const setDomainArchived = (domains, code, archived) => updateDomain(domains, code, () => ({ archived }));
+
+export const moveDomain = (domains, code, offset) =>
+  move(domains, domains.findIndex(domain => domain.code === code), offset);
+
+export const addSubdomain = (domains, code, name) => updateDomain(domains, code, domain => ({
+  subdomains: [...domain.subdomains, { name, archived: false }]
+}));
+
+export const renameSubdomain = (domains, code, from, to) => updateDomain(domains, code, domain => ({
+  subdomains: domain.subdomains.map(subdomain => (subdomain.name === from ? { ...subdomain, name: to } : subdomain))
+}));
+
+export const setSubdomainArchived = (domains, code, name, archived) => updateDomain(domains, code, domain => ({
+  subdomains: domain.subdomains.map(subdomain => (subdomain.name === name ? { ...subdomain, archived } : subdomain))
+}));
+
+export const moveSubdomain = (domains, code, name, offset) => updateDomain(domains, code, domain => ({
+  subdomains: move(domain.subdomains, domain.subdomains.findIndex(subdomain => subdomain.name === name), offset)
+}));
+
+// Carry a subdomain rename through to the topic names in an inventory
+export const renameTopicsForSubdomain = (topics, code, from, to) => topics.map(topic => (
+  topic.subdomain === from
+    ? { ...topic, subdomain: to, name: buildTopicName(code, to, topic.type, topic.version) }
+    : topic
+));
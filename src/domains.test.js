@@ -0,0 +1,75 @@
+import {
+  addDomain,
+  createDefaultDomains,
+  domainLookup,
+  moveSubdomain,
+  renameSubdomain,
+  renameTopicsForSubdomain,
+  selectPlannedInputs,
+  setDomainArchived,
+  setSubdomainArchived,
+  validateDomainCode,
+  validateSubdomainName
+} from './domains';
+import { createDefaultInputs } from './sizing';
+import { createDefaultTopicTypes, createTopic, updateTopicType } from './topics';
+
+const PROFILE = { messagesPerSecond: 10, avgMessageSize: 1024, partitions: 6, retentionDays: 7 };
+
+describe('business domains', () => {
+  test('leave archived domains and subdomains out of the lookup', () => {
+    let domains = setDomainArchived(createDefaultDomains(), 'aops', true);
+    domains = setSubdomainArchived(domains, 'cust', 'marketing', true);
+    const lookup = domainLookup(domains);
+
+    expect(lookup.aops).toBeUndefined();
+    expect(lookup.cust.subdomains).not.toContain('marketing');
+  });
+
+  test('size only live domains, in configured order, without archived subdomain topics', () => {
+    let domains = addDomain(createDefaultDomains(), 'pay', 'Payments');
+    domains = setDomainArchived(domains, 'aops', true);
+    domains = setSubdomainArchived(domains, 'cust', 'marketing', true);
+    const inputs = createDefaultInputs(domains);
+    inputs.cust.topics = [
+      createTopic('cust', 'marketing', 'events', 1, PROFILE),
+      createTopic('cust', 'sales', 'events', 1, PROFILE)
+    ];
+
+    const planned = selectPlannedInputs(inputs, domains);
+
+    expect(Object.keys(planned)).not.toContain('aops');
+    expect(Object.keys(planned).pop()).toBe('pay');
+    expect(planned.cust.topics.map(topic => topic.subdomain)).toEqual(['sales']);
+    expect(inputs.aops).toBeDefined();
+  });
+
+  test('count profile topics from the topic catalogue', () => {
+    const domains = setSubdomainArchived(createDefaultDomains(), 'cust', 'marketing', true);
+    const topicTypes = updateTopicType(createDefaultTopicTypes(), 'dlq', { enabled: true });
+
+    expect(selectPlannedInputs(createDefaultInputs(domains), domains).cust.topicsCount).toBe(8);
+    expect(selectPlannedInputs(createDefaultInputs(domains), domains, topicTypes).cust.topicsCount).toBe(12);
+  });
+
+  test('validate new codes and subdomain names', () => {
+    const domains = createDefaultDomains();
+
+    expect(validateDomainCode(domains, 'pay')).toBeNull();
+    expect(validateDomainCode(domains, 'cust')).toBe('Code "cust" is already used');
+    expect(validateDomainCode(domains, 'Pay')).toMatch(/lower-case/);
+    expect(validateSubdomainName(domains[0], 'referrals')).toBeNull();
+    expect(validateSubdomainName(domains[0], 'marketing')).toBe('Subdomain "marketing" already exists');
+    expect(validateSubdomainName(domains[0], 'marketing', 'marketing')).toBeNull();
+  });
+
+  test('rename and reorder subdomains, carrying renames into topic names', () => {
+    const renamed = renameSubdomain(createDefaultDomains(), 'cust', 'marketing', 'campaigns');
+    const domains = moveSubdomain(renamed, 'cust', 'campaigns', 1);
+    const topics = [createTopic('cust', 'marketing', 'events', 2, PROFILE)];
+
+    expect(domains[0].subdomains[1].name).toBe('campaigns');
+    expect(renameTopicsForSubdomain(topics, 'cust', 'marketing', 'campaigns')[0])
+      .toMatchObject({ subdomain: 'campaigns', name: 'cust.campaigns.events.v2' });
+  });
+});
@@ -0,0 +1,22 @@
+// Trigger a browser download of generated content
+export const downloadFile = (content, filename, type) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  // Release the blob once the browser has started the download
+  setTimeout(() => window.URL.revokeObjectURL(url), 0);
+};
+
+// Date stamp used in exported file names
+export const fileDateStamp = () => new Date().toISOString().split('T')[0];
+
+// Quote a CSV field when it contains a delimiter, quote or line break
+const csvField = value => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = rows => rows.map(row => row.map(csvField).join(',')).join('\n');
@@ -0,0 +1,34 @@
+import { downloadFile, toCsv } from './download';
+
+describe('toCsv', () => {
+  test('quotes fields containing delimiters, quotes or line breaks', () => {
+    expect(toCsv([
+      ['Domain', 'Notes'],
+      ['Holidays, Travel', 'say "hi"'],
+      ['Customer', 'line\nbreak']
+    ])).toBe('Domain,Notes\n"Holidays, Travel","say ""hi"""\nCustomer,"line\nbreak"');
+  });
+
+  test('writes numbers as-is and missing values as empty fields', () => {
+    expect(toCsv([[1.5, null, undefined, 0]])).toBe('1.5,,,0');
+  });
+});
+
+describe('downloadFile', () => {
+  test('releases the object URL after starting the download', () => {
+    jest.useFakeTimers();
+    window.URL.createObjectURL = jest.fn(() => 'blob:report');
+    window.URL.revokeObjectURL = jest.fn();
+    const click = jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    downloadFile('a,b', 'report.csv', 'text/csv');
+
+    expect(click).toHaveBeenCalled();
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.runAllTimers();
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:report');
+
+    click.mockRestore();
+    jest.useRealTimers();
+  });
+});
@@ -0,0 +1,97 @@
+import { ENVIRONMENTS, ENVIRONMENT_LABELS } from './constants';
+
+// Environment keys appear in cluster names and exports, so keep them short
+const ENVIRONMENT_KEY_PATTERN = /^[a-z][a-z0-9]{1,9}$/;
+
+export const AVAILABILITY_OPTIONS = {
+  single: 'Single zone',
+  multi: 'Multi-zone'
+};
+
+// Per-environment cluster layout; null follows the scenario's Cluster Architecture
+export const ENVIRONMENT_CLUSTER_MODES = {
+  single: 'Shared across domains',
+  domain: 'One per domain'
+};
+
+// Share of the production load each default environment carries
+const DEFAULT_SCALES = { dev: 0.1, tst: 0.3, pre: 0.7, prd: 1.0 };
+
+// Add-ons an environment runs beside its clusters: a Stream Governance
+// package, ksqlDB CSUs, Flink CFUs and managed connectors
+export const createDefaultAddOns = () => ({
+  governance: 'none',
+  ksqldbCsus: 0,
+  flinkCfus: 0,
+  connectorTasks: 0,
+  connectorThroughputMBps: 0
+});
+
+const createEnvironment = (key, label, defaultScale = 1) => ({
+  key,
+  label: label || key,
+  defaultScale,
+  clusterMode: null,
+  clusterType: 'auto', // or a price book tier to pin every cluster to
+  replicationFactor: null, // null keeps each domain's own setting
+  retentionDays: null,
+  availability: 'multi',
+  addOns: createDefaultAddOns()
+});
+
+// Ordered environment configuration a new scenario starts from
+export const createDefaultEnvironments = () =>
+  ENVIRONMENTS.map(env => createEnvironment(env, ENVIRONMENT_LABELS[env], DEFAULT_SCALES[env]));
+
+export const environmentLabels = environments =>
+  Object.fromEntries(environments.map(environment => [environment.key, environment.label]));
+
+// Cluster layout an environment actually uses
+export const resolveClusterMode = (environment, clusterMode) => environment?.clusterMode || clusterMode;
+
+const positiveOrNull = value => (typeof value === 'number' && value > 0 ? value : null);
+
+// Fill in anything missing from a saved configuration
+export const normalizeEnvironments = environments => {
+  if (!Array.isArray(environments) || environments.length === 0) return createDefaultEnvironments();
+  return environments
+    .filter(environment => environment && typeof environment.key === 'string')
+    .map(environment => {
+      const defaults = createEnvironment(environment.key, environment.label, DEFAULT_SCALES[environment.key]);
+      return {
+        ...defaults,
+        ...environment,
+        clusterMode: ENVIRONMENT_CLUSTER_MODES[environment.clusterMode] ? environment.clusterMode : null,
+        replicationFactor: positiveOrNull(environment.replicationFactor),
+        retentionDays: positiveOrNull(environment.retentionDays),
+        availability: AVAILABILITY_OPTIONS[environment.availability] ? environment.availability : 'multi',
+        addOns: { ...defaults.addOns, ...environment.addOns }
+      };
+    });
+};
+
+export const validateEnvironmentKey = (environments, key) => {
+  if (!ENVIRONMENT_KEY_PATTERN.test(key)) return 'Key must be 2-10 lower-case letters or digits, starting with a letter';
+  if (environments.some(environment => environment.key === key)) return `Key "${key}" is already used`;
+  return null;
+};
+
+export const addEnvironment = (environments, key, label, defaultScale = 1) => [
+  ...environments,
+  createEnvironment(key, label, defaultScale)
+];
+
+export const updateEnvironment = (environments, key, changes) =>
+  environments.map(environment => (environment.key === key ? { ...environment, ...changes } : environment));
+
+export const removeEnvironment = (environments, key) =>
+  environments.filter(environment => environment.key !== key);
+
+export const moveEnvironment = (environments, key, offset) => {
+  const index = environments.findIndex(environment => environment.key === key);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= environments.length) return environments;
+  const next = [...environments];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
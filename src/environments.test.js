@@ -0,0 +1,36 @@
+import {
+  addEnvironment,
+  createDefaultEnvironments,
+  environmentLabels,
+  moveEnvironment,
+  normalizeEnvironments,
+  resolveClusterMode,
+  validateEnvironmentKey
+} from './environments';
+
+describe('environments', () => {
+  test('start from dev, tst, pre and prd following the scenario cluster mode', () => {
+    const environments = createDefaultEnvironments();
+
+    expect(environments.map(environment => environment.key)).toEqual(['dev', 'tst', 'pre', 'prd']);
+    expect(environmentLabels(environments).pre).toBe('Staging');
+    expect(resolveClusterMode(environments[0], 'domain')).toBe('domain');
+  });
+
+  test('fill in policies missing from a saved configuration', () => {
+    const [perf] = normalizeEnvironments([{ key: 'perf', label: 'Performance', availability: 'none', retentionDays: -1 }]);
+
+    expect(perf).toMatchObject({ clusterMode: null, clusterType: 'auto', availability: 'multi', retentionDays: null });
+    expect(normalizeEnvironments(undefined)).toEqual(createDefaultEnvironments());
+  });
+
+  test('validate keys and reorder', () => {
+    const environments = addEnvironment(createDefaultEnvironments(), 'dr', 'Disaster Recovery');
+
+    expect(validateEnvironmentKey(environments, 'dr')).toBe('Key "dr" is already used');
+    expect(validateEnvironmentKey(environments, 'Perf')).toMatch(/lower-case/);
+    expect(validateEnvironmentKey(environments, 'sandbox')).toBeNull();
+    expect(moveEnvironment(environments, 'dr', -1).map(environment => environment.key))
+      .toEqual(['dev', 'tst', 'pre', 'dr', 'prd']);
+  });
+});
@@ -0,0 +1,158 @@
+import { DEFAULT_NETWORKING } from './constants';
+import { createDefaultEnvironments } from './environments';
+import { createDefaultTopology } from './topology';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+import { sizeEstate } from './sizing';
+
+export const GROWTH_MODES = [
+  { key: 'compound', label: 'Compound % per month' },
+  { key: 'steps', label: 'Step changes on dates' }
+];
+
+export const FORECAST_HORIZONS = [1, 2, 3, 4, 5];
+
+const currentMonth = () => new Date().toISOString().slice(0, 7);
+
+export const createDefaultForecast = () => ({
+  startMonth: currentMonth(),
+  horizonYears: 3
+});
+
+// Month n months after a YYYY-MM month
+export const addMonths = (month, count) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  const date = new Date(Date.UTC(year, monthNumber - 1 + count, 1));
+  return date.toISOString().slice(0, 7);
+};
+
+// Multiplier on a domain's base load in a given month of the forecast
+export const growthFactor = (growth, monthIndex, month) => {
+  if (!growth) return 1;
+
+  if (growth.mode === 'steps') {
+    return (growth.steps || [])
+      .filter(step => step.month && step.month <= month)
+      .reduce((factor, step) => factor * (1 + step.percent / 100), 1);
+  }
+
+  return Math.pow(1 + (growth.monthlyRatePercent || 0) / 100, monthIndex);
+};
+
+// Scale a domain's message rate, including every topic in its inventory.
+// Storage follows because retained bytes are derived from throughput.
+export const scaleDomainInput = (domainInput, factor) => ({
+  ...domainInput,
+  messagesPerSecond: domainInput.messagesPerSecond * factor,
+  topics: (domainInput.topics || []).map(topic => ({
+    ...topic,
+    messagesPerSecond: topic.messagesPerSecond * factor
+  }))
+});
+
+// ECKUs and tier of every cluster in the estate, keyed by cluster id. Only
+// a domain's own cluster names the domain.
+const clusterSnapshot = totals => Object.fromEntries(Object.values(totals.clusters).map(cluster => [
+  cluster.id,
+  {
+    cluster: cluster.name,
+    domain: cluster.kind === 'domain' ? cluster.domains[0] : null,
+    env: cluster.env,
+    ecku: cluster.ecku,
+    tier: cluster.tier
+  }
+]));
+
+// Project the estate month by month over the planning horizon, noting each
+// month a cluster needs more ECKUs or moves tier
+export const forecastEstate = ({
+  inputs,
+  clusterMode = 'single',
+  pricing = DEFAULT_PRICE_BOOK,
+  networking = DEFAULT_NETWORKING,
+  environments = createDefaultEnvironments(),
+  topology = createDefaultTopology(),
+  forecast = createDefaultForecast()
+}) => {
+  const months = [];
+  const crossings = [];
+  const snapshots = [];
+  // History held by each domain's infinite-retention topics, in months of its
+  // base rate. It starts from the backlog the plan holds and gains each
+  // month's traffic, so storage keeps growing even at a constant rate.
+  const held = {};
+
+  for (let index = 0; index < forecast.horizonYears * 12; index++) {
+    const month = addMonths(forecast.startMonth, index);
+    const grown = {};
+    Object.keys(inputs).forEach(domain => {
+      const factor = growthFactor(inputs[domain].growth, index, month);
+      held[domain] = index === 0 ? inputs[domain].retentionHorizonMonths * factor : held[domain] + factor;
+      // Sizing reads the history as months at the grown rate
+      grown[domain] = {
+        ...scaleDomainInput(inputs[domain], factor),
+        retentionHorizonMonths: factor > 0 ? held[domain] / factor : 0
+      };
+    });
+
+    const { totals } = sizeEstate({ inputs: grown, clusterMode, pricing, networking, environments, topology });
+    const clusters = clusterSnapshot(totals);
+
+    const environmentECKUs = {};
+    environments.forEach(({ key: env }) => {
+      const envClusters = Object.values(clusters).filter(cluster => cluster.env === env);
+      if (envClusters.length > 0) {
+        environmentECKUs[env] = envClusters.reduce((sum, cluster) => sum + cluster.ecku, 0);
+      }
+    });
+
+    if (index > 0) {
+      const previous = snapshots[index - 1];
+      Object.keys(clusters).forEach(key => {
+        const before = previous[key];
+        const after = clusters[key];
+        if (before && (before.ecku !== after.ecku || before.tier !== after.tier)) {
+          crossings.push({
+            month,
+            index,
+            cluster: after.cluster,
+            domain: after.domain,
+            env: after.env,
+            fromECKUs: before.ecku,
+            toECKUs: after.ecku,
+            fromTier: before.tier,
+            toTier: after.tier
+          });
+        }
+      });
+    }
+    snapshots.push(clusters);
+
+    months.push({
+      index,
+      month,
+      monthly: totals.totalCost,
+      totalECKUs: totals.totalECKUs,
+      totalStorage: totals.totalStorage,
+      environmentECKUs
+    });
+  }
+
+  // Roll the months up into plan years with a running total
+  const years = [];
+  let cumulative = 0;
+  for (let year = 0; year < forecast.horizonYears; year++) {
+    const yearMonths = months.slice(year * 12, year * 12 + 12);
+    const cost = yearMonths.reduce((sum, month) => sum + month.monthly, 0);
+    cumulative += cost;
+    years.push({
+      year: year + 1,
+      startMonth: yearMonths[0].month,
+      endMonth: yearMonths[yearMonths.length - 1].month,
+      cost,
+      cumulative,
+      endECKUs: yearMonths[yearMonths.length - 1].totalECKUs
+    });
+  }
+
+  return { months, crossings, years, totalCost: cumulative };
+};
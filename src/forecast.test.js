@@ -0,0 +1,102 @@
+import { addMonths, forecastEstate, growthFactor, scaleDomainInput } from './forecast';
+import { createDefaultInputs, sizeEstate } from './sizing';
+import { createTopic } from './topics';
+
+describe('addMonths', () => {
+  test('rolls over year ends', () => {
+    expect(addMonths('2025-11', 3)).toBe('2026-02');
+    expect(addMonths('2025-01', 0)).toBe('2025-01');
+  });
+});
+
+describe('growthFactor', () => {
+  test('compounds a monthly rate', () => {
+    const growth = { mode: 'compound', monthlyRatePercent: 10, steps: [] };
+    expect(growthFactor(growth, 0, '2025-01')).toBe(1);
+    expect(growthFactor(growth, 2, '2025-03')).toBeCloseTo(1.21);
+  });
+
+  test('applies step changes from their month onwards', () => {
+    const growth = {
+      mode: 'steps',
+      monthlyRatePercent: 10,
+      steps: [{ month: '2025-04', percent: 50 }, { month: '2025-10', percent: 100 }]
+    };
+    expect(growthFactor(growth, 2, '2025-03')).toBe(1);
+    expect(growthFactor(growth, 3, '2025-04')).toBe(1.5);
+    expect(growthFactor(growth, 9, '2025-10')).toBe(3);
+  });
+});
+
+describe('scaleDomainInput', () => {
+  test('scales the profile and every inventory topic', () => {
+    const domainInput = {
+      ...createDefaultInputs().cust,
+      topics: [{ name: 'cust.profile.events.v1', messagesPerSecond: 200 }]
+    };
+    const scaled = scaleDomainInput(domainInput, 2);
+
+    expect(scaled.messagesPerSecond).toBe(2000);
+    expect(scaled.topics[0].messagesPerSecond).toBe(400);
+    expect(domainInput.topics[0].messagesPerSecond).toBe(200);
+  });
+});
+
+describe('forecastEstate', () => {
+  test('matches the steady state when nothing grows', () => {
+    const inputs = createDefaultInputs();
+    const { totals } = sizeEstate({ inputs });
+    const projection = forecastEstate({ inputs, forecast: { startMonth: '2025-01', horizonYears: 2 } });
+
+    expect(projection.months).toHaveLength(24);
+    expect(projection.crossings).toEqual([]);
+    expect(projection.years[0].cost).toBeCloseTo(totals.totalCost * 12);
+    expect(projection.years[1].cumulative).toBeCloseTo(totals.totalCost * 24);
+  });
+
+  test('reports when a cluster crosses an ECKU or tier threshold', () => {
+    const inputs = createDefaultInputs();
+    inputs.cust.growth = { mode: 'steps', monthlyRatePercent: 0, steps: [{ month: '2025-07', percent: 9900 }] };
+
+    const projection = forecastEstate({
+      inputs,
+      clusterMode: 'domain',
+      forecast: { startMonth: '2025-01', horizonYears: 1 }
+    });
+    const custPrd = projection.crossings.find(crossing => crossing.domain === 'cust' && crossing.env === 'prd');
+
+    expect(custPrd.month).toBe('2025-07');
+    expect(custPrd.toECKUs).toBeGreaterThan(custPrd.fromECKUs);
+    expect(projection.crossings.every(crossing => crossing.domain === 'cust')).toBe(true);
+    expect(projection.months[6].monthly).toBeGreaterThan(projection.months[5].monthly);
+  });
+
+  test('grows infinite-retention storage with every month elapsed', () => {
+    const inputs = createDefaultInputs();
+    inputs.cust.infiniteRetention = true;
+
+    const projection = forecastEstate({ inputs, forecast: { startMonth: '2025-01', horizonYears: 2 } });
+    const storage = projection.months.map(month => month.totalStorage);
+
+    expect(storage[0]).toBeCloseTo(sizeEstate({ inputs }).totals.totalStorage);
+    expect(storage[1]).toBeGreaterThan(storage[0]);
+    expect(storage[23]).toBeGreaterThan(storage[12]);
+    expect(projection.months[23].monthly).toBeGreaterThan(projection.months[0].monthly);
+  });
+
+  test('grows domains sized from their topic inventory', () => {
+    const inputs = createDefaultInputs();
+    const profile = { messagesPerSecond: 500, avgMessageSize: 2048, partitions: 6, retentionDays: 7 };
+    inputs.cust.topics = [createTopic('cust', 'marketing', 'events', 1, profile)];
+    inputs.cust.growth = { mode: 'compound', monthlyRatePercent: 10, steps: [] };
+
+    const projection = forecastEstate({ inputs, forecast: { startMonth: '2025-01', horizonYears: 1 } });
+    const [first, last] = [projection.months[0], projection.months[11]];
+    const { results, totals } = sizeEstate({ inputs });
+    const custStorage = Object.values(results.cust).reduce((sum, result) => sum + result.storageGB, 0);
+
+    expect(first.totalStorage).toBeCloseTo(totals.totalStorage);
+    expect(last.totalStorage - first.totalStorage).toBeCloseTo(custStorage * (Math.pow(1.1, 11) - 1));
+    expect(last.monthly).toBeGreaterThan(first.monthly);
+  });
+});
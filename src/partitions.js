@@ -0,0 +1,118 @@
+// Partition counts from the throughput a topic must carry and how many
+// consumers read it in parallel. A partition is written by one producer
+// stream and read by one consumer in a group, so both sides bound it.
+
+// Per-partition rates a topic can sustain when nothing else is planned
+export const DEFAULT_PRODUCER_MBPS_PER_PARTITION = 10;
+export const DEFAULT_CONSUMER_MBPS_PER_PARTITION = 5;
+
+// More than this many times the recommendation is flagged as over-partitioned
+export const OVER_PARTITION_FACTOR = 2;
+
+export const PARTITION_DRIVERS = {
+  producer: 'Producer throughput',
+  consumer: 'Consumer throughput',
+  parallelism: 'Consumer parallelism'
+};
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Compressed peak MB/s a topic carries, as it is sized on the cluster
+const peakThroughputMBps = (messagesPerSecond, avgMessageSize, domainInput) =>
+  (messagesPerSecond * avgMessageSize * domainInput.peakMultiplier * domainInput.compressionRatio) / BYTES_PER_MB;
+
+// Partitions each driver needs, and the one that sets the recommendation
+export const recommendPartitions = ({
+  throughputMBps,
+  producerMBpsPerPartition,
+  consumerMBpsPerPartition,
+  maxConsumerInstances
+}) => {
+  const needs = {
+    producer: Math.ceil(throughputMBps / producerMBpsPerPartition),
+    consumer: Math.ceil(throughputMBps / consumerMBpsPerPartition),
+    parallelism: maxConsumerInstances
+  };
+  const driver = Object.keys(needs).reduce((best, key) => (needs[key] > needs[best] ? key : best));
+  return { partitions: Math.max(1, needs[driver]), driver, needs };
+};
+
+const formatMBps = value => `${value.toLocaleString(undefined, { maximumFractionDigits: 1 })} MB/s`;
+
+const underReason = (driver, recommendation, input) => {
+  if (driver === 'parallelism') {
+    return `${input.maxConsumerInstances} consumer instances can only share ${input.current} partitions`;
+  }
+  const rate = driver === 'producer' ? input.producerMBpsPerPartition : input.consumerMBpsPerPartition;
+  const side = driver === 'producer' ? 'producing' : 'consuming';
+  return `${side} ${formatMBps(input.throughputMBps)} at peak needs ${recommendation.partitions} partitions at ${formatMBps(rate)} each`;
+};
+
+// Share of one cluster unit's partition allowance the surplus partitions use.
+// Types without a partition limit are not charged for them.
+const surplusShare = (surplus, tierDetails) =>
+  (tierDetails?.partitions ? (surplus / tierDetails.partitions) * 100 : null);
+
+// Check one topic's partition count. Counts below the recommendation throttle
+// the topic; counts well above it take partition allowance the cluster type
+// prices in, pushing the cluster to more units sooner.
+const assessTopic = (input, tierDetails) => {
+  const recommendation = recommendPartitions(input);
+  const { current, copies } = input;
+  let status = 'ok';
+  let message = `Sized for ${PARTITION_DRIVERS[recommendation.driver].toLowerCase()}`;
+
+  if (current < recommendation.partitions) {
+    status = 'under';
+    message = `Under-partitioned: ${underReason(recommendation.driver, recommendation, input)}`;
+  } else if (current > recommendation.partitions * OVER_PARTITION_FACTOR) {
+    status = 'over';
+    const surplus = (current - recommendation.partitions) * copies;
+    const share = surplusShare(surplus, tierDetails);
+    message = `Over-partitioned: ${surplus} partitions more than needed`;
+    if (share !== null) {
+      message += `, using ${share.toFixed(0)}% of a ${tierDetails.name} ${tierDetails.unit}'s ${tierDetails.partitions} partition allowance`;
+    }
+  }
+
+  return {
+    ...input,
+    recommended: recommendation.partitions,
+    driver: recommendation.driver,
+    needs: recommendation.needs,
+    status,
+    message
+  };
+};
+
+// Recommend partitions for each topic in a domain's inventory, or for the
+// average topic of its profile when it has none. The tier is the one the
+// domain is sized to, and prices any surplus partitions.
+export const assessPartitions = (domainInput, tierDetails = null) => {
+  const rates = {
+    producerMBpsPerPartition: domainInput.producerMBpsPerPartition,
+    consumerMBpsPerPartition: domainInput.consumerMBpsPerPartition
+  };
+  const topics = domainInput.topics || [];
+
+  if (topics.length === 0) {
+    const topicsCount = Math.max(1, domainInput.topicsCount);
+    return [assessTopic({
+      name: null,
+      copies: topicsCount,
+      current: domainInput.partitionsPerTopic,
+      throughputMBps: peakThroughputMBps(domainInput.messagesPerSecond / topicsCount, domainInput.avgMessageSize, domainInput),
+      maxConsumerInstances: domainInput.maxConsumerInstances,
+      ...rates
+    }, tierDetails)];
+  }
+
+  return topics.map(topic => assessTopic({
+    name: topic.name,
+    copies: 1,
+    current: topic.partitions,
+    throughputMBps: peakThroughputMBps(topic.messagesPerSecond, topic.avgMessageSize, domainInput),
+    maxConsumerInstances: topic.maxConsumerInstances ?? domainInput.maxConsumerInstances,
+    ...rates
+  }, tierDetails));
+};
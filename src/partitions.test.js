@@ -0,0 +1,61 @@
+import { assessPartitions, recommendPartitions } from './partitions';
+import { createDefaultInputs } from './sizing';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+import { createTopic } from './topics';
+
+const MB = 1024 * 1024;
+
+// A topic carrying mbps at peak once the default peak multiplier and
+// compression are applied
+const topicAt = (name, mbps, partitions) => createTopic('cust', name, 'events', 1, {
+  messagesPerSecond: (mbps * MB) / (1000 * 2.5 * 0.65),
+  avgMessageSize: 1000,
+  partitions,
+  retentionDays: 7
+});
+
+describe('recommendPartitions', () => {
+  test('covers producer and consumer throughput and consumer parallelism', () => {
+    const rates = { producerMBpsPerPartition: 10, consumerMBpsPerPartition: 5, maxConsumerInstances: 4 };
+
+    expect(recommendPartitions({ ...rates, throughputMBps: 42 })).toMatchObject({
+      partitions: 9,
+      driver: 'consumer',
+      needs: { producer: 5, consumer: 9, parallelism: 4 }
+    });
+    expect(recommendPartitions({ ...rates, throughputMBps: 1 })).toMatchObject({ partitions: 4, driver: 'parallelism' });
+    expect(recommendPartitions({ ...rates, throughputMBps: 0, maxConsumerInstances: 0 }).partitions).toBe(1);
+  });
+});
+
+describe('assessPartitions', () => {
+  test('recommends for the average profile topic', () => {
+    const [profile] = assessPartitions({ ...createDefaultInputs().cust, partitionsPerTopic: 30 }, DEFAULT_PRICE_BOOK.ecku.standard);
+
+    expect(profile).toMatchObject({ name: null, copies: 10, current: 30, recommended: 6, status: 'over' });
+    expect(profile.message).toBe('Over-partitioned: 240 partitions more than needed, using 24% of a Standard eCKU\'s 1000 partition allowance');
+  });
+
+  test('flags under- and over-partitioned inventory topics', () => {
+    const domainInput = {
+      ...createDefaultInputs().cust,
+      topics: [
+        { ...topicAt('sales', 40, 6), maxConsumerInstances: 2 },
+        topicAt('loyalty', 1, 24),
+        topicAt('marketing', 1, 12),
+        { ...topicAt('customer_management', 1, 6), maxConsumerInstances: 12 }
+      ]
+    };
+    const assessments = assessPartitions(domainInput);
+
+    expect(assessments.map(({ recommended, status }) => [recommended, status])).toEqual([
+      [8, 'under'],
+      [6, 'over'],
+      [6, 'ok'],
+      [12, 'under']
+    ]);
+    expect(assessments[0].message).toBe('Under-partitioned: consuming 40 MB/s at peak needs 8 partitions at 5 MB/s each');
+    expect(assessments[1].message).toBe('Over-partitioned: 18 partitions more than needed');
+    expect(assessments[3].message).toBe('Under-partitioned: 12 consumer instances can only share 6 partitions');
+  });
+});
@@ -0,0 +1,121 @@
+import { jsPDF } from 'jspdf';
+import { autoTable } from 'jspdf-autotable';
+
+const MARGIN = 15;
+const HEADER_COLOR = [37, 99, 235];
+
+// Start a section on a new page with a heading
+const startSection = (doc, title) => {
+  doc.addPage();
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.setTextColor(31, 41, 55);
+  doc.text(title, MARGIN, MARGIN + 5);
+  return MARGIN + 12;
+};
+
+// Subheading that moves to the next page rather than sit alone at the bottom
+const subheading = (doc, title, y) => {
+  const pageHeight = doc.internal.pageSize.getHeight();
+  let top = y;
+  if (top > pageHeight - MARGIN - 30) {
+    doc.addPage();
+    top = MARGIN;
+  }
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(12);
+  doc.setTextColor(55, 65, 81);
+  doc.text(title, MARGIN, top + 4);
+  return top + 7;
+};
+
+const table = (doc, { head, body, foot }, startY) => {
+  autoTable(doc, {
+    head: [head],
+    body,
+    foot,
+    startY,
+    margin: { left: MARGIN, right: MARGIN },
+    styles: { fontSize: 8, cellPadding: 1.5 },
+    headStyles: { fillColor: HEADER_COLOR },
+    footStyles: { fillColor: [243, 244, 246], textColor: [17, 24, 39] },
+    showFoot: 'lastPage'
+  });
+  return doc.lastAutoTable.finalY + 8;
+};
+
+const addPageNumbers = (doc, title) => {
+  const pageCount = doc.getNumberOfPages();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  for (let page = 2; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(107, 114, 128);
+    doc.text(title, MARGIN, pageHeight - 8);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, pageHeight - 8, { align: 'right' });
+  }
+};
+
+// Render a report from buildReport to a paginated A4 PDF
+export const renderPdfReport = report => {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  // Cover page
+  doc.setFillColor(...HEADER_COLOR);
+  doc.rect(0, 0, pageWidth, 70, 'F');
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(24);
+  doc.setTextColor(255, 255, 255);
+  doc.text(doc.splitTextToSize(report.title, pageWidth - MARGIN * 2), MARGIN, 35);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(11);
+  doc.text(`Generated ${report.generatedAt}`, MARGIN, 60);
+
+  autoTable(doc, {
+    body: report.summary,
+    startY: 85,
+    margin: { left: MARGIN, right: MARGIN },
+    theme: 'plain',
+    styles: { fontSize: 11, cellPadding: 2.5 },
+    columnStyles: { 0: { fontStyle: 'bold', cellWidth: 60 } }
+  });
+
+  let y = startSection(doc, 'Scenario Assumptions');
+  report.assumptions.forEach(section => {
+    y = subheading(doc, section.title, y);
+    y = table(doc, section, y);
+  });
+
+  y = startSection(doc, 'Results by Business Domain');
+  report.domainResults.forEach(section => {
+    y = subheading(doc, section.title, y);
+    y = table(doc, section, y);
+  });
+
+  y = startSection(doc, 'Cost Summary');
+  report.costSummary.forEach(section => {
+    y = subheading(doc, section.title, y);
+    y = table(doc, section, y);
+  });
+
+  y = startSection(doc, 'Confluent Cloud Best Practices');
+  report.bestPractices.forEach(section => {
+    y = subheading(doc, section.title, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(10);
+    doc.setTextColor(55, 65, 81);
+    section.items.forEach(item => {
+      const lines = doc.splitTextToSize(`•  ${item}`, pageWidth - MARGIN * 2);
+      doc.text(lines, MARGIN, y + 4);
+      y += lines.length * 5;
+    });
+    y += 6;
+  });
+
+  addPageNumbers(doc, report.title);
+  return doc;
+};
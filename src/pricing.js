@@ -0,0 +1,335 @@
+import { CAPACITY_DIMENSIONS } from './constants';
+import { storageProblem } from './storage';
+
+export const PRICE_BOOKS_STORAGE_KEY = 'confluent-kafka-sizing-price-books';
+
+// Confluent Cloud cluster types (GBP), smallest first. Elastic types are
+// billed per eCKU and Dedicated per CKU; each field below is the capacity of
+// one unit, and null leaves a dimension unlimited. A workload lands on the
+// first type that fits within maxUnits, skipping types that must be pinned.
+// Types can ask for more units when spread over three zones, or run in a
+// single zone only.
+export const CONFLUENT_ECKU_PRICING = {
+  basic: {
+    name: 'Basic',
+    unit: 'eCKU',
+    monthlyPrice: 75,
+    minUnits: 1,
+    maxUnits: 10,
+    ingressMBps: 25,
+    egressMBps: 75,
+    partitions: 500,
+    connections: 1000,
+    connectionAttemptsPerSecond: 80,
+    requestsPerSecond: 1500,
+    retention: '30 days',
+    singleZoneOnly: true
+  },
+  standard: {
+    name: 'Standard',
+    unit: 'eCKU',
+    monthlyPrice: 110,
+    minUnits: 1,
+    maxUnits: 10,
+    ingressMBps: 25,
+    egressMBps: 75,
+    partitions: 1000,
+    connections: 4500,
+    connectionAttemptsPerSecond: 250,
+    requestsPerSecond: 15000,
+    retention: '90 days'
+  },
+  enterprise: {
+    name: 'Enterprise',
+    unit: 'eCKU',
+    monthlyPrice: 160,
+    minUnits: 1,
+    maxUnits: 32,
+    ingressMBps: 60,
+    egressMBps: 180,
+    partitions: 3000,
+    connections: 18000,
+    connectionAttemptsPerSecond: 500,
+    requestsPerSecond: 15000,
+    retention: '365 days'
+  },
+  dedicated: {
+    name: 'Dedicated',
+    unit: 'CKU',
+    monthlyPrice: 1400,
+    minUnits: 1,
+    multiZoneMinUnits: 2,
+    maxUnits: null, // no ceiling
+    ingressMBps: 60,
+    egressMBps: 180,
+    partitions: 4500,
+    connections: 18000,
+    connectionAttemptsPerSecond: 500,
+    requestsPerSecond: 15000,
+    retention: '365 days'
+  },
+  // Trades latency for cheaper throughput, so only used when pinned
+  freight: {
+    name: 'Freight',
+    unit: 'eCKU',
+    monthlyPrice: 90,
+    minUnits: 1,
+    maxUnits: 152,
+    ingressMBps: 60,
+    egressMBps: 180,
+    partitions: 1500,
+    connections: 2000,
+    connectionAttemptsPerSecond: 250,
+    requestsPerSecond: 1000,
+    retention: '365 days',
+    pinnedOnly: true
+  }
+};
+
+// Storage pricing (per GB/month in GBP)
+export const CONFLUENT_STORAGE_PRICING = {
+  basic: 0.08, // £0.08 per GB/month
+  standard: 0.10,
+  enterprise: 0.10,
+  dedicated: 0.12,
+  freight: 0.05
+};
+
+// Networking and data-transfer pricing (GBP)
+export const CONFLUENT_NETWORKING_PRICING = {
+  dataTransfer: {
+    ingressPerGB: 0.01,
+    egressPerGB: 0.04,
+    internetEgressPerGB: 0.07, // on top of egress, for bytes leaving the cloud provider
+    crossAzPerGB: 0.008
+  },
+  types: {
+    public: { name: 'Public internet', monthlyPerCluster: 0, perGB: 0 },
+    peering: { name: 'VPC peering', monthlyPerCluster: 0, perGB: 0 },
+    transitGateway: { name: 'Transit Gateway', monthlyPerCluster: 110, perGB: 0.016 },
+    privateLink: { name: 'PrivateLink', monthlyPerCluster: 150, perGB: 0.008 }
+  }
+};
+
+// Add-ons billed per environment (GBP per month): a Stream Governance
+// package, ksqlDB and Flink compute units, and managed connector tasks plus
+// the data they move
+export const CONFLUENT_ADD_ON_PRICING = {
+  governance: {
+    none: { name: 'None', monthlyPrice: 0 },
+    essentials: { name: 'Essentials', monthlyPrice: 75 },
+    advanced: { name: 'Advanced', monthlyPrice: 580 }
+  },
+  ksqldbPerCSU: 170,
+  flinkPerCFU: 150,
+  connectorPerTask: 110,
+  connectorPerGB: 0.02
+};
+
+const ADD_ON_RATES = ['ksqldbPerCSU', 'flinkPerCFU', 'connectorPerTask', 'connectorPerGB'];
+
+// Confluent Cloud bills storage on logical bytes, one copy whatever the
+// replication factor. Physical billing charges for every replica.
+export const STORAGE_BILLING = {
+  logical: 'Logical bytes',
+  physical: 'Physical bytes (every replica)'
+};
+
+// Built-in price book, always available and never edited in place
+export const DEFAULT_PRICE_BOOK = {
+  id: 'confluent-list',
+  name: 'Confluent Cloud list prices',
+  effectiveDate: '2025-01-01',
+  currency: 'GBP',
+  builtIn: true,
+  ecku: CONFLUENT_ECKU_PRICING,
+  storage: CONFLUENT_STORAGE_PRICING,
+  storageBilling: 'logical',
+  networking: CONFLUENT_NETWORKING_PRICING,
+  addOns: CONFLUENT_ADD_ON_PRICING
+};
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+const isLimit = value => value === null || isNonNegativeNumber(value);
+
+export const createPriceBookId = () =>
+  `pb-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Copy a price book under a new id so it can be edited
+export const duplicatePriceBook = (book, name = `${book.name} (copy)`) => ({
+  ...JSON.parse(JSON.stringify(book)),
+  id: createPriceBookId(),
+  name,
+  builtIn: false
+});
+
+const UNITS = ['eCKU', 'CKU'];
+
+// Price books saved before cluster types were sized per dimension priced
+// bundles of ECKUs against cluster-wide ceilings. Convert those tiers to
+// per-unit capacities, keeping their prices.
+const upgradeTier = (tier, pricing) => {
+  if (pricing?.unit || typeof pricing?.throughputMBps !== 'number') return pricing;
+  const {
+    ecku, monthlyPrice, throughputMBps, egressMBps, maxThroughputMBps, maxEgressMBps, maxPartitions, maxConnections,
+    ...rest
+  } = pricing;
+  const bundle = ecku || 1;
+  const ingressMBps = throughputMBps / bundle;
+  const maxUnits = typeof maxThroughputMBps === 'number' ? Math.max(1, Math.floor(maxThroughputMBps / ingressMBps)) : null;
+  const perUnit = limit => (typeof limit === 'number' ? Math.floor(limit / (maxUnits || 1)) : null);
+  return {
+    ...rest,
+    unit: tier === 'dedicated' ? 'CKU' : 'eCKU',
+    monthlyPrice: monthlyPrice / bundle,
+    minUnits: 1,
+    maxUnits,
+    ingressMBps,
+    egressMBps: typeof egressMBps === 'number' ? egressMBps / bundle : null,
+    partitions: perUnit(maxPartitions),
+    connections: perUnit(maxConnections),
+    connectionAttemptsPerSecond: null,
+    requestsPerSecond: null
+  };
+};
+
+// Books saved before zone limits were priced take the list limits for the
+// types they share with it
+const upgradeZoneLimits = (tier, pricing) => {
+  const listed = CONFLUENT_ECKU_PRICING[tier];
+  if (!listed || !pricing || typeof pricing !== 'object') return pricing;
+  return {
+    ...pricing,
+    ...(listed.multiZoneMinUnits && pricing.multiZoneMinUnits === undefined && { multiZoneMinUnits: listed.multiZoneMinUnits }),
+    ...(listed.singleZoneOnly && pricing.singleZoneOnly === undefined && { singleZoneOnly: true })
+  };
+};
+
+// Books saved before storage billing was configurable are billed on logical
+// bytes, as Confluent Cloud does, and books without add-on rates get the list
+// prices
+export const upgradePriceBook = book => {
+  if (!book?.ecku || typeof book.ecku !== 'object') return book;
+  return {
+    ...book,
+    storageBilling: book.storageBilling || 'logical',
+    addOns: book.addOns || CONFLUENT_ADD_ON_PRICING,
+    ecku: Object.fromEntries(Object.entries(book.ecku).map(([tier, pricing]) => [
+      tier,
+      upgradeZoneLimits(tier, upgradeTier(tier, pricing))
+    ]))
+  };
+};
+
+// List everything wrong with a price book; an empty list means it is usable
+export const validatePriceBook = book => {
+  const errors = [];
+
+  if (!book || typeof book !== 'object') return ['Price book must be an object'];
+  if (!book.name || typeof book.name !== 'string') errors.push('Price book needs a name');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(book.effectiveDate || '')) {
+    errors.push('Effective date must be YYYY-MM-DD');
+  }
+  if (!book.ecku || typeof book.ecku !== 'object' || Object.keys(book.ecku).length === 0) {
+    errors.push('Price book needs at least one ECKU tier');
+    return errors;
+  }
+
+  Object.entries(book.ecku).forEach(([tier, pricing]) => {
+    if (!UNITS.includes(pricing?.unit)) errors.push(`${tier}.unit must be one of ${UNITS.join(', ')}`);
+    ['monthlyPrice', 'minUnits'].forEach(field => {
+      if (!isNonNegativeNumber(pricing?.[field])) errors.push(`${tier}.${field} must be a non-negative number`);
+    });
+    if (!isLimit(pricing?.maxUnits)) errors.push(`${tier}.maxUnits must be a number or null`);
+    if (pricing?.multiZoneMinUnits !== undefined && !isLimit(pricing.multiZoneMinUnits)) {
+      errors.push(`${tier}.multiZoneMinUnits must be a number or null`);
+    }
+    // Dimensions left null never constrain the tier, but ingress always does
+    CAPACITY_DIMENSIONS.forEach(({ key }) => {
+      if (!isLimit(pricing?.[key])) errors.push(`${tier}.${key} must be a number or null`);
+    });
+    if (!(pricing?.ingressMBps > 0)) errors.push(`${tier} must have a non-zero ingress capacity`);
+    if (!isNonNegativeNumber(book.storage?.[tier])) errors.push(`storage.${tier} must be a non-negative number`);
+  });
+
+  if (!STORAGE_BILLING[book.storageBilling]) {
+    errors.push(`storageBilling must be one of ${Object.keys(STORAGE_BILLING).join(', ')}`);
+  }
+
+  if (book.addOns) {
+    Object.entries(book.addOns.governance || {}).forEach(([pack, pricing]) => {
+      if (!isNonNegativeNumber(pricing?.monthlyPrice)) errors.push(`addOns.governance.${pack}.monthlyPrice must be a non-negative number`);
+    });
+    ADD_ON_RATES.forEach(field => {
+      if (!isNonNegativeNumber(book.addOns[field])) errors.push(`addOns.${field} must be a non-negative number`);
+    });
+  }
+
+  if (book.networking) {
+    Object.entries(book.networking.dataTransfer || {}).forEach(([field, rate]) => {
+      if (!isNonNegativeNumber(rate)) errors.push(`networking.dataTransfer.${field} must be a non-negative number`);
+    });
+    Object.entries(book.networking.types || {}).forEach(([type, rates]) => {
+      ['monthlyPerCluster', 'perGB'].forEach(field => {
+        if (!isNonNegativeNumber(rates?.[field])) errors.push(`networking.types.${type}.${field} must be a non-negative number`);
+      });
+    });
+  }
+
+  return errors;
+};
+
+// Parse an imported price book, throwing with every validation problem
+export const parsePriceBook = json => {
+  let book;
+  try {
+    book = upgradePriceBook(JSON.parse(json));
+  } catch (e) {
+    throw new Error('Price book is not valid JSON');
+  }
+
+  const errors = validatePriceBook(book);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  return {
+    ...book,
+    id: book.id || createPriceBookId(),
+    currency: book.currency || 'GBP',
+    networking: book.networking || CONFLUENT_NETWORKING_PRICING,
+    builtIn: false
+  };
+};
+
+export const serializePriceBook = book => {
+  const { builtIn, ...rest } = book;
+  return JSON.stringify(rest, null, 2);
+};
+
+// Load user price books, with any problem reading them
+export const loadPriceBooks = () => {
+  try {
+    const stored = typeof localStorage !== 'undefined' && localStorage.getItem(PRICE_BOOKS_STORAGE_KEY);
+    const priceBooks = stored
+      ? JSON.parse(stored)
+        .map(upgradePriceBook)
+        .filter(book => validatePriceBook(book).length === 0)
+        .map(book => ({ ...book, networking: book.networking || CONFLUENT_NETWORKING_PRICING }))
+      : [];
+    return { priceBooks, storageError: null };
+  } catch (e) {
+    return { priceBooks: [], storageError: storageProblem('load your price books', e) };
+  }
+};
+
+// Save user price books. Returns the problem saving, or null once saved.
+export const savePriceBooks = books => {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(PRICE_BOOKS_STORAGE_KEY, JSON.stringify(books));
+    }
+  } catch (e) {
+    return storageProblem('save your price books', e);
+  }
+  return null;
+};
@@ -0,0 +1,138 @@
+import {
+  DEFAULT_PRICE_BOOK,
+  PRICE_BOOKS_STORAGE_KEY,
+  duplicatePriceBook,
+  loadPriceBooks,
+  parsePriceBook,
+  savePriceBooks,
+  serializePriceBook,
+  upgradePriceBook,
+  validatePriceBook
+} from './pricing';
+
+describe('validatePriceBook', () => {
+  test('accepts the built-in price book', () => {
+    expect(validatePriceBook(DEFAULT_PRICE_BOOK)).toEqual([]);
+  });
+
+  test('reports missing rates and bad dates', () => {
+    const book = duplicatePriceBook(DEFAULT_PRICE_BOOK);
+    book.effectiveDate = 'Q3';
+    book.ecku.standard.monthlyPrice = -1;
+    delete book.storage.dedicated;
+
+    expect(validatePriceBook(book)).toEqual([
+      'Effective date must be YYYY-MM-DD',
+      'standard.monthlyPrice must be a non-negative number',
+      'storage.dedicated must be a non-negative number'
+    ]);
+  });
+
+  test('needs a known unit and an ingress capacity on every tier', () => {
+    const book = duplicatePriceBook(DEFAULT_PRICE_BOOK);
+    book.ecku.basic.unit = 'node';
+    book.ecku.basic.ingressMBps = null;
+    book.ecku.basic.requestsPerSecond = null;
+
+    expect(validatePriceBook(book)).toEqual([
+      'basic.unit must be one of eCKU, CKU',
+      'basic must have a non-zero ingress capacity'
+    ]);
+  });
+
+  test('needs a known storage billing model', () => {
+    const book = { ...duplicatePriceBook(DEFAULT_PRICE_BOOK), storageBilling: 'replicas' };
+
+    expect(validatePriceBook(book)).toEqual(['storageBilling must be one of logical, physical']);
+    expect(upgradePriceBook({ ...book, storageBilling: undefined }).storageBilling).toBe('logical');
+  });
+});
+
+describe('upgradePriceBook', () => {
+  test('converts bundled ECKU tiers to per-unit capacities', () => {
+    const book = upgradePriceBook({
+      ...DEFAULT_PRICE_BOOK,
+      ecku: {
+        standard: {
+          name: 'Standard',
+          ecku: 2,
+          monthlyPrice: 150,
+          throughputMBps: 250,
+          egressMBps: 750,
+          maxThroughputMBps: 500,
+          maxEgressMBps: 1500,
+          maxPartitions: 8000,
+          maxConnections: 500,
+          retention: '90 days'
+        }
+      }
+    });
+
+    expect(book.ecku.standard).toEqual({
+      name: 'Standard',
+      unit: 'eCKU',
+      monthlyPrice: 75,
+      minUnits: 1,
+      maxUnits: 4,
+      ingressMBps: 125,
+      egressMBps: 375,
+      partitions: 2000,
+      connections: 125,
+      connectionAttemptsPerSecond: null,
+      requestsPerSecond: null,
+      retention: '90 days'
+    });
+    expect(upgradePriceBook(DEFAULT_PRICE_BOOK)).toEqual(DEFAULT_PRICE_BOOK);
+  });
+
+  test('adds the list zone limits to books saved without them', () => {
+    const { multiZoneMinUnits, ...dedicated } = DEFAULT_PRICE_BOOK.ecku.dedicated;
+    const { singleZoneOnly, ...basic } = DEFAULT_PRICE_BOOK.ecku.basic;
+    const book = upgradePriceBook({ ...DEFAULT_PRICE_BOOK, ecku: { basic, dedicated, custom: { ...basic, name: 'Custom' } } });
+
+    expect(book.ecku.dedicated.multiZoneMinUnits).toBe(2);
+    expect(book.ecku.basic.singleZoneOnly).toBe(true);
+    expect(book.ecku.custom.singleZoneOnly).toBeUndefined();
+  });
+});
+
+describe('duplicatePriceBook', () => {
+  test('creates an editable copy that does not share tiers', () => {
+    const copy = duplicatePriceBook(DEFAULT_PRICE_BOOK, 'FY27 Q1 negotiated');
+    copy.ecku.basic.monthlyPrice = 60;
+
+    expect(copy.id).not.toBe(DEFAULT_PRICE_BOOK.id);
+    expect(copy.builtIn).toBe(false);
+    expect(copy.name).toBe('FY27 Q1 negotiated');
+    expect(DEFAULT_PRICE_BOOK.ecku.basic.monthlyPrice).toBe(75);
+  });
+});
+
+describe('parsePriceBook', () => {
+  test('round-trips an exported price book', () => {
+    const book = duplicatePriceBook(DEFAULT_PRICE_BOOK, 'FY27 Q1 negotiated');
+    const parsed = parsePriceBook(serializePriceBook(book));
+
+    expect(parsed).toEqual(book);
+  });
+
+  test('rejects invalid JSON and invalid books', () => {
+    expect(() => parsePriceBook('{')).toThrow('Price book is not valid JSON');
+    expect(() => parsePriceBook('{"name": "x"}')).toThrow('Effective date must be YYYY-MM-DD');
+  });
+});
+
+describe('price book storage', () => {
+  afterEach(() => localStorage.clear());
+
+  test('round-trips saved books and reports books it cannot read', () => {
+    const book = duplicatePriceBook(DEFAULT_PRICE_BOOK, 'Negotiated');
+    expect(savePriceBooks([book])).toBeNull();
+    expect(loadPriceBooks()).toEqual({ priceBooks: [book], storageError: null });
+
+    localStorage.setItem(PRICE_BOOKS_STORAGE_KEY, '{not json');
+    const loaded = loadPriceBooks();
+    expect(loaded.priceBooks).toEqual([]);
+    expect(loaded.storageError).toMatch(/^Browser storage could not load your price books/);
+  });
+});
@@ -0,0 +1,355 @@
+import { DEFAULT_NETWORKING } from './constants';
+import { CONFLUENT_ADD_ON_PRICING, CONFLUENT_NETWORKING_PRICING, upgradePriceBook, validatePriceBook } from './pricing';
+import { CLEANUP_POLICIES, TOPIC_TYPES, createDefaultTopicTypes, normalizeTopicTypes } from './topics';
+import { normalizeDomains } from './domains';
+import {
+  AVAILABILITY_OPTIONS,
+  ENVIRONMENT_CLUSTER_MODES,
+  createDefaultEnvironments,
+  normalizeEnvironments
+} from './environments';
+import { createDefaultTopology, normalizeTopology } from './topology';
+import { DEFAULT_TARGET_UTILISATION, normalizeTargetUtilisation } from './capacity';
+
+export const PROJECT_FILE_FORMAT = 'confluent-kafka-sizing-project';
+
+// Bump when the file layout changes, and teach parseProject to read the old one
+export const PROJECT_SCHEMA_VERSION = 5;
+
+export const CLUSTER_MODES = ['single', 'domain'];
+
+const DOMAIN_NUMBER_FIELDS = [
+  'messagesPerSecond',
+  'avgMessageSize',
+  'retentionDays',
+  'replicationFactor',
+  'partitionsPerTopic',
+  'topicsCount',
+  'peakMultiplier',
+  'compressionRatio',
+  'consumerGroups',
+  'readFanout',
+  'internetEgressShare',
+  'keyCardinality',
+  'retentionHorizonMonths',
+  'producerMBpsPerPartition',
+  'consumerMBpsPerPartition',
+  'maxConsumerInstances'
+];
+
+// Left empty, these are estimated from the topic layout
+const CLIENT_NUMBER_FIELDS = ['producerInstances', 'consumerInstances', 'requestsPerSecond'];
+
+const TOPIC_NUMBER_FIELDS = ['messagesPerSecond', 'avgMessageSize', 'partitions', 'retentionDays'];
+
+const isNonNegativeNumber = value => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Everything needed to rebuild a scenario on another machine
+export const createProjectFile = ({
+  name,
+  domains,
+  environments = createDefaultEnvironments(),
+  topology = createDefaultTopology(),
+  topicTypes = createDefaultTopicTypes(),
+  inputs,
+  clusterMode,
+  networking,
+  priceBook,
+  forecast,
+  targetUtilisation = DEFAULT_TARGET_UTILISATION
+}) => ({
+  format: PROJECT_FILE_FORMAT,
+  schemaVersion: PROJECT_SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  name,
+  clusterMode,
+  domains,
+  environments: environments.map(environment => ({ ...environment, networking: networking[environment.key] })),
+  topology,
+  topicTypes,
+  inputs,
+  forecast,
+  targetUtilisation,
+  pricing: priceBook
+});
+
+export const serializeProject = scenario => JSON.stringify(createProjectFile(scenario), null, 2);
+
+const validateDomainInput = (domain, domainInput, environmentKeys, errors) => {
+  if (!domainInput || typeof domainInput !== 'object') {
+    errors.push(`inputs.${domain} must be an object`);
+    return;
+  }
+
+  DOMAIN_NUMBER_FIELDS.forEach(field => {
+    if (domainInput[field] !== undefined && !isNonNegativeNumber(domainInput[field])) {
+      errors.push(`inputs.${domain}.${field} must be a non-negative number`);
+    }
+  });
+  if (domainInput.cleanupPolicy !== undefined && !CLEANUP_POLICIES.includes(domainInput.cleanupPolicy)) {
+    errors.push(`inputs.${domain}.cleanupPolicy must be one of ${CLEANUP_POLICIES.join(', ')}`);
+  }
+  if (domainInput.infiniteRetention !== undefined && typeof domainInput.infiniteRetention !== 'boolean') {
+    errors.push(`inputs.${domain}.infiniteRetention must be true or false`);
+  }
+  CLIENT_NUMBER_FIELDS.forEach(field => {
+    const value = domainInput[field];
+    if (value !== undefined && value !== null && !isNonNegativeNumber(value)) {
+      errors.push(`inputs.${domain}.${field} must be a non-negative number or empty`);
+    }
+  });
+
+  Object.entries(domainInput.environments || {}).forEach(([env, envInput]) => {
+    if (!environmentKeys.includes(env)) {
+      errors.push(`inputs.${domain}.environments.${env} is not a known environment`);
+    } else if (!isNonNegativeNumber(envInput?.scale) || typeof envInput?.enabled !== 'boolean') {
+      errors.push(`inputs.${domain}.environments.${env} needs a numeric scale and an enabled flag`);
+    }
+  });
+
+  if (domainInput.topics !== undefined && !Array.isArray(domainInput.topics)) {
+    errors.push(`inputs.${domain}.topics must be a list`);
+    return;
+  }
+  (domainInput.topics || []).forEach((topic, index) => {
+    const label = `inputs.${domain}.topics[${index}]`;
+    if (!topic?.name) errors.push(`${label} needs a name`);
+    TOPIC_NUMBER_FIELDS.forEach(field => {
+      if (!isNonNegativeNumber(topic?.[field])) errors.push(`${label}.${field} must be a non-negative number`);
+    });
+    if (!CLEANUP_POLICIES.includes(topic?.cleanupPolicy)) {
+      errors.push(`${label}.cleanupPolicy must be one of ${CLEANUP_POLICIES.join(', ')}`);
+    }
+    // Storage fields are optional, for files saved before they existed
+    if (topic?.infiniteRetention !== undefined && typeof topic.infiniteRetention !== 'boolean') {
+      errors.push(`${label}.infiniteRetention must be true or false`);
+    }
+    if (topic?.keyCardinality !== undefined && !isNonNegativeNumber(topic.keyCardinality)) {
+      errors.push(`${label}.keyCardinality must be a non-negative number`);
+    }
+    // Empty follows the domain's consumer parallelism
+    if (!isOverride(topic?.maxConsumerInstances)) {
+      errors.push(`${label}.maxConsumerInstances must be a positive number or empty`);
+    }
+  });
+};
+
+// Version 1 files listed domains as a map of code to name and subdomains.
+// Price books are brought up to date whatever the version: files before
+// version 5 priced cluster types as bundles of ECKUs, and older books have
+// no storage billing setting.
+const upgradeProject = project => {
+  const upgraded = { ...project, pricing: upgradePriceBook(project.pricing) };
+  if (project.schemaVersion !== 1 || !project.domains || Array.isArray(project.domains)) return upgraded;
+  return {
+    ...upgraded,
+    schemaVersion: 2,
+    domains: Object.entries(project.domains).map(([code, domain]) => ({ code, ...domain }))
+  };
+};
+
+const isOverride = value => value === null || value === undefined || (typeof value === 'number' && value > 0);
+
+const ADD_ON_NUMBER_FIELDS = ['ksqldbCsus', 'flinkCfus', 'connectorTasks', 'connectorThroughputMBps'];
+
+// Add-ons are optional, for files saved before they existed
+const validateAddOns = (key, addOns, pricing, errors) => {
+  if (addOns === undefined) return;
+  const packages = (pricing?.addOns || CONFLUENT_ADD_ON_PRICING).governance;
+  if (addOns?.governance !== undefined && !packages[addOns.governance]) {
+    errors.push(`Environment "${key}" has unknown Stream Governance package "${addOns.governance}"`);
+  }
+  ADD_ON_NUMBER_FIELDS.forEach(field => {
+    if (addOns?.[field] !== undefined && !isNonNegativeNumber(addOns[field])) {
+      errors.push(`Environment "${key}" ${field} must be a non-negative number`);
+    }
+  });
+};
+
+const validateEnvironments = (environments, pricing, errors) => {
+  if (environments === undefined) return;
+  if (!Array.isArray(environments)) {
+    errors.push('environments must be a list');
+    return;
+  }
+  const keys = new Set();
+  environments.forEach((environment, index) => {
+    const key = environment?.key;
+    if (!key || typeof key !== 'string') {
+      errors.push(`environments[${index}] needs a key`);
+      return;
+    }
+    if (keys.has(key)) errors.push(`Environment key "${key}" is used twice`);
+    keys.add(key);
+    if (environment.networking && !(pricing?.networking?.types || CONFLUENT_NETWORKING_PRICING.types)[environment.networking]) {
+      errors.push(`Environment "${key}" has unknown networking "${environment.networking}"`);
+    }
+    if (environment.clusterMode && !ENVIRONMENT_CLUSTER_MODES[environment.clusterMode]) {
+      errors.push(`Environment "${key}" has unknown cluster mode "${environment.clusterMode}"`);
+    }
+    if (environment.clusterType && environment.clusterType !== 'auto' && !pricing?.ecku?.[environment.clusterType]) {
+      errors.push(`Environment "${key}" pins cluster type "${environment.clusterType}", which the price book lacks`);
+    }
+    if (environment.availability && !AVAILABILITY_OPTIONS[environment.availability]) {
+      errors.push(`Environment "${key}" availability must be one of ${Object.keys(AVAILABILITY_OPTIONS).join(', ')}`);
+    }
+    ['replicationFactor', 'retentionDays'].forEach(field => {
+      if (!isOverride(environment[field])) errors.push(`Environment "${key}" ${field} must be a positive number or empty`);
+    });
+    validateAddOns(key, environment.addOns, pricing, errors);
+  });
+};
+
+// Named clusters must sit in a known environment and hold known domains,
+// each domain in at most one cluster per environment
+const validateTopology = (topology, environmentKeys, codes, errors) => {
+  if (topology === undefined) return;
+  if (!Array.isArray(topology?.clusters)) {
+    errors.push('topology.clusters must be a list');
+    return;
+  }
+  const ids = new Set();
+  const placed = new Set();
+  topology.clusters.forEach((cluster, index) => {
+    const label = `topology.clusters[${index}]`;
+    if (!cluster?.id || ids.has(cluster.id)) errors.push(`${label} needs a unique id`);
+    ids.add(cluster?.id);
+    if (!environmentKeys.includes(cluster?.env)) {
+      errors.push(`${label} is in unknown environment "${cluster?.env}"`);
+      return;
+    }
+    (Array.isArray(cluster.domains) ? cluster.domains : []).forEach(domain => {
+      if (!codes.includes(domain)) errors.push(`${label} holds unknown domain "${domain}"`);
+      if (placed.has(`${domain}/${cluster.env}`)) {
+        errors.push(`Domain "${domain}" is in more than one ${cluster.env} cluster`);
+      }
+      placed.add(`${domain}/${cluster.env}`);
+    });
+  });
+};
+
+// Topic types must be known ones with usable defaults, and the catalogue
+// needs at least one of them enabled
+const validateTopicTypes = (topicTypes, errors) => {
+  if (topicTypes === undefined) return;
+  if (!Array.isArray(topicTypes)) {
+    errors.push('topicTypes must be a list');
+    return;
+  }
+  topicTypes.forEach((type, index) => {
+    const label = `topicTypes[${index}]`;
+    if (!TOPIC_TYPES.includes(type?.key)) {
+      errors.push(`${label} has unknown type "${type?.key}"`);
+      return;
+    }
+    ['partitions', 'retentionDays'].forEach(field => {
+      if (!(typeof type[field] === 'number' && type[field] > 0)) errors.push(`${label}.${field} must be a positive number`);
+    });
+    if (!CLEANUP_POLICIES.includes(type.cleanupPolicy)) {
+      errors.push(`${label}.cleanupPolicy must be one of ${CLEANUP_POLICIES.join(', ')}`);
+    }
+  });
+  if (!topicTypes.some(type => type?.enabled && TOPIC_TYPES.includes(type.key))) {
+    errors.push('topicTypes needs at least one enabled type');
+  }
+};
+
+const validateDomains = (domains, errors) => {
+  if (!Array.isArray(domains) || domains.length === 0) {
+    errors.push('Project needs at least one domain');
+    return;
+  }
+  const codes = new Set();
+  domains.forEach((domain, index) => {
+    if (!domain?.code || typeof domain.code !== 'string') {
+      errors.push(`domains[${index}] needs a code`);
+    } else if (codes.has(domain.code)) {
+      errors.push(`Domain code "${domain.code}" is used twice`);
+    }
+    codes.add(domain?.code);
+    if (!Array.isArray(domain?.subdomains)) errors.push(`domains[${index}].subdomains must be a list`);
+  });
+};
+
+// List everything wrong with a project file; an empty list means it can be loaded
+export const validateProject = file => {
+  const project = file && typeof file === 'object' ? upgradeProject(file) : file;
+  if (!project || typeof project !== 'object') return ['Project file must be a JSON object'];
+  if (project.format !== PROJECT_FILE_FORMAT) return ['This is not a Kafka sizing project file'];
+
+  const errors = [];
+  if (!Number.isInteger(project.schemaVersion) || project.schemaVersion < 1) {
+    errors.push('schemaVersion must be a positive whole number');
+  } else if (project.schemaVersion > PROJECT_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${project.schemaVersion} is newer than this calculator supports (${PROJECT_SCHEMA_VERSION})`);
+  }
+
+  if (!CLUSTER_MODES.includes(project.clusterMode)) {
+    errors.push(`clusterMode must be one of ${CLUSTER_MODES.join(', ')}`);
+  }
+
+  validateDomains(project.domains, errors);
+  const codes = Array.isArray(project.domains) ? project.domains.map(domain => domain?.code) : [];
+
+  validateEnvironments(project.environments, project.pricing, errors);
+  const environmentKeys = Array.isArray(project.environments) && project.environments.length > 0
+    ? project.environments.map(environment => environment?.key)
+    : createDefaultEnvironments().map(environment => environment.key);
+  validateTopology(project.topology, environmentKeys, codes, errors);
+  validateTopicTypes(project.topicTypes, errors);
+
+  if (!project.inputs || typeof project.inputs !== 'object' || Object.keys(project.inputs).length === 0) {
+    errors.push('Project needs inputs for at least one domain');
+  } else {
+    Object.entries(project.inputs).forEach(([domain, domainInput]) => {
+      if (!codes.includes(domain)) errors.push(`Domain "${domain}" has inputs but is not in the project's domains`);
+      else validateDomainInput(domain, domainInput, environmentKeys, errors);
+    });
+  }
+
+  if (project.targetUtilisation !== undefined && normalizeTargetUtilisation(project.targetUtilisation) !== project.targetUtilisation) {
+    errors.push('targetUtilisation must be a percentage above 0 and up to 100');
+  }
+
+  validatePriceBook(project.pricing).forEach(error => errors.push(`pricing: ${error}`));
+
+  return errors;
+};
+
+// Parse an uploaded project file into scenario data, throwing with every
+// validation problem
+export const parseProject = json => {
+  let file;
+  try {
+    file = JSON.parse(json);
+  } catch (e) {
+    throw new Error('Project file is not valid JSON');
+  }
+
+  const errors = validateProject(file);
+  if (errors.length > 0) throw new Error(errors.join('; '));
+
+  const project = upgradeProject(file);
+  const networking = { ...DEFAULT_NETWORKING };
+  (project.environments || []).forEach(environment => {
+    networking[environment.key] = environment.networking || networking[environment.key] || 'public';
+  });
+
+  return {
+    name: project.name || 'Imported project',
+    domains: normalizeDomains(project.domains),
+    environments: normalizeEnvironments((project.environments || []).map(({ networking: type, ...environment }) => environment)),
+    topology: normalizeTopology(project.topology),
+    topicTypes: normalizeTopicTypes(project.topicTypes),
+    inputs: project.inputs,
+    clusterMode: project.clusterMode,
+    networking,
+    forecast: project.forecast,
+    targetUtilisation: normalizeTargetUtilisation(project.targetUtilisation),
+    priceBookId: project.pricing.id,
+    priceBook: {
+      ...project.pricing,
+      networking: project.pricing.networking || CONFLUENT_NETWORKING_PRICING
+    }
+  };
+};
@@ -0,0 +1,180 @@
+import {
+  PROJECT_SCHEMA_VERSION,
+  createProjectFile,
+  parseProject,
+  serializeProject,
+  validateProject
+} from './projectFile';
+import { createDefaultInputs } from './sizing';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+import { DEFAULT_NETWORKING } from './constants';
+import { createDefaultDomains } from './domains';
+import { addEnvironment, createDefaultEnvironments, updateEnvironment } from './environments';
+import { createDefaultTopicTypes, updateTopicType } from './topics';
+
+const scenario = () => ({
+  name: 'FY27 baseline',
+  domains: createDefaultDomains(),
+  inputs: createDefaultInputs(),
+  clusterMode: 'domain',
+  networking: { ...DEFAULT_NETWORKING, dev: 'peering' },
+  priceBook: DEFAULT_PRICE_BOOK,
+  forecast: { startMonth: '2026-01', horizonYears: 2 }
+});
+
+describe('project files', () => {
+  test('round-trip a scenario', () => {
+    const project = parseProject(serializeProject(scenario()));
+
+    expect(project.name).toBe('FY27 baseline');
+    expect(project.clusterMode).toBe('domain');
+    expect(project.networking.dev).toBe('peering');
+    expect(project.inputs).toEqual(createDefaultInputs());
+    expect(project.priceBook.name).toBe(DEFAULT_PRICE_BOOK.name);
+    expect(project.forecast.horizonYears).toBe(2);
+  });
+
+  test('carry environment policies and extra environments', () => {
+    let environments = addEnvironment(createDefaultEnvironments(), 'perf', 'Performance', 0.5);
+    environments = updateEnvironment(environments, 'perf', { clusterMode: 'domain', availability: 'single', retentionDays: 3 });
+    const inputs = createDefaultInputs(undefined, environments);
+    const project = parseProject(serializeProject({ ...scenario(), environments, inputs }));
+
+    expect(project.environments[4]).toMatchObject({ key: 'perf', clusterMode: 'domain', availability: 'single', retentionDays: 3 });
+    expect(project.environments[4].networking).toBeUndefined();
+    expect(project.networking.perf).toBe('public');
+    expect(project.inputs.cust.environments.perf.scale).toBe(0.5);
+  });
+
+  test('reject unknown environment policies', () => {
+    const project = createProjectFile(scenario());
+    project.environments[0].clusterType = 'turbo';
+    project.environments[1].availability = 'lunar';
+
+    expect(validateProject(project)).toEqual([
+      'Environment "dev" pins cluster type "turbo", which the price book lacks',
+      'Environment "tst" availability must be one of single, multi'
+    ]);
+  });
+
+  test('check networking against the project price book', () => {
+    const priceBook = {
+      ...DEFAULT_PRICE_BOOK,
+      networking: {
+        ...DEFAULT_PRICE_BOOK.networking,
+        types: { ...DEFAULT_PRICE_BOOK.networking.types, directConnect: { name: 'Direct Connect', monthlyPerCluster: 90, perGB: 0.01 } }
+      }
+    };
+    const project = createProjectFile({ ...scenario(), priceBook, networking: { ...DEFAULT_NETWORKING, prd: 'directConnect' } });
+
+    expect(validateProject(project)).toEqual([]);
+    project.environments[0].networking = 'carrierPigeon';
+    expect(validateProject(project)).toEqual(['Environment "dev" has unknown networking "carrierPigeon"']);
+  });
+
+  test('carry named clusters and reject misplaced domains', () => {
+    const topology = { clusters: [{ id: 'core', name: 'Core', env: 'prd', domains: ['cust', 'comm'] }] };
+    expect(parseProject(serializeProject({ ...scenario(), topology })).topology).toEqual(topology);
+
+    const project = createProjectFile({ ...scenario(), topology });
+    project.topology.clusters.push({ id: 'edge', name: 'Edge', env: 'prd', domains: ['cust', 'pay'] });
+    expect(validateProject(project)).toEqual([
+      'Domain "cust" is in more than one prd cluster',
+      'topology.clusters[1] holds unknown domain "pay"'
+    ]);
+  });
+
+  test('carry the capacity target', () => {
+    expect(parseProject(serializeProject({ ...scenario(), targetUtilisation: 80 })).targetUtilisation).toBe(80);
+    expect(parseProject(serializeProject(scenario())).targetUtilisation).toBe(70);
+
+    const project = createProjectFile({ ...scenario(), targetUtilisation: 120 });
+    expect(validateProject(project)).toEqual(['targetUtilisation must be a percentage above 0 and up to 100']);
+  });
+
+  test('record the schema version, domains and environments', () => {
+    const project = createProjectFile(scenario());
+
+    expect(project.schemaVersion).toBe(PROJECT_SCHEMA_VERSION);
+    expect(project.domains[0]).toMatchObject({ code: 'cust', name: 'Customer' });
+    expect(project.environments.map(environment => environment.key)).toEqual(['dev', 'tst', 'pre', 'prd']);
+  });
+
+  test('reject files from a newer schema or with bad inputs', () => {
+    const project = createProjectFile(scenario());
+    project.schemaVersion = PROJECT_SCHEMA_VERSION + 1;
+    project.clusterMode = 'hybrid';
+    project.inputs.cust.messagesPerSecond = 'lots';
+    project.inputs.cust.producerInstances = -4;
+    project.inputs.cust.topics = [{ name: 'cust.sales.events.v1', messagesPerSecond: 1, avgMessageSize: 1, partitions: 1, retentionDays: 1, cleanupPolicy: 'delete', maxConsumerInstances: 0 }];
+    project.inputs.mystery = {};
+
+    expect(validateProject(project)).toEqual([
+      `schemaVersion ${PROJECT_SCHEMA_VERSION + 1} is newer than this calculator supports (${PROJECT_SCHEMA_VERSION})`,
+      'clusterMode must be one of single, domain',
+      'inputs.cust.messagesPerSecond must be a non-negative number',
+      'inputs.cust.producerInstances must be a non-negative number or empty',
+      'inputs.cust.topics[0].maxConsumerInstances must be a positive number or empty',
+      'Domain "mystery" has inputs but is not in the project\'s domains'
+    ]);
+  });
+
+  test('read version 1 files that list domains as a map', () => {
+    const project = createProjectFile(scenario());
+    project.schemaVersion = 1;
+    project.domains = { cust: { name: 'Clients', subdomains: ['profile'] } };
+    project.inputs = { cust: project.inputs.cust };
+
+    expect(parseProject(JSON.stringify(project)).domains).toEqual([
+      { code: 'cust', name: 'Clients', archived: false, subdomains: [{ name: 'profile', archived: false }] }
+    ]);
+  });
+
+  test('bill storage on logical bytes in files saved before storage billing existed', () => {
+    const project = createProjectFile(scenario());
+    delete project.pricing.storageBilling;
+    project.inputs.cust.cleanupPolicy = 'compact';
+    project.inputs.cust.keyCardinality = 500;
+
+    expect(validateProject(project)).toEqual([]);
+    expect(parseProject(JSON.stringify(project)).priceBook.storageBilling).toBe('logical');
+
+    project.inputs.cust.cleanupPolicy = 'archive';
+    project.inputs.cust.keyCardinality = -1;
+    expect(validateProject(project)).toEqual([
+      'inputs.cust.keyCardinality must be a non-negative number',
+      'inputs.cust.cleanupPolicy must be one of delete, compact'
+    ]);
+  });
+
+  test('check environment add-ons against the price book', () => {
+    const project = createProjectFile(scenario());
+    project.environments[3].addOns = { governance: 'premium', ksqldbCsus: -2 };
+
+    expect(validateProject(project)).toEqual([
+      'Environment "prd" has unknown Stream Governance package "premium"',
+      'Environment "prd" ksqldbCsus must be a non-negative number'
+    ]);
+  });
+
+  test('carry topic types and reject unusable ones', () => {
+    const topicTypes = updateTopicType(createDefaultTopicTypes(), 'dlq', { enabled: true, retentionDays: 30 });
+    expect(parseProject(serializeProject({ ...scenario(), topicTypes })).topicTypes).toEqual(topicTypes);
+    expect(parseProject(serializeProject(scenario())).topicTypes).toEqual(createDefaultTopicTypes());
+
+    const project = createProjectFile(scenario());
+    project.topicTypes = project.topicTypes.map(type => ({ ...type, enabled: false }));
+    project.topicTypes[2].partitions = 0;
+    project.topicTypes.push({ key: 'audit', enabled: true });
+    expect(validateProject(project)).toEqual([
+      'topicTypes[2].partitions must be a positive number',
+      'topicTypes[6] has unknown type "audit"',
+      'topicTypes needs at least one enabled type'
+    ]);
+  });
+
+  test('reject anything that is not a project file', () => {
+    expect(() => parseProject('{')).toThrow('Project file is not valid JSON');
+    expect(() => parseProject(JSON.stringify({ name: 'price book' }))).toThrow('This is not a Kafka sizing project file');
+  });
+});
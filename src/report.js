@@ -0,0 +1,532 @@
+import { BUSINESS_DOMAINS, CAPACITY_DIMENSIONS, CLUSTER_COST_LINES, COST_LINES, BEST_PRACTICES } from './constants';
+import { CONFLUENT_ADD_ON_PRICING, CONFLUENT_NETWORKING_PRICING, STORAGE_BILLING } from './pricing';
+import { STORAGE_MODES, summarizeWorkload, topicStorageMode } from './topics';
+import {
+  AVAILABILITY_OPTIONS,
+  ENVIRONMENT_CLUSTER_MODES,
+  createDefaultEnvironments,
+  resolveClusterMode
+} from './environments';
+import { orderClusters } from './topology';
+import { bindingLimitLabel, planClients } from './sizing';
+
+export const REPORT_TITLE = 'Confluent Cloud Kafka Sizing Report';
+
+const money = value => `£${value.toFixed(2)}`;
+
+// Display names come from the scenario's domain configuration
+const domainNamer = domainConfig => domain => domainConfig[domain]?.name || domain;
+
+// Networking types are named by the scenario's price book, falling back to the list names
+const networkingNamer = priceBook => type =>
+  priceBook?.networking?.types?.[type]?.name || CONFLUENT_NETWORKING_PRICING.types[type]?.name || type;
+
+const storageModeLabel = mode => STORAGE_MODES.find(({ key }) => key === mode).label;
+
+// Each environment's monthly add-on cost
+const addOnMonthly = totals => Object.fromEntries(
+  Object.entries(totals.addOnCosts).map(([env, costs]) => [env, costs.monthly])
+);
+
+// Environments paying for add-ons, which the cluster tables list after their
+// clusters so the rows add up to the total
+const addOnEnvironments = (totals, environments) =>
+  environments.filter(({ key }) => totals.addOnCosts[key]?.monthly > 0);
+
+// An environment's add-ons as display text
+const describeAddOns = (addOns, priceBook) => {
+  if (!addOns) return 'None';
+  const packages = (priceBook.addOns || CONFLUENT_ADD_ON_PRICING).governance;
+  const parts = [
+    addOns.governance !== 'none' && `${packages[addOns.governance]?.name || addOns.governance} governance`,
+    addOns.ksqldbCsus > 0 && `${addOns.ksqldbCsus} ksqlDB CSUs`,
+    addOns.flinkCfus > 0 && `${addOns.flinkCfus} Flink CFUs`,
+    addOns.connectorTasks > 0 && `${addOns.connectorTasks} connector tasks at ${addOns.connectorThroughputMBps} MB/s`
+  ].filter(Boolean);
+  return parts.length > 0 ? parts.join(', ') : 'None';
+};
+
+// An environment's cluster policy as display text
+const describePolicy = (environment, clusterMode, priceBook) => ({
+  clusters: ENVIRONMENT_CLUSTER_MODES[resolveClusterMode(environment, clusterMode)],
+  clusterType: priceBook.ecku[environment.clusterType]?.name || 'Smallest that fits',
+  availability: AVAILABILITY_OPTIONS[environment.availability],
+  replication: environment.replicationFactor ? String(environment.replicationFactor) : 'Per domain',
+  retention: environment.retentionDays ? `${environment.retentionDays} days` : 'Per domain',
+  addOns: describeAddOns(environment.addOns, priceBook)
+});
+
+// Lay out everything a sizing report contains as titled tables, independent
+// of the format it is rendered to
+export const buildReport = ({
+  scenarioName,
+  inputs,
+  clusterMode,
+  networking,
+  priceBook,
+  results,
+  totals,
+  domainConfig = BUSINESS_DOMAINS,
+  environments = createDefaultEnvironments(),
+  generatedAt = new Date()
+}) => {
+  const domains = Object.keys(inputs);
+  const domainName = domainNamer(domainConfig);
+  const networkingName = networkingNamer(priceBook);
+  const envLabel = env => environments.find(environment => environment.key === env)?.label || env;
+
+  const summary = [
+    ['Scenario', scenarioName || 'Unsaved plan'],
+    ['Cluster mode', clusterMode === 'single' ? 'Single Shared Cluster' : 'Cluster per Domain'],
+    ['Price book', `${priceBook.name} (effective ${priceBook.effectiveDate})`],
+    ['Total monthly cost', money(totals.totalCost)],
+    ['Total annual cost', money(totals.annualCost)],
+    ['Total ECKUs', String(totals.totalECKUs)],
+    ['Total storage', `${totals.totalStorage.toFixed(0)} GB`]
+  ];
+
+  const domainAssumptions = {
+    title: 'Domain Assumptions',
+    head: ['Domain', 'Msg/s', 'Avg Size (B)', 'Retention (days)', 'Replication', 'Peak', 'Compression', 'Topics', 'Consumer Groups', 'Clients', 'Durability'],
+    body: domains.map(domain => {
+      const domainInput = inputs[domain];
+      const workload = summarizeWorkload(domainInput);
+      const clients = planClients(domainInput, workload);
+      return [
+        domainName(domain),
+        workload.messagesPerSecond.toLocaleString(),
+        String(domainInput.avgMessageSize),
+        String(domainInput.retentionDays),
+        String(domainInput.replicationFactor),
+        `${domainInput.peakMultiplier}x`,
+        `${(domainInput.compressionRatio * 100).toFixed(0)}%`,
+        String(workload.topics),
+        String(domainInput.consumerGroups),
+        String(clients.producerInstances + clients.consumerInstances),
+        domainInput.durabilityLevel
+      ];
+    })
+  };
+
+  const environmentPolicies = {
+    title: 'Environment Cluster Policies',
+    head: ['Environment', 'Clusters', 'Cluster Type', 'Availability', 'Replication', 'Retention', 'Add-ons'],
+    body: environments.map(environment => {
+      const policy = describePolicy(environment, clusterMode, priceBook);
+      return [
+        environment.label,
+        policy.clusters,
+        policy.clusterType,
+        policy.availability,
+        policy.replication,
+        policy.retention,
+        policy.addOns
+      ];
+    })
+  };
+
+  const environmentAssumptions = {
+    title: 'Environment Assumptions',
+    head: ['Environment', 'Networking', ...domains.map(domainName)],
+    body: environments.map(({ key: env, label }) => [
+      label,
+      networkingName(networking[env]),
+      ...domains.map(domain => {
+        const envInput = inputs[domain].environments[env];
+        return envInput?.enabled ? `${(envInput.scale * 100).toFixed(0)}%` : 'Off';
+      })
+    ])
+  };
+
+  const domainResults = domains
+    .filter(domain => results[domain] && Object.keys(results[domain]).length > 0)
+    .map(domain => ({
+      title: domainName(domain),
+      head: ['Environment', 'Ingress (MB/s)', 'Egress (MB/s)', 'Storage (GB)', 'Topics', 'Partitions', 'ECKUs', 'Tier', 'Monthly Cost'],
+      body: Object.keys(results[domain]).map(env => {
+        const result = results[domain][env];
+        return [
+          envLabel(env),
+          result.ingressMBps.toFixed(2),
+          result.egressMBps.toFixed(2),
+          result.storageGB.toFixed(0),
+          String(result.topics),
+          String(result.partitions),
+          String(result.ecku),
+          result.tier,
+          money(totals.domainEnvironmentCosts[domain][env])
+        ];
+      })
+    }));
+
+  const envCosts = costs => environments.map(({ key }) => (costs[key] > 0 ? money(costs[key]) : '—'));
+  const envHead = environments.map(environment => environment.label);
+  const sumCosts = costs => Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+
+  const costSummary = [
+    {
+      title: 'Cost Breakdown by Business Domain',
+      head: ['Domain', ...envHead, 'Total Monthly'],
+      body: [
+        ...domains.map(domain => {
+          const costs = totals.domainEnvironmentCosts[domain] || {};
+          return [domainName(domain), ...envCosts(costs), money(sumCosts(costs))];
+        }),
+        ...(totals.addOnTotal > 0 ? [['Environment add-ons', ...envCosts(addOnMonthly(totals)), money(totals.addOnTotal)]] : [])
+      ],
+      foot: [['Total', ...envCosts(totals.environmentTotals), money(totals.totalCost)]]
+    },
+    {
+      title: 'Cost Breakdown by Cost Line',
+      head: ['Cost Line', ...envHead, 'Total Monthly'],
+      body: COST_LINES.map(({ key, label }) => {
+        const costs = totals.costLineTotals[key] || {};
+        return [label, ...envCosts(costs), money(sumCosts(costs))];
+      }),
+      foot: [['Total', ...envCosts(totals.environmentTotals), money(totals.totalCost)]]
+    },
+    {
+      title: 'Cost Breakdown by Cluster',
+      head: ['Cluster', 'Environment', 'Domains', 'Units', 'Tier', 'Sized On', 'Storage (GB)', 'Monthly Cost'],
+      body: orderClusters(totals.clusters, environments).map(cluster => [
+        cluster.name,
+        envLabel(cluster.env),
+        cluster.domains.map(domainName).join(', '),
+        `${cluster.ecku} ${cluster.unit}`,
+        cluster.tier,
+        bindingLimitLabel(cluster.bindingLimit),
+        cluster.storageGB.toFixed(0),
+        money(cluster.costs.monthly)
+      ]).concat(addOnEnvironments(totals, environments).map(({ key, label }) => [
+        'Environment add-ons', label, '', '', '', '', '', money(totals.addOnCosts[key].monthly)
+      ])),
+      foot: [['Total', '', '', String(totals.totalECKUs), '', '', totals.totalStorage.toFixed(0), money(totals.totalCost)]]
+    }
+  ];
+
+  return {
+    title: REPORT_TITLE,
+    generatedAt: generatedAt.toLocaleString(),
+    summary,
+    assumptions: [domainAssumptions, environmentAssumptions, environmentPolicies],
+    domainResults,
+    costSummary,
+    bestPractices: BEST_PRACTICES
+  };
+};
+
+// Cell formats understood by the workbook renderer
+export const CELL_FORMATS = {
+  gbp: '"£"#,##0.00',
+  gbpRate: '"£"#,##0.000',
+  number: '#,##0.00',
+  integer: '#,##0',
+  percent: '0%'
+};
+
+const column = (header, format = 'text', width = 14) => ({ header, format, width });
+
+// The cluster a domain runs on in one environment
+const clusterFor = (totals, domain, env) => totals.clusters[totals.clusterAssignments[domain][env]];
+
+// Lay out the sizing as workbook sheets of typed tables, keeping numbers as
+// numbers so they can be summed and formatted in a spreadsheet
+export const buildWorkbook = ({
+  scenarioName,
+  inputs,
+  clusterMode,
+  networking,
+  priceBook,
+  results,
+  totals,
+  domainConfig = BUSINESS_DOMAINS,
+  environments = createDefaultEnvironments()
+}) => {
+  const domains = Object.keys(inputs);
+  const domainName = domainNamer(domainConfig);
+  const networkingName = networkingNamer(priceBook);
+  const envLabel = env => environments.find(environment => environment.key === env)?.label || env;
+  const pivotColumns = first => [
+    column(first, 'text', 24),
+    ...environments.map(environment => column(environment.label, 'gbp')),
+    column('Total Monthly', 'gbp', 16)
+  ];
+  const pivotRow = (label, costs) => [
+    label,
+    ...environments.map(({ key }) => costs[key] || 0),
+    Object.values(costs).reduce((sum, cost) => sum + cost, 0)
+  ];
+
+  const inputsSheet = {
+    name: 'Inputs',
+    tables: [
+      {
+        title: 'Scenario',
+        columns: [column('Setting', 'text', 24), column('Value', 'text', 40)],
+        rows: [
+          ['Scenario', scenarioName || 'Unsaved plan'],
+          ['Cluster mode', clusterMode === 'single' ? 'Single Shared Cluster' : 'Cluster per Domain'],
+          ['Price book', priceBook.name],
+          ['Price book effective', priceBook.effectiveDate]
+        ]
+      },
+      {
+        title: 'Business Domains',
+        columns: [
+          column('Domain', 'text', 24),
+          column('Code', 'text', 8),
+          column('Messages/s', 'integer'),
+          column('Avg Message Size (B)', 'integer'),
+          column('Retention (days)', 'number'),
+          column('Replication Factor', 'integer'),
+          column('Partitions per Topic', 'integer'),
+          column('Topics', 'integer'),
+          column('Topic Inventory', 'text'),
+          column('Peak Multiplier', 'number'),
+          column('Compression Ratio', 'percent'),
+          column('Consumer Groups', 'integer'),
+          column('Read Fan-out', 'number'),
+          column('Producer Instances', 'integer', 18),
+          column('Consumer Instances', 'integer', 18),
+          column('Peak Requests/s', 'integer', 16),
+          column('Internet Egress Share', 'percent'),
+          column('Storage Mode', 'text', 18),
+          column('Keys per Compacted Topic', 'integer', 18),
+          column('Infinite Retention Horizon (months)', 'integer', 18),
+          column('Durability', 'text')
+        ],
+        rows: domains.map(domain => {
+          const domainInput = inputs[domain];
+          const workload = summarizeWorkload(domainInput);
+          const clients = planClients(domainInput, workload);
+          return [
+            domainName(domain),
+            domain,
+            workload.messagesPerSecond,
+            domainInput.avgMessageSize,
+            domainInput.retentionDays,
+            domainInput.replicationFactor,
+            domainInput.partitionsPerTopic,
+            workload.topics,
+            domainInput.topics.length > 0 ? 'Yes' : 'No',
+            domainInput.peakMultiplier,
+            domainInput.compressionRatio,
+            domainInput.consumerGroups,
+            domainInput.readFanout,
+            clients.producerInstances,
+            clients.consumerInstances,
+            clients.requestsPerSecond,
+            domainInput.internetEgressShare,
+            domainInput.topics.length > 0 ? 'Per topic' : storageModeLabel(topicStorageMode(domainInput)),
+            domainInput.keyCardinality,
+            domainInput.retentionHorizonMonths,
+            domainInput.durabilityLevel
+          ];
+        })
+      },
+      {
+        title: 'Environments',
+        columns: [
+          column('Environment', 'text', 24),
+          column('Key', 'text', 8),
+          column('Networking', 'text', 20),
+          column('Clusters', 'text', 22),
+          column('Cluster Type', 'text', 18),
+          column('Availability', 'text'),
+          column('Replication', 'text'),
+          column('Retention', 'text'),
+          column('Add-ons', 'text', 30),
+          ...domains.map(domain => column(`${domainName(domain)} Scale`, 'percent'))
+        ],
+        rows: environments.map(environment => {
+          const policy = describePolicy(environment, clusterMode, priceBook);
+          return [
+            environment.label,
+            environment.key,
+            networkingName(networking[environment.key]),
+            policy.clusters,
+            policy.clusterType,
+            policy.availability,
+            policy.replication,
+            policy.retention,
+            policy.addOns,
+            ...domains.map(domain => {
+              const envInput = inputs[domain].environments[environment.key];
+              return envInput?.enabled ? envInput.scale : 'Off';
+            })
+          ];
+        })
+      }
+    ]
+  };
+
+  const resultsSheet = {
+    name: 'Results',
+    tables: [{
+      columns: [
+        column('Domain', 'text', 24),
+        column('Environment', 'text', 14),
+        column('Cluster', 'text', 22),
+        column('Ingress (MB/s)', 'number'),
+        column('Egress (MB/s)', 'number'),
+        column('Storage (GB)', 'integer'),
+        column('Topics', 'integer'),
+        column('Partitions', 'integer'),
+        column('ECKUs', 'integer'),
+        column('Tier', 'text'),
+        column('Sized On', 'text', 20),
+        ...CLUSTER_COST_LINES.map(({ label }) => column(label, 'gbp')),
+        column('Monthly Cost', 'gbp', 16),
+        column('Annual Cost', 'gbp', 16)
+      ],
+      rows: domains.flatMap(domain => Object.keys(results[domain] || {}).map(env => {
+        const result = results[domain][env];
+        const cluster = clusterFor(totals, domain, env);
+        const lines = cluster.contributions[domain].costs;
+        const monthly = totals.domainEnvironmentCosts[domain][env];
+        return [
+          domainName(domain),
+          envLabel(env),
+          cluster.name,
+          result.ingressMBps,
+          result.egressMBps,
+          result.storageGB,
+          result.topics,
+          result.partitions,
+          result.ecku,
+          result.tier,
+          bindingLimitLabel(result.bindingLimit),
+          ...CLUSTER_COST_LINES.map(({ key }) => lines[key]),
+          monthly,
+          monthly * 12
+        ];
+      }))
+    }]
+  };
+
+  const costSummarySheet = {
+    name: 'Cost Summary',
+    tables: [
+      {
+        title: 'Monthly Cost by Business Domain',
+        columns: pivotColumns('Domain'),
+        rows: [
+          ...domains.map(domain => pivotRow(domainName(domain), totals.domainEnvironmentCosts[domain] || {})),
+          ...(totals.addOnTotal > 0 ? [pivotRow('Environment add-ons', addOnMonthly(totals))] : [])
+        ],
+        totals: pivotRow('Total', totals.environmentTotals)
+      },
+      {
+        title: 'Monthly Cost by Cost Line',
+        columns: pivotColumns('Cost Line'),
+        rows: COST_LINES.map(({ key, label }) => pivotRow(label, totals.costLineTotals[key] || {})),
+        totals: pivotRow('Total', totals.environmentTotals)
+      },
+      {
+        title: 'Monthly Cost by Cluster',
+        columns: [
+          column('Cluster', 'text', 24),
+          column('Environment', 'text'),
+          column('Domains', 'text', 30),
+          column('Units', 'integer'),
+          column('Unit', 'text', 8),
+          column('Tier', 'text'),
+          column('Sized On', 'text', 20),
+          ...CAPACITY_DIMENSIONS.map(({ label }) => column(`${label} Headroom`, 'percent', 16)),
+          column('Storage (GB)', 'integer'),
+          ...STORAGE_MODES.map(({ label }) => column(`${label} Storage (GB)`, 'integer', 18)),
+          column('Monthly Cost', 'gbp', 16)
+        ],
+        rows: orderClusters(totals.clusters, environments).map(cluster => [
+          cluster.name,
+          envLabel(cluster.env),
+          cluster.domains.map(domainName).join(', '),
+          cluster.ecku,
+          cluster.unit,
+          cluster.tier,
+          bindingLimitLabel(cluster.bindingLimit),
+          ...CAPACITY_DIMENSIONS.map(({ key }) => {
+            const { headroomPercent } = cluster.headroom[key];
+            return headroomPercent === null ? 'No limit' : headroomPercent / 100;
+          }),
+          cluster.storageGB,
+          ...STORAGE_MODES.map(({ key }) => cluster.storageByMode[key]),
+          cluster.costs.monthly
+        ]).concat(addOnEnvironments(totals, environments).map(({ key, label }) => [
+          'Environment add-ons', label, null, null, null, null, null,
+          ...CAPACITY_DIMENSIONS.map(() => null),
+          null,
+          ...STORAGE_MODES.map(() => null),
+          totals.addOnCosts[key].monthly
+        ])),
+        totals: [
+          'Total', null, null, totals.totalECKUs, null, null, null,
+          ...CAPACITY_DIMENSIONS.map(() => null),
+          totals.totalStorage,
+          ...STORAGE_MODES.map(({ key }) => Object.values(totals.clusters)
+            .reduce((sum, cluster) => sum + cluster.storageByMode[key], 0)),
+          totals.totalCost
+        ]
+      }
+    ]
+  };
+
+  const { dataTransfer, types } = priceBook.networking;
+  const addOnRates = priceBook.addOns || CONFLUENT_ADD_ON_PRICING;
+  const pricingSheet = {
+    name: 'Pricing',
+    tables: [
+      {
+        title: `${priceBook.name} (effective ${priceBook.effectiveDate}, storage billed on ${STORAGE_BILLING[priceBook.storageBilling].toLowerCase()})`,
+        columns: [
+          column('Tier', 'text'),
+          column('Unit', 'text', 8),
+          column('Monthly Price per Unit', 'gbp', 18),
+          column('Min Units', 'integer'),
+          column('Max Units', 'integer'),
+          ...CAPACITY_DIMENSIONS.map(({ label, unit }) => column(`${label}${unit ? ` (${unit})` : ''} per Unit`, 'integer', 18)),
+          column('Retention', 'text'),
+          column('Storage (£/GB-month)', 'gbpRate', 18)
+        ],
+        rows: Object.entries(priceBook.ecku).map(([tier, pricing]) => [
+          pricing.name,
+          pricing.unit,
+          pricing.monthlyPrice,
+          pricing.minUnits,
+          pricing.maxUnits ?? 'No limit',
+          ...CAPACITY_DIMENSIONS.map(({ key }) => pricing[key] ?? 'No limit'),
+          pricing.retention,
+          priceBook.storage[tier]
+        ])
+      },
+      {
+        title: 'Data Transfer',
+        columns: [column('Rate', 'text', 24), column('£ per GB', 'gbpRate')],
+        rows: [
+          ['Ingress', dataTransfer.ingressPerGB],
+          ['Egress', dataTransfer.egressPerGB],
+          ['Internet Egress', dataTransfer.internetEgressPerGB],
+          ['Cross-AZ Traffic', dataTransfer.crossAzPerGB]
+        ]
+      },
+      {
+        title: 'Private Networking',
+        columns: [column('Type', 'text', 24), column('Monthly per Cluster', 'gbp', 18), column('£ per GB', 'gbpRate')],
+        rows: Object.values(types).map(type => [type.name, type.monthlyPerCluster, type.perGB])
+      },
+      {
+        title: 'Add-ons',
+        columns: [column('Add-on', 'text', 30), column('Price', 'gbpRate', 16), column('Per', 'text', 24)],
+        rows: [
+          ...Object.values(addOnRates.governance).map(pack => [`Stream Governance ${pack.name}`, pack.monthlyPrice, 'environment per month']),
+          ['ksqlDB', addOnRates.ksqldbPerCSU, 'CSU per month'],
+          ['Flink', addOnRates.flinkPerCFU, 'CFU per month'],
+          ['Managed Connectors', addOnRates.connectorPerTask, 'task per month'],
+          ['Managed Connector Throughput', addOnRates.connectorPerGB, 'GB']
+        ]
+      }
+    ]
+  };
+
+  return { sheets: [inputsSheet, resultsSheet, costSummarySheet, pricingSheet] };
+};
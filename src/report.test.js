@@ -0,0 +1,178 @@
+import { buildReport, buildWorkbook } from './report';
+import { createDefaultInputs, sizeEstate } from './sizing';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+import { DEFAULT_NETWORKING, BEST_PRACTICES, CLUSTER_COST_LINES } from './constants';
+import { createDefaultEnvironments, updateEnvironment } from './environments';
+
+const buildDefaultReport = (inputs = createDefaultInputs()) => {
+  const { results, totals } = sizeEstate({ inputs });
+  return {
+    totals,
+    report: buildReport({
+      scenarioName: 'FY27 baseline',
+      inputs,
+      clusterMode: 'single',
+      networking: DEFAULT_NETWORKING,
+      priceBook: DEFAULT_PRICE_BOOK,
+      results,
+      totals
+    })
+  };
+};
+
+describe('buildReport', () => {
+  test('summarises the scenario for the cover page', () => {
+    const { report, totals } = buildDefaultReport();
+    const summary = Object.fromEntries(report.summary);
+
+    expect(summary.Scenario).toBe('FY27 baseline');
+    expect(summary['Cluster mode']).toBe('Single Shared Cluster');
+    expect(summary['Total monthly cost']).toBe(`£${totals.totalCost.toFixed(2)}`);
+  });
+
+  test('includes a results table per domain and both cost summary tables', () => {
+    const { report, totals } = buildDefaultReport();
+
+    expect(report.domainResults.map(section => section.title)).toContain('Customer');
+    expect(report.domainResults[0].body).toHaveLength(4);
+    expect(report.costSummary.map(section => section.title)).toEqual([
+      'Cost Breakdown by Business Domain',
+      'Cost Breakdown by Cost Line',
+      'Cost Breakdown by Cluster'
+    ]);
+    expect(report.costSummary[0].foot[0].slice(-1)[0]).toBe(`£${totals.totalCost.toFixed(2)}`);
+    expect(report.bestPractices).toBe(BEST_PRACTICES);
+  });
+
+  test('marks disabled environments in the assumptions', () => {
+    const inputs = createDefaultInputs();
+    inputs.cust.environments.dev.enabled = false;
+    const { report } = buildDefaultReport(inputs);
+    const [, environments] = report.assumptions;
+
+    expect(environments.body[0][0]).toBe('Development');
+    expect(environments.body[0][2]).toBe('Off');
+    expect(report.domainResults[0].body).toHaveLength(3);
+  });
+
+  test('names networking types from the scenario price book', () => {
+    const inputs = createDefaultInputs();
+    const priceBook = {
+      ...DEFAULT_PRICE_BOOK,
+      networking: {
+        ...DEFAULT_PRICE_BOOK.networking,
+        types: { ...DEFAULT_PRICE_BOOK.networking.types, directConnect: { name: 'Direct Connect', monthlyPerCluster: 90, perGB: 0.01 } }
+      }
+    };
+    const networking = { ...DEFAULT_NETWORKING, prd: 'directConnect' };
+    const { results, totals } = sizeEstate({ inputs, pricing: priceBook, networking });
+    const report = buildReport({ scenarioName: 'Custom', inputs, clusterMode: 'single', networking, priceBook, results, totals });
+    const [, environments] = report.assumptions;
+
+    expect(environments.body[3][1]).toBe('Direct Connect');
+    expect(environments.body[0][1]).toBe(DEFAULT_PRICE_BOOK.networking.types[DEFAULT_NETWORKING.dev].name);
+  });
+});
+
+describe('buildWorkbook', () => {
+  const buildDefaultWorkbook = clusterMode => {
+    const inputs = createDefaultInputs();
+    const { results, totals } = sizeEstate({ inputs, clusterMode });
+    return {
+      totals,
+      workbook: buildWorkbook({
+        scenarioName: 'FY27 baseline',
+        inputs,
+        clusterMode,
+        networking: DEFAULT_NETWORKING,
+        priceBook: DEFAULT_PRICE_BOOK,
+        results,
+        totals
+      })
+    };
+  };
+
+  test('has one sheet per view', () => {
+    const { workbook } = buildDefaultWorkbook('single');
+    expect(workbook.sheets.map(sheet => sheet.name)).toEqual(['Inputs', 'Results', 'Cost Summary', 'Pricing']);
+  });
+
+  test('keeps results and costs as numbers', () => {
+    const { workbook, totals } = buildDefaultWorkbook('domain');
+    const [results] = workbook.sheets[1].tables;
+    const monthlyIndex = results.columns.findIndex(column => column.header === 'Monthly Cost');
+    const [domainPivot] = workbook.sheets[2].tables;
+
+    expect(results.rows).toHaveLength(20);
+    expect(results.columns[monthlyIndex].format).toBe('gbp');
+    expect(typeof results.rows[0][monthlyIndex]).toBe('number');
+    expect(domainPivot.totals[domainPivot.totals.length - 1]).toBeCloseTo(totals.totalCost);
+  });
+
+  test('splits shared cluster costs into cost lines per domain', () => {
+    const { workbook, totals } = buildDefaultWorkbook('single');
+    const [results] = workbook.sheets[1].tables;
+    const monthlyIndex = results.columns.findIndex(column => column.header === 'Monthly Cost');
+    const lineTotal = results.rows[0].slice(monthlyIndex - CLUSTER_COST_LINES.length, monthlyIndex)
+      .reduce((sum, cost) => sum + cost, 0);
+
+    expect(lineTotal).toBeCloseTo(results.rows[0][monthlyIndex]);
+    expect(results.rows.reduce((sum, row) => sum + row[monthlyIndex], 0)).toBeCloseTo(totals.totalCost);
+  });
+
+  test('bills environment add-ons on their own lines', () => {
+    const inputs = createDefaultInputs();
+    const environments = updateEnvironment(createDefaultEnvironments(), 'prd', {
+      addOns: { governance: 'advanced', ksqldbCsus: 4, flinkCfus: 0, connectorTasks: 0, connectorThroughputMBps: 0 }
+    });
+    const { results, totals } = sizeEstate({ inputs, environments });
+    const workbook = buildWorkbook({
+      inputs,
+      clusterMode: 'single',
+      networking: DEFAULT_NETWORKING,
+      priceBook: DEFAULT_PRICE_BOOK,
+      results,
+      totals,
+      environments
+    });
+    const [domainPivot, linePivot] = workbook.sheets[2].tables;
+    const addOns = domainPivot.rows[domainPivot.rows.length - 1];
+
+    expect(addOns[0]).toBe('Environment add-ons');
+    expect(addOns[addOns.length - 1]).toBeCloseTo(580 + 4 * 170);
+    expect(domainPivot.totals[domainPivot.totals.length - 1]).toBeCloseTo(totals.totalCost);
+    expect(linePivot.rows.find(row => row[0] === 'ksqlDB').slice(-1)[0]).toBeCloseTo(680);
+  });
+
+  test('lists environment add-ons in the cluster tables so they add up to the total', () => {
+    const inputs = createDefaultInputs();
+    const environments = updateEnvironment(createDefaultEnvironments(), 'prd', {
+      addOns: { governance: 'advanced', ksqldbCsus: 4, flinkCfus: 0, connectorTasks: 0, connectorThroughputMBps: 0 }
+    });
+    const { results, totals } = sizeEstate({ inputs, environments });
+    const options = {
+      inputs,
+      clusterMode: 'single',
+      networking: DEFAULT_NETWORKING,
+      priceBook: DEFAULT_PRICE_BOOK,
+      results,
+      totals,
+      environments
+    };
+    const clusterTable = buildWorkbook(options).sheets
+      .flatMap(sheet => sheet.tables || [])
+      .find(table => table.title === 'Monthly Cost by Cluster');
+    const addOns = clusterTable.rows[clusterTable.rows.length - 1];
+
+    expect(addOns.slice(0, 2)).toEqual(['Environment add-ons', 'Production']);
+    expect(clusterTable.rows.reduce((sum, row) => sum + row[row.length - 1], 0)).toBeCloseTo(totals.totalCost);
+
+    const clusterSection = buildReport({ scenarioName: 'FY27', ...options }).costSummary
+      .find(section => section.title === 'Cost Breakdown by Cluster');
+    const pounds = text => Number(text.replace(/[£,]/g, ''));
+
+    expect(clusterSection.body.slice(-1)[0][0]).toBe('Environment add-ons');
+    expect(clusterSection.body.reduce((sum, row) => sum + pounds(row[row.length - 1]), 0))
+      .toBeCloseTo(pounds(clusterSection.foot[0].slice(-1)[0]), 1);
+  });
+});
@@ -0,0 +1,305 @@
+import { DEFAULT_NETWORKING } from './constants';
+import { createDefaultInputs, sizeEstate } from './sizing';
+import { DEFAULT_PRICE_BOOK, CONFLUENT_NETWORKING_PRICING, upgradePriceBook } from './pricing';
+import { createDefaultForecast } from './forecast';
+import { normalizeTargetUtilisation } from './capacity';
+import { domainLookup, normalizeDomains, selectPlannedInputs } from './domains';
+import { normalizeEnvironments } from './environments';
+import { normalizeTopology } from './topology';
+import { normalizeTopic, normalizeTopicTypes } from './topics';
+import { storageProblem } from './storage';
+
+export const SCENARIOS_STORAGE_KEY = 'confluent-kafka-sizing-scenarios';
+
+// Single-plan key used before named scenarios existed
+export const LEGACY_STORAGE_KEY = 'confluent-kafka-sizing-data';
+
+// Saves that could not be migrated are moved here rather than lost
+export const RECOVERY_STORAGE_KEY = 'confluent-kafka-sizing-recovery';
+
+// Version 0 is the single-plan save, 1 the first unversioned scenario list
+export const STORAGE_SCHEMA_VERSION = 2;
+
+export const MAX_COMPARED_SCENARIOS = 3;
+
+export const createScenarioId = () =>
+  `sc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Fill in fields, environments and nested settings added since a domain was saved
+const normalizeDomainInput = (defaults, saved) => ({
+  ...defaults,
+  ...saved,
+  topics: Array.isArray(saved?.topics) ? saved.topics.map(normalizeTopic) : [],
+  growth: { ...defaults.growth, ...saved?.growth },
+  environments: Object.fromEntries(Object.keys(defaults.environments).map(env => [
+    env,
+    { ...defaults.environments[env], ...saved?.environments?.[env] }
+  ]))
+});
+
+// Fill in fields, domains and environments added since a scenario was saved
+export const normalizeScenario = scenario => {
+  const domains = normalizeDomains(scenario.domains);
+  const environments = normalizeEnvironments(scenario.environments);
+  const defaults = createDefaultInputs(domains, environments);
+  const inputs = {};
+  Object.keys(defaults).forEach(domain => {
+    inputs[domain] = normalizeDomainInput(defaults[domain], scenario.inputs?.[domain]);
+  });
+
+  return {
+    ...scenario,
+    domains,
+    environments,
+    topology: normalizeTopology(scenario.topology),
+    topicTypes: normalizeTopicTypes(scenario.topicTypes),
+    inputs,
+    clusterMode: scenario.clusterMode || 'single',
+    networking: {
+      ...Object.fromEntries(environments.map(environment => [environment.key, 'public'])),
+      ...DEFAULT_NETWORKING,
+      ...scenario.networking
+    },
+    priceBook: scenario.priceBook
+      ? upgradePriceBook({ networking: CONFLUENT_NETWORKING_PRICING, ...scenario.priceBook })
+      : DEFAULT_PRICE_BOOK,
+    forecast: { ...createDefaultForecast(), ...scenario.forecast },
+    targetUtilisation: normalizeTargetUtilisation(scenario.targetUtilisation)
+  };
+};
+
+export const createScenario = (name, data = {}) => {
+  const now = new Date().toISOString();
+  return normalizeScenario({
+    ...data,
+    id: createScenarioId(),
+    name,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+export const duplicateScenario = (scenario, name = `${scenario.name} (copy)`) =>
+  createScenario(name, JSON.parse(JSON.stringify({
+    domains: scenario.domains,
+    environments: scenario.environments,
+    topology: scenario.topology,
+    topicTypes: scenario.topicTypes,
+    inputs: scenario.inputs,
+    clusterMode: scenario.clusterMode,
+    networking: scenario.networking,
+    priceBook: scenario.priceBook,
+    forecast: scenario.forecast,
+    targetUtilisation: scenario.targetUtilisation
+  })));
+
+// Upgrade steps, keyed by the version they upgrade from
+const MIGRATIONS = {
+  // Single-plan save to a list holding it as the first scenario
+  0: savedData => {
+    const scenario = {
+      id: createScenarioId(),
+      name: 'My plan',
+      createdAt: savedData.timestamp || new Date().toISOString(),
+      updatedAt: savedData.timestamp || new Date().toISOString(),
+      inputs: savedData.inputs,
+      clusterMode: savedData.clusterMode,
+      networking: savedData.networking,
+      priceBookId: savedData.priceBookId,
+      priceBook: savedData.priceBook
+    };
+    return { scenarios: [scenario], activeScenarioId: scenario.id };
+  },
+  // consumerFanout was split into consumer groups and per-group read fan-out
+  1: savedData => ({
+    ...savedData,
+    scenarios: savedData.scenarios.map(scenario => ({
+      ...scenario,
+      inputs: Object.fromEntries(Object.entries(scenario.inputs || {}).map(([domain, domainInput]) => {
+        const { consumerFanout, ...rest } = domainInput || {};
+        return [domain, consumerFanout === undefined || rest.consumerGroups !== undefined
+          ? rest
+          : { ...rest, consumerGroups: consumerFanout, readFanout: 1 }];
+      }))
+    }))
+  })
+};
+
+const savedDataVersion = savedData => {
+  if (Number.isInteger(savedData.schemaVersion)) return savedData.schemaVersion;
+  if (Array.isArray(savedData.scenarios)) return 1;
+  if (savedData.inputs && typeof savedData.inputs === 'object') return 0;
+  return null;
+};
+
+// Bring saved data of any earlier version up to the current schema, throwing
+// when it cannot be understood
+export const migrateSavedData = savedData => {
+  if (!savedData || typeof savedData !== 'object') throw new Error('Saved data is not an object');
+
+  const fromVersion = savedDataVersion(savedData);
+  if (fromVersion === null) throw new Error('Saved data is not a recognised sizing save');
+  if (fromVersion > STORAGE_SCHEMA_VERSION) {
+    throw new Error(`Saved data uses schema version ${fromVersion}, newer than this calculator supports (${STORAGE_SCHEMA_VERSION})`);
+  }
+
+  let migrated = savedData;
+  for (let version = fromVersion; version < STORAGE_SCHEMA_VERSION; version++) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  if (!Array.isArray(migrated.scenarios) || migrated.scenarios.some(scenario => !scenario?.id || !scenario.inputs)) {
+    throw new Error('Saved scenarios are missing their ids or inputs');
+  }
+
+  return {
+    schemaVersion: STORAGE_SCHEMA_VERSION,
+    fromVersion,
+    scenarios: migrated.scenarios.map(normalizeScenario),
+    activeScenarioId: migrated.activeScenarioId
+  };
+};
+
+// Move a save that could not be migrated out of the way, keeping it for
+// recovery. When the copy cannot be written the save is left in place, and
+// must not be overwritten until the user has downloaded it.
+const setAside = (key, raw, reason) => {
+  const recovery = { key, reason, setAsideAt: new Date().toISOString(), raw, keptInPlace: false };
+  try {
+    localStorage.setItem(RECOVERY_STORAGE_KEY, JSON.stringify(recovery));
+  } catch (e) {
+    return {
+      recovery: { ...recovery, setAsideAt: null, keptInPlace: true },
+      storageError: storageProblem('set the saved data aside', e)
+    };
+  }
+  localStorage.removeItem(key);
+  return { recovery, storageError: null };
+};
+
+// Data set aside by an earlier load, and any problem reading it
+const loadRecoveredData = () => {
+  try {
+    const stored = localStorage.getItem(RECOVERY_STORAGE_KEY);
+    return { recovery: stored ? JSON.parse(stored) : null, storageError: null };
+  } catch (e) {
+    return { recovery: null, storageError: storageProblem('read the set-aside data', e) };
+  }
+};
+
+// Returns the problem clearing the set-aside data, or null
+export const clearRecoveredData = () => {
+  try {
+    if (typeof localStorage !== 'undefined') localStorage.removeItem(RECOVERY_STORAGE_KEY);
+  } catch (e) {
+    return storageProblem('clear the set-aside data', e);
+  }
+  return null;
+};
+
+// Load every saved scenario, migrating older saves. A save that cannot be
+// migrated is set aside and reported back as recovery; storageError says why
+// storage could not be used.
+export const loadScenarios = () => {
+  const empty = { scenarios: [], activeScenarioId: null, recovery: null, storageError: null };
+
+  try {
+    if (typeof localStorage === 'undefined') return empty;
+
+    const key = localStorage.getItem(SCENARIOS_STORAGE_KEY) ? SCENARIOS_STORAGE_KEY : LEGACY_STORAGE_KEY;
+    const raw = localStorage.getItem(key);
+    if (!raw) return { ...empty, ...loadRecoveredData() };
+
+    try {
+      const { scenarios, activeScenarioId } = migrateSavedData(JSON.parse(raw));
+      return { ...empty, scenarios, activeScenarioId, ...loadRecoveredData() };
+    } catch (e) {
+      return { ...empty, ...setAside(key, raw, e.message) };
+    }
+  } catch (e) {
+    return { ...empty, storageError: storageProblem('be read', e) };
+  }
+};
+
+// Returns the problem saving, or null once saved
+export const saveScenarios = (scenarios, activeScenarioId) => {
+  try {
+    if (typeof localStorage !== 'undefined') {
+      localStorage.setItem(SCENARIOS_STORAGE_KEY, JSON.stringify({
+        schemaVersion: STORAGE_SCHEMA_VERSION,
+        scenarios,
+        activeScenarioId
+      }));
+    }
+  } catch (e) {
+    return storageProblem('save your scenarios', e);
+  }
+  return null;
+};
+
+const sizeScenario = scenario => sizeEstate({
+  inputs: selectPlannedInputs(scenario.inputs, scenario.domains, scenario.topicTypes),
+  clusterMode: scenario.clusterMode,
+  pricing: scenario.priceBook,
+  networking: scenario.networking,
+  environments: scenario.environments,
+  topology: scenario.topology
+});
+
+// Size each scenario and line their results up per domain and environment.
+// Deltas are measured against the first scenario.
+export const compareScenarios = scenarios => {
+  const sized = scenarios.map(scenario => ({ scenario, ...sizeScenario(scenario) }));
+  const domains = [...new Set(sized.flatMap(({ results }) => Object.keys(results)))];
+  const names = Object.assign({}, ...[...scenarios].reverse().map(scenario => domainLookup(scenario.domains)));
+  // Environments in the first scenario's order, then any only later ones have
+  const labels = {};
+  scenarios.forEach(scenario => scenario.environments.forEach(({ key, label }) => {
+    if (!labels[key]) labels[key] = label;
+  }));
+  const rows = [];
+
+  domains.forEach(domain => {
+    Object.keys(labels).forEach(env => {
+      const cells = sized.map(({ results, totals }) => {
+        const result = results[domain]?.[env];
+        if (!result) return null;
+        return {
+          ecku: result.ecku,
+          storageGB: result.storageGB,
+          tier: result.tier,
+          monthly: totals.domainEnvironmentCosts[domain][env]
+        };
+      });
+      if (cells.every(cell => cell === null)) return;
+
+      const baseline = cells[0];
+      rows.push({
+        domain,
+        name: names[domain]?.name || domain,
+        env,
+        envLabel: labels[env],
+        cells: cells.map(cell => cell && {
+          ...cell,
+          delta: baseline && {
+            ecku: cell.ecku - baseline.ecku,
+            storageGB: cell.storageGB - baseline.storageGB,
+            monthly: cell.monthly - baseline.monthly,
+            tierChanged: cell.tier !== baseline.tier
+          }
+        })
+      });
+    });
+  });
+
+  return {
+    scenarios: sized.map(({ scenario, totals }) => ({
+      id: scenario.id,
+      name: scenario.name,
+      clusterMode: scenario.clusterMode,
+      priceBook: scenario.priceBook,
+      totals
+    })),
+    rows
+  };
+};
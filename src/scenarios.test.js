@@ -0,0 +1,166 @@
+import {
+  LEGACY_STORAGE_KEY,
+  RECOVERY_STORAGE_KEY,
+  SCENARIOS_STORAGE_KEY,
+  STORAGE_SCHEMA_VERSION,
+  compareScenarios,
+  createScenario,
+  duplicateScenario,
+  loadScenarios,
+  migrateSavedData,
+  saveScenarios
+} from './scenarios';
+import { createDefaultInputs } from './sizing';
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+describe('createScenario', () => {
+  test('fills in defaults missing from older saves', () => {
+    const inputs = createDefaultInputs();
+    delete inputs.cust.readFanout;
+
+    const scenario = createScenario('Baseline', { inputs });
+
+    expect(scenario.name).toBe('Baseline');
+    expect(scenario.inputs.cust.readFanout).toBe(1);
+    expect(scenario.clusterMode).toBe('single');
+    expect(scenario.networking.prd).toBe('privateLink');
+  });
+});
+
+describe('duplicateScenario', () => {
+  test('creates an independent copy', () => {
+    const original = createScenario('Baseline', { inputs: createDefaultInputs() });
+    const copy = duplicateScenario(original);
+    copy.inputs.cust.messagesPerSecond = 5000;
+
+    expect(copy.id).not.toBe(original.id);
+    expect(copy.name).toBe('Baseline (copy)');
+    expect(original.inputs.cust.messagesPerSecond).toBe(1000);
+  });
+});
+
+describe('loadScenarios', () => {
+  test('adopts a single-plan save as the first scenario', () => {
+    const inputs = createDefaultInputs();
+    localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify({
+      inputs,
+      clusterMode: 'domain',
+      timestamp: '2025-03-01T10:00:00.000Z'
+    }));
+
+    const { scenarios, activeScenarioId } = loadScenarios();
+
+    expect(scenarios).toHaveLength(1);
+    expect(scenarios[0].name).toBe('My plan');
+    expect(scenarios[0].clusterMode).toBe('domain');
+    expect(scenarios[0].updatedAt).toBe('2025-03-01T10:00:00.000Z');
+    expect(activeScenarioId).toBe(scenarios[0].id);
+  });
+
+  test('round-trips saved scenarios', () => {
+    const first = createScenario('Baseline', { inputs: createDefaultInputs() });
+    const second = duplicateScenario(first, 'Growth');
+    saveScenarios([first, second], second.id);
+
+    const loaded = loadScenarios();
+
+    expect(localStorage.getItem(SCENARIOS_STORAGE_KEY)).not.toBeNull();
+    expect(loaded.scenarios.map(scenario => scenario.name)).toEqual(['Baseline', 'Growth']);
+    expect(loaded.activeScenarioId).toBe(second.id);
+    expect(JSON.parse(localStorage.getItem(SCENARIOS_STORAGE_KEY)).schemaVersion).toBe(STORAGE_SCHEMA_VERSION);
+  });
+
+  test('sets aside a save that cannot be migrated', () => {
+    localStorage.setItem(SCENARIOS_STORAGE_KEY, '{not json');
+
+    const loaded = loadScenarios();
+
+    expect(loaded.scenarios).toEqual([]);
+    expect(loaded.recovery.key).toBe(SCENARIOS_STORAGE_KEY);
+    expect(loaded.recovery.raw).toBe('{not json');
+    expect(localStorage.getItem(SCENARIOS_STORAGE_KEY)).toBeNull();
+    expect(JSON.parse(localStorage.getItem(RECOVERY_STORAGE_KEY)).raw).toBe('{not json');
+  });
+
+  test('leaves a save in place and reports why when it cannot be set aside', () => {
+    localStorage.setItem(SCENARIOS_STORAGE_KEY, '{not json');
+    const setItem = jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('Quota exceeded');
+    });
+
+    const loaded = loadScenarios();
+    const saveError = saveScenarios([createScenario('Fresh', { inputs: createDefaultInputs() })], null);
+    setItem.mockRestore();
+
+    expect(loaded.recovery).toMatchObject({ raw: '{not json', keptInPlace: true, setAsideAt: null });
+    expect(loaded.storageError).toBe('Browser storage could not set the saved data aside (Quota exceeded)');
+    expect(saveError).toBe('Browser storage could not save your scenarios (Quota exceeded)');
+    expect(localStorage.getItem(SCENARIOS_STORAGE_KEY)).toBe('{not json');
+  });
+});
+
+describe('migrateSavedData', () => {
+  test('upgrades an unversioned scenario list and splits consumerFanout', () => {
+    const inputs = createDefaultInputs();
+    delete inputs.cust.consumerGroups;
+    inputs.cust.consumerFanout = 3;
+    delete inputs.hols;
+    delete inputs.comm.environments.pre;
+
+    const migrated = migrateSavedData({
+      scenarios: [{ id: 'sc-1', name: 'Old', inputs }],
+      activeScenarioId: 'sc-1'
+    });
+    const [scenario] = migrated.scenarios;
+
+    expect(migrated.fromVersion).toBe(1);
+    expect(migrated.schemaVersion).toBe(STORAGE_SCHEMA_VERSION);
+    expect(scenario.inputs.cust.consumerGroups).toBe(3);
+    expect(scenario.inputs.cust.readFanout).toBe(1);
+    expect(scenario.inputs.cust).not.toHaveProperty('consumerFanout');
+    expect(scenario.inputs.hols).toEqual(createDefaultInputs().hols);
+    expect(scenario.inputs.comm.environments.pre).toEqual({ scale: 0.7, enabled: true });
+  });
+
+  test('rejects saves it cannot understand', () => {
+    expect(() => migrateSavedData('nope')).toThrow('Saved data is not an object');
+    expect(() => migrateSavedData({ colour: 'blue' })).toThrow('not a recognised sizing save');
+    expect(() => migrateSavedData({ schemaVersion: STORAGE_SCHEMA_VERSION + 1, scenarios: [] })).toThrow('newer than');
+    expect(() => migrateSavedData({ scenarios: [{ name: 'No id' }] })).toThrow('missing their ids or inputs');
+  });
+});
+
+describe('compareScenarios', () => {
+  test('reports differences against the first scenario', () => {
+    const baseline = createScenario('Baseline', { inputs: createDefaultInputs(), clusterMode: 'domain' });
+    const growth = duplicateScenario(baseline, 'Growth');
+    growth.inputs.cust.messagesPerSecond = 200000;
+
+    const comparison = compareScenarios([baseline, growth]);
+    const custPrd = comparison.rows.find(row => row.domain === 'cust' && row.env === 'prd');
+    const commPrd = comparison.rows.find(row => row.domain === 'comm' && row.env === 'prd');
+
+    expect(comparison.scenarios.map(scenario => scenario.name)).toEqual(['Baseline', 'Growth']);
+    expect(custPrd.cells[1].delta.ecku).toBeGreaterThan(0);
+    expect(custPrd.cells[1].delta.monthly).toBeGreaterThan(0);
+    expect(custPrd.cells[1].delta.tierChanged).toBe(true);
+    expect(commPrd.cells[1].delta).toEqual({ ecku: 0, storageGB: 0, monthly: 0, tierChanged: false });
+  });
+
+  test('shows environments missing from a scenario as empty cells', () => {
+    const baseline = createScenario('Baseline', { inputs: createDefaultInputs() });
+    const noDev = duplicateScenario(baseline, 'No dev');
+    Object.values(noDev.inputs).forEach(domainInput => {
+      domainInput.environments.dev.enabled = false;
+    });
+
+    const comparison = compareScenarios([baseline, noDev]);
+    const custDev = comparison.rows.find(row => row.domain === 'cust' && row.env === 'dev');
+
+    expect(custDev.cells[0]).not.toBeNull();
+    expect(custDev.cells[1]).toBeNull();
+  });
+});
@@ -0,0 +1,571 @@
+import { DEFAULT_NETWORKING, CAPACITY_DIMENSIONS, ADD_ON_COST_LINES, CLUSTER_COST_LINES } from './constants';
+import { DEFAULT_PRICE_BOOK, CONFLUENT_ADD_ON_PRICING, CONFLUENT_NETWORKING_PRICING } from './pricing';
+import { DEFAULT_KEY_CARDINALITY, STORAGE_MODES, createDefaultTopicTypes, enabledTopicTypes, summarizeWorkload } from './topics';
+import { createDefaultDomains } from './domains';
+import { DEFAULT_CONSUMER_MBPS_PER_PARTITION, DEFAULT_PRODUCER_MBPS_PER_PARTITION } from './partitions';
+import { createDefaultAddOns, createDefaultEnvironments } from './environments';
+import { createDefaultTopology, resolveClusters } from './topology';
+
+const SECONDS_PER_MONTH = (86400 * 365) / 12;
+const BYTES_PER_GB = 1024 * 1024 * 1024;
+
+// Share of client traffic that crosses availability zones on a three-zone cluster
+const CROSS_AZ_SHARE = 2 / 3;
+
+const NO_TRANSFER = { ingressGB: 0, egressGB: 0, internetEgressGB: 0 };
+
+const NO_STORAGE = Object.fromEntries(STORAGE_MODES.map(({ key }) => [key, 0]));
+
+// Every client instance holds a connection to a few brokers and reconnects
+// every few minutes. Without planned figures, a domain is assumed to run one
+// producer per topic and one consumer per topic in each consumer group, with
+// producers batching messages into requests and consumers fetching a couple
+// of times a second.
+const CONNECTIONS_PER_CLIENT = 3;
+const CONNECTION_LIFETIME_SECONDS = 300;
+const MESSAGES_PER_PRODUCE_REQUEST = 50;
+const FETCHES_PER_SECOND = 2;
+
+// Default inputs for one business domain
+export const createDomainInput = (subdomainCount, environments = createDefaultEnvironments()) => ({
+  messagesPerSecond: 1000,
+  avgMessageSize: 1024,
+  retentionDays: 7,
+  cleanupPolicy: 'delete',
+  infiniteRetention: false,
+  keyCardinality: DEFAULT_KEY_CARDINALITY, // per compacted topic
+  retentionHorizonMonths: 12, // history held by infinite-retention topics
+  replicationFactor: 3,
+  partitionsPerTopic: 6,
+  // What one partition sustains, and the most consumers in a group reading
+  // a topic at once, for the partition recommender
+  producerMBpsPerPartition: DEFAULT_PRODUCER_MBPS_PER_PARTITION,
+  consumerMBpsPerPartition: DEFAULT_CONSUMER_MBPS_PER_PARTITION,
+  maxConsumerInstances: 6,
+  topicsCount: subdomainCount * enabledTopicTypes(createDefaultTopicTypes()).length, // kept in step with the topic catalogue when planning
+  peakMultiplier: 2.5,
+  compressionRatio: 0.65,
+  durabilityLevel: 'standard',
+  topics: [], // empty: size from the domain-level profile above
+  consumerGroups: 2,
+  readFanout: 1,
+  internetEgressShare: 0.05,
+  // Production client estate; null estimates it from the topic layout
+  producerInstances: null,
+  consumerInstances: null,
+  requestsPerSecond: null, // at peak
+  growth: { mode: 'compound', monthlyRatePercent: 0, steps: [] }, // flat until planned
+  environments: Object.fromEntries(environments.map(environment => [
+    environment.key,
+    { scale: environment.defaultScale, enabled: true }
+  ]))
+});
+
+// Default inputs for every configured business domain
+export const createDefaultInputs = (domains = createDefaultDomains(), environments = createDefaultEnvironments()) => {
+  const defaultInputs = {};
+  domains.forEach(domain => {
+    defaultInputs[domain.code] = createDomainInput(
+      domain.subdomains.filter(subdomain => !subdomain.archived).length,
+      environments
+    );
+  });
+  return defaultInputs;
+};
+
+// Client instances and peak request rate a domain plans for in production
+export const planClients = (domainInput, workload = summarizeWorkload(domainInput)) => {
+  const producerInstances = domainInput.producerInstances ?? workload.topics;
+  const consumerInstances = domainInput.consumerInstances ?? workload.topics * domainInput.consumerGroups;
+  const requestsPerSecond = domainInput.requestsPerSecond ??
+    (workload.messagesPerSecond * domainInput.peakMultiplier) / MESSAGES_PER_PRODUCE_REQUEST +
+    consumerInstances * FETCHES_PER_SECOND;
+  return { producerInstances, consumerInstances, requestsPerSecond };
+};
+
+// Client load in one environment, which runs instances in proportion to its scale
+const clientLoad = (clients, scale) => {
+  const connections = Math.ceil((clients.producerInstances + clients.consumerInstances) * scale) * CONNECTIONS_PER_CLIENT;
+  return {
+    connections,
+    connectionAttemptsPerSecond: connections / CONNECTION_LIFETIME_SECONDS,
+    requestsPerSecond: clients.requestsPerSecond * scale
+  };
+};
+
+// Units of a cluster type needed for each dimension of the demand; a
+// dimension the type leaves unlimited needs none
+const unitsByDimension = (demand, tierPricing) => Object.fromEntries(CAPACITY_DIMENSIONS.map(({ key }) => [
+  key,
+  tierPricing[key] ? Math.ceil((demand[key] || 0) / tierPricing[key]) : 0
+]));
+
+export const bindingLimitLabel = limit => (limit === 'minimum'
+  ? 'Minimum size'
+  : CAPACITY_DIMENSIONS.find(({ key }) => key === limit)?.label || limit);
+
+// Fewest units a cluster type runs on in the given availability
+export const tierMinUnits = (tierPricing, availability = 'multi') => (availability === 'multi'
+  ? Math.max(tierPricing.minUnits, tierPricing.multiZoneMinUnits || 0)
+  : tierPricing.minUnits);
+
+// Size a cluster against the price book's cluster types. Demand gives a value
+// for each capacity dimension; the smallest type whose maxUnits covers every
+// dimension is used, unless clusterType pins one. Multi-zone clusters skip
+// single-zone types, even when pinned. The result names the dimension that
+// set the unit count and the headroom left on each.
+export const calculateECKUs = (
+  demand,
+  durabilityLevel,
+  pricing = DEFAULT_PRICE_BOOK,
+  clusterType = 'auto',
+  availability = 'multi'
+) => {
+  const allTiers = Object.keys(pricing.ecku);
+  const zoneTiers = allTiers.filter(tier => availability !== 'multi' || !pricing.ecku[tier].singleZoneOnly);
+  const tiers = zoneTiers.length > 0 ? zoneTiers : allTiers;
+  const candidates = tiers.filter(tier => !pricing.ecku[tier].pinnedOnly);
+  const requiredUnits = tier => Math.max(
+    tierMinUnits(pricing.ecku[tier], availability),
+    ...Object.values(unitsByDimension(demand, pricing.ecku[tier]))
+  );
+  const fits = tier => pricing.ecku[tier].maxUnits === null || requiredUnits(tier) <= pricing.ecku[tier].maxUnits;
+
+  // Pick the smallest tier that fits, falling back to the largest
+  let tier = tiers.includes(clusterType)
+    ? clusterType
+    : candidates.find(fits) || candidates[candidates.length - 1] || tiers[tiers.length - 1];
+
+  // Adjust for durability requirements
+  if (durabilityLevel === 'dedicated' && pricing.ecku.dedicated) {
+    tier = 'dedicated';
+  }
+
+  const tierPricing = pricing.ecku[tier];
+  const units = unitsByDimension(demand, tierPricing);
+  const ecku = requiredUnits(tier);
+  const [driver, driverUnits] = Object.entries(units).reduce((max, entry) => (entry[1] > max[1] ? entry : max));
+
+  const headroom = {};
+  CAPACITY_DIMENSIONS.forEach(({ key }) => {
+    const capacity = tierPricing[key] ? tierPricing[key] * ecku : null;
+    const used = demand[key] || 0;
+    headroom[key] = {
+      demand: used,
+      capacity,
+      headroomPercent: capacity ? ((capacity - used) / capacity) * 100 : null
+    };
+  });
+
+  return {
+    ecku,
+    tier,
+    unit: tierPricing.unit,
+    bindingLimit: driverUnits < ecku ? 'minimum' : driver,
+    withinLimits: tierPricing.maxUnits === null || ecku <= tierPricing.maxUnits,
+    headroom
+  };
+};
+
+// Price monthly data transfer and the cluster's networking attachment. A
+// single-zone cluster has no traffic crossing availability zones.
+export const priceNetworking = (transfer, networkingType, pricing = DEFAULT_PRICE_BOOK, availability = 'multi') => {
+  const networkPricing = pricing.networking || CONFLUENT_NETWORKING_PRICING;
+  const rates = networkPricing.dataTransfer;
+  const type = networkPricing.types[networkingType] || networkPricing.types.public;
+  const clientGB = transfer.ingressGB + transfer.egressGB;
+
+  return {
+    ingress: transfer.ingressGB * rates.ingressPerGB,
+    egress: transfer.egressGB * rates.egressPerGB,
+    internetEgress: transfer.internetEgressGB * rates.internetEgressPerGB,
+    crossAz: availability === 'single' ? 0 : clientGB * CROSS_AZ_SHARE * rates.crossAzPerGB,
+    networking: type.monthlyPerCluster + clientGB * type.perGB
+  };
+};
+
+// Price an environment's add-ons for a month. Connectors pay per task and for
+// the data they move.
+export const priceAddOns = (addOns = createDefaultAddOns(), pricing = DEFAULT_PRICE_BOOK) => {
+  const rates = pricing.addOns || CONFLUENT_ADD_ON_PRICING;
+  const connectorGB = (addOns.connectorThroughputMBps * SECONDS_PER_MONTH) / 1024;
+  return {
+    governance: rates.governance[addOns.governance]?.monthlyPrice || 0,
+    ksqldb: addOns.ksqldbCsus * rates.ksqldbPerCSU,
+    flink: addOns.flinkCfus * rates.flinkPerCFU,
+    connectors: addOns.connectorTasks * rates.connectorPerTask + connectorGB * rates.connectorPerGB
+  };
+};
+
+// Price a cluster's capacity units, storage and networking. Storage is the
+// billed GB in each storage mode, each priced on its own cost line.
+export const priceCluster = (
+  { ecku, tier },
+  storageByMode = NO_STORAGE,
+  pricing = DEFAULT_PRICE_BOOK,
+  transfer = NO_TRANSFER,
+  networkingType = 'public',
+  availability = 'multi'
+) => {
+  const monthlyECKUCost = ecku * pricing.ecku[tier].monthlyPrice;
+  const storageCosts = Object.fromEntries(STORAGE_MODES.map(({ key, costLine }) => [
+    costLine,
+    (storageByMode[key] || 0) * pricing.storage[tier]
+  ]));
+  const networkCosts = priceNetworking(transfer, networkingType, pricing, availability);
+  const totalMonthlyCost = monthlyECKUCost +
+    Object.values(storageCosts).reduce((sum, cost) => sum + cost, 0) +
+    Object.values(networkCosts).reduce((sum, cost) => sum + cost, 0);
+
+  return {
+    monthly: totalMonthlyCost,
+    annual: totalMonthlyCost * 12,
+    ecku: monthlyECKUCost,
+    ...storageCosts,
+    ...networkCosts
+  };
+};
+
+// Apply an environment's replication and retention overrides to a domain
+const applyEnvironmentPolicy = (domainInput, environment) => {
+  const { replicationFactor, retentionDays } = environment;
+  return {
+    ...domainInput,
+    replicationFactor: replicationFactor || domainInput.replicationFactor,
+    retentionDays: retentionDays || domainInput.retentionDays,
+    topics: retentionDays
+      ? (domainInput.topics || []).map(topic => ({ ...topic, retentionDays }))
+      : domainInput.topics
+  };
+};
+
+// Size one domain in one environment, under that environment's cluster policy
+export const sizeDomainEnvironment = (
+  baseInput,
+  env,
+  pricing = DEFAULT_PRICE_BOOK,
+  networking = DEFAULT_NETWORKING,
+  environment = {}
+) => {
+  const domainInput = applyEnvironmentPolicy(baseInput, environment);
+  const { clusterType = 'auto', availability = 'multi' } = environment;
+  const scale = domainInput.environments[env].scale;
+  const workload = summarizeWorkload(domainInput);
+  const scaledBytesPerSecond = workload.bytesPerSecond * scale;
+
+  // Calculate throughput requirements
+  const throughputMBps = (scaledBytesPerSecond * domainInput.peakMultiplier) / (1024 * 1024);
+  const compressedThroughput = throughputMBps * domainInput.compressionRatio;
+
+  // Every consumer group reads each message readFanout times
+  const consumerFanout = domainInput.consumerGroups * domainInput.readFanout;
+  const egressMBps = compressedThroughput * consumerFanout;
+
+  // Calculate storage in each mode. Price books billing logical bytes charge
+  // for one copy; only physical billing pays for every replica.
+  const replicaCopies = pricing.storageBilling === 'physical' ? domainInput.replicationFactor : 1;
+  const toStoredGB = bytes => (bytes * scale * domainInput.compressionRatio) / BYTES_PER_GB;
+  const logicalStorageGB = toStoredGB(workload.retainedBytes);
+  const storageByMode = Object.fromEntries(STORAGE_MODES.map(({ key }) => [
+    key,
+    toStoredGB(workload.retainedBytesByMode[key]) * replicaCopies
+  ]));
+  const totalStorageGB = logicalStorageGB * replicaCopies;
+
+  // Calculate partitions
+  const totalPartitions = workload.partitions;
+
+  // Calculate monthly data transfer from average (not peak) compressed traffic
+  const ingressGB = (scaledBytesPerSecond * domainInput.compressionRatio * SECONDS_PER_MONTH) / BYTES_PER_GB;
+  const egressGB = ingressGB * consumerFanout;
+  const transfer = {
+    ingressGB,
+    egressGB,
+    internetEgressGB: egressGB * domainInput.internetEgressShare
+  };
+  const networkingType = networking[env] || 'public';
+
+  const clients = clientLoad(planClients(domainInput, workload), scale);
+
+  // Size the cluster type on every capacity dimension
+  const eckuCalc = calculateECKUs(
+    { ingressMBps: compressedThroughput, egressMBps, partitions: totalPartitions, ...clients },
+    domainInput.durabilityLevel,
+    pricing,
+    clusterType,
+    availability
+  );
+
+  // Calculate costs
+  const costs = priceCluster(eckuCalc, storageByMode, pricing, transfer, networkingType, availability);
+
+  return {
+    throughputMBps: compressedThroughput,
+    rawThroughputMBps: throughputMBps,
+    ingressMBps: compressedThroughput,
+    egressMBps,
+    storageGB: totalStorageGB,
+    storageByMode,
+    logicalStorageGB,
+    rawStorageGB: totalStorageGB / domainInput.compressionRatio,
+    partitions: totalPartitions,
+    topics: workload.topics,
+    messagesPerSecond: workload.messagesPerSecond * scale,
+    ...clients,
+    ecku: eckuCalc.ecku,
+    tier: eckuCalc.tier,
+    unit: eckuCalc.unit,
+    bindingLimit: eckuCalc.bindingLimit,
+    withinLimits: eckuCalc.withinLimits,
+    headroom: eckuCalc.headroom,
+    tierDetails: pricing.ecku[eckuCalc.tier],
+    durabilityLevel: domainInput.durabilityLevel,
+    replicationFactor: domainInput.replicationFactor,
+    clusterType,
+    availability,
+    transfer,
+    networkingType,
+    costs,
+    scalingFactors: {
+      scale,
+      peakMultiplier: domainInput.peakMultiplier,
+      compressionRatio: domainInput.compressionRatio
+    }
+  };
+};
+
+// Calculate sizing requirements for every domain and enabled environment
+export const calculateSizing = (
+  inputs,
+  pricing = DEFAULT_PRICE_BOOK,
+  networking = DEFAULT_NETWORKING,
+  environments = createDefaultEnvironments()
+) => {
+  const results = {};
+
+  Object.keys(inputs).forEach(domain => {
+    const domainInput = inputs[domain];
+    results[domain] = {};
+
+    environments.forEach(environment => {
+      if (!domainInput.environments[environment.key]?.enabled) return;
+      results[domain][environment.key] = sizeDomainEnvironment(domainInput, environment.key, pricing, networking, environment);
+    });
+  });
+
+  return results;
+};
+
+const share = (part, whole) => (whole > 0 ? part / whole : 0);
+
+// Size each cluster from the combined demand of the domains assigned to it.
+// assignments maps domain -> env -> cluster id; without it every environment
+// gets one cluster shared by all domains, keyed by the environment.
+export const calculateClusters = (results, pricing = DEFAULT_PRICE_BOOK, assignments = null) => {
+  const clusters = {};
+  const clusterOf = (domain, env) => (assignments ? assignments[domain][env] : env);
+
+  // Combine throughput, partitions and storage across domains
+  Object.keys(results).forEach(domain => {
+    Object.keys(results[domain]).forEach(env => {
+      const result = results[domain][env];
+      const id = clusterOf(domain, env);
+      if (!clusters[id]) {
+        clusters[id] = {
+          id,
+          env,
+          throughputMBps: 0,
+          rawThroughputMBps: 0,
+          ingressMBps: 0,
+          egressMBps: 0,
+          storageGB: 0,
+          storageByMode: { ...NO_STORAGE },
+          logicalStorageGB: 0,
+          partitions: 0,
+          topics: 0,
+          connections: 0,
+          connectionAttemptsPerSecond: 0,
+          requestsPerSecond: 0,
+          durabilityLevel: 'standard',
+          clusterType: result.clusterType,
+          availability: result.availability,
+          networkingType: result.networkingType,
+          transfer: { ...NO_TRANSFER },
+          domains: [],
+          contributions: {}
+        };
+      }
+
+      const cluster = clusters[id];
+      cluster.domains.push(domain);
+      cluster.throughputMBps += result.throughputMBps;
+      cluster.rawThroughputMBps += result.rawThroughputMBps;
+      cluster.ingressMBps += result.ingressMBps;
+      cluster.egressMBps += result.egressMBps;
+      cluster.storageGB += result.storageGB;
+      cluster.logicalStorageGB += result.logicalStorageGB;
+      STORAGE_MODES.forEach(({ key }) => {
+        cluster.storageByMode[key] += result.storageByMode[key];
+      });
+      cluster.partitions += result.partitions;
+      cluster.topics += result.topics;
+      cluster.connections += result.connections;
+      cluster.connectionAttemptsPerSecond += result.connectionAttemptsPerSecond;
+      cluster.requestsPerSecond += result.requestsPerSecond;
+      Object.keys(cluster.transfer).forEach(field => {
+        cluster.transfer[field] += result.transfer[field];
+      });
+      if (result.durabilityLevel === 'dedicated') cluster.durabilityLevel = 'dedicated';
+    });
+  });
+
+  // Size and price each cluster once
+  Object.values(clusters).forEach(cluster => {
+    const eckuCalc = calculateECKUs(cluster, cluster.durabilityLevel, pricing, cluster.clusterType, cluster.availability);
+    cluster.ecku = eckuCalc.ecku;
+    cluster.tier = eckuCalc.tier;
+    cluster.unit = eckuCalc.unit;
+    cluster.bindingLimit = eckuCalc.bindingLimit;
+    cluster.withinLimits = eckuCalc.withinLimits;
+    cluster.headroom = eckuCalc.headroom;
+    cluster.tierDetails = pricing.ecku[eckuCalc.tier];
+    cluster.costs = priceCluster(
+      eckuCalc,
+      cluster.storageByMode,
+      pricing,
+      cluster.transfer,
+      cluster.networkingType,
+      cluster.availability
+    );
+  });
+
+  // Attribute each cluster's cost to the domains using it: ECKUs by throughput
+  // (partitions when the cluster is idle), storage by the bytes stored in each
+  // mode and networking by the bytes each domain moves. A domain alone on its
+  // cluster pays for all of it, even when idle.
+  Object.keys(results).forEach(domain => {
+    Object.keys(results[domain]).forEach(env => {
+      const result = results[domain][env];
+      const cluster = clusters[clusterOf(domain, env)];
+      const throughputShare = share(result.throughputMBps, cluster.throughputMBps);
+      const partitionShare = share(result.partitions, cluster.partitions);
+      const storageShare = share(result.storageGB, cluster.storageGB);
+      const capacityShare = cluster.throughputMBps > 0 ? throughputShare : partitionShare;
+      const ingressShare = share(result.transfer.ingressGB, cluster.transfer.ingressGB);
+      const egressShare = share(result.transfer.egressGB, cluster.transfer.egressGB);
+      const internetEgressShare = share(result.transfer.internetEgressGB, cluster.transfer.internetEgressGB);
+      const clientShare = share(
+        result.transfer.ingressGB + result.transfer.egressGB,
+        cluster.transfer.ingressGB + cluster.transfer.egressGB
+      );
+
+      const costs = cluster.domains.length === 1
+        ? Object.fromEntries(CLUSTER_COST_LINES.map(({ key }) => [key, cluster.costs[key]]))
+        : {
+            ecku: cluster.costs.ecku * capacityShare,
+            ...Object.fromEntries(STORAGE_MODES.map(({ key, costLine }) => [
+              costLine,
+              cluster.costs[costLine] * share(result.storageByMode[key], cluster.storageByMode[key])
+            ])),
+            ingress: cluster.costs.ingress * ingressShare,
+            egress: cluster.costs.egress * egressShare,
+            internetEgress: cluster.costs.internetEgress * internetEgressShare,
+            crossAz: cluster.costs.crossAz * clientShare,
+            networking: cluster.costs.networking * (clientShare || capacityShare)
+          };
+      const monthly = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+
+      cluster.contributions[domain] = {
+        throughputShare,
+        partitionShare,
+        storageShare,
+        costs,
+        monthly,
+        annual: monthly * 12
+      };
+    });
+  });
+
+  return clusters;
+};
+
+// Calculate totals. Domains and environments are grouped into clusters by
+// the topology, falling back to each environment's cluster mode.
+export const calculateTotals = (
+  results,
+  clusterMode,
+  pricing = DEFAULT_PRICE_BOOK,
+  environments = createDefaultEnvironments(),
+  topology = createDefaultTopology()
+) => {
+  let totalCost = 0;
+  const domainTotals = {};
+  const environmentTotals = {};
+  const domainEnvironmentCosts = {};
+  const costLineTotals = {};
+  const addToLine = (key, env, cost) => {
+    if (!costLineTotals[key]) costLineTotals[key] = {};
+    costLineTotals[key][env] = (costLineTotals[key][env] || 0) + cost;
+  };
+  const addToEnvironment = (env, cost) => {
+    environmentTotals[env] = (environmentTotals[env] || 0) + cost;
+    totalCost += cost;
+  };
+  const { assignments, clusters: identities } = resolveClusters(results, clusterMode, environments, topology);
+  const clusters = calculateClusters(results, pricing, assignments);
+  Object.values(clusters).forEach(cluster => Object.assign(cluster, identities[cluster.id]));
+
+  Object.keys(results).forEach(domain => {
+    domainTotals[domain] = 0;
+    domainEnvironmentCosts[domain] = {};
+    Object.keys(results[domain]).forEach(env => {
+      // A shared cluster bills each domain for its contribution only
+      const { monthly, costs } = clusters[assignments[domain][env]].contributions[domain];
+
+      CLUSTER_COST_LINES.forEach(({ key }) => addToLine(key, env, costs[key]));
+
+      domainEnvironmentCosts[domain][env] = monthly;
+      domainTotals[domain] += monthly;
+      addToEnvironment(env, monthly);
+    });
+  });
+
+  // Add-ons are billed to the environment, not to any domain
+  const addOnCosts = {};
+  environments.forEach(({ key: env, addOns }) => {
+    const costs = priceAddOns(addOns, pricing);
+    const monthly = Object.values(costs).reduce((sum, cost) => sum + cost, 0);
+    addOnCosts[env] = { ...costs, monthly };
+    ADD_ON_COST_LINES.forEach(({ key }) => addToLine(key, env, costs[key]));
+    if (monthly > 0) addToEnvironment(env, monthly);
+  });
+
+  const clusterList = Object.values(clusters);
+  return {
+    totalCost,
+    totalECKUs: clusterList.reduce((sum, cluster) => sum + cluster.ecku, 0),
+    totalStorage: clusterList.reduce((sum, cluster) => sum + cluster.storageGB, 0),
+    domainTotals,
+    environmentTotals,
+    domainEnvironmentCosts,
+    costLineTotals,
+    addOnCosts,
+    addOnTotal: Object.values(addOnCosts).reduce((sum, costs) => sum + costs.monthly, 0),
+    clusters,
+    clusterAssignments: assignments,
+    annualCost: totalCost * 12
+  };
+};
+
+// Size the whole estate: per-domain/per-environment results plus totals
+export const sizeEstate = ({
+  inputs,
+  clusterMode = 'single',
+  pricing = DEFAULT_PRICE_BOOK,
+  networking = DEFAULT_NETWORKING,
+  environments = createDefaultEnvironments(),
+  topology = createDefaultTopology()
+}) => {
+  const results = calculateSizing(inputs, pricing, networking, environments);
+  return { results, totals: calculateTotals(results, clusterMode, pricing, environments, topology) };
+};
@@ -0,0 +1,403 @@
+import {
+  calculateECKUs,
+  calculateClusters,
+  calculateSizing,
+  calculateTotals,
+  createDefaultInputs,
+  planClients,
+  priceAddOns,
+  priceNetworking,
+  sizeDomainEnvironment,
+  sizeEstate
+} from './sizing';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+import { addEnvironment, createDefaultEnvironments, updateEnvironment } from './environments';
+
+describe('calculateECKUs', () => {
+  test('sizes Basic on the dimension that needs the most eCKUs', () => {
+    const sizing = calculateECKUs({ ingressMBps: 60, partitions: 100 }, 'standard', DEFAULT_PRICE_BOOK, 'auto', 'single');
+
+    expect(sizing).toMatchObject({ ecku: 3, tier: 'basic', unit: 'eCKU', bindingLimit: 'ingressMBps', withinLimits: true });
+    expect(sizing.headroom.ingressMBps).toEqual({ demand: 60, capacity: 75, headroomPercent: 20 });
+    expect(sizing.headroom.partitions.capacity).toBe(1500);
+  });
+
+  test('moves to Standard when Basic runs out of connections or requests', () => {
+    expect(calculateECKUs({ ingressMBps: 10, connections: 12000 }, 'standard'))
+      .toMatchObject({ ecku: 3, tier: 'standard', bindingLimit: 'connections' });
+    expect(calculateECKUs({ ingressMBps: 10, requestsPerSecond: 20000 }, 'standard'))
+      .toMatchObject({ ecku: 2, tier: 'standard', bindingLimit: 'requestsPerSecond' });
+  });
+
+  test('moves to Enterprise and then Dedicated CKUs past the elastic ceilings', () => {
+    expect(calculateECKUs({ ingressMBps: 300, partitions: 100 }, 'standard'))
+      .toMatchObject({ ecku: 5, tier: 'enterprise', unit: 'eCKU' });
+    expect(calculateECKUs({ ingressMBps: 2400, partitions: 100 }, 'standard'))
+      .toMatchObject({ ecku: 40, tier: 'dedicated', unit: 'CKU', bindingLimit: 'ingressMBps' });
+  });
+
+  test('forces Dedicated for dedicated durability', () => {
+    expect(calculateECKUs({ ingressMBps: 10, partitions: 10 }, 'dedicated', DEFAULT_PRICE_BOOK, 'auto', 'single'))
+      .toMatchObject({ ecku: 1, tier: 'dedicated', unit: 'CKU' });
+  });
+
+  test('keeps multi-zone clusters off single-zone types and at their multi-zone minimum', () => {
+    expect(calculateECKUs({ ingressMBps: 10 }, 'standard')).toMatchObject({ ecku: 1, tier: 'standard' });
+    expect(calculateECKUs({ ingressMBps: 10 }, 'standard', DEFAULT_PRICE_BOOK, 'basic')).toMatchObject({ tier: 'standard' });
+    expect(calculateECKUs({ ingressMBps: 10 }, 'standard', DEFAULT_PRICE_BOOK, 'dedicated'))
+      .toMatchObject({ ecku: 2, tier: 'dedicated', bindingLimit: 'minimum' });
+    expect(calculateECKUs({ ingressMBps: 10 }, 'standard', DEFAULT_PRICE_BOOK, 'dedicated', 'single').ecku).toBe(1);
+  });
+
+  test('sizes against egress when consumer reads bind first', () => {
+    const sizing = calculateECKUs({ ingressMBps: 20, egressMBps: 200, partitions: 100 }, 'standard', DEFAULT_PRICE_BOOK, 'auto', 'single');
+
+    expect(sizing).toMatchObject({ ecku: 3, tier: 'basic', bindingLimit: 'egressMBps' });
+    expect(sizing.headroom.ingressMBps.headroomPercent).toBeCloseTo((55 / 75) * 100, 6);
+  });
+
+  test('only uses Freight when pinned and flags a pinned type past its ceiling', () => {
+    expect(calculateECKUs({ ingressMBps: 3000 }, 'standard').tier).toBe('dedicated');
+    expect(calculateECKUs({ ingressMBps: 3000 }, 'standard', undefined, 'freight'))
+      .toMatchObject({ ecku: 50, tier: 'freight', withinLimits: true });
+
+    const overloaded = calculateECKUs({ ingressMBps: 500 }, 'standard', undefined, 'basic', 'single');
+    expect(overloaded).toMatchObject({ ecku: 20, tier: 'basic', withinLimits: false });
+    expect(overloaded.headroom.ingressMBps.headroomPercent).toBe(0);
+  });
+
+  test('reads per-unit capacities and unit limits from the price book', () => {
+    const pricing = {
+      ...DEFAULT_PRICE_BOOK,
+      ecku: {
+        ...DEFAULT_PRICE_BOOK.ecku,
+        basic: { ...DEFAULT_PRICE_BOOK.ecku.basic, ingressMBps: 50, maxUnits: 6, minUnits: 2 }
+      }
+    };
+    expect(calculateECKUs({ ingressMBps: 250, partitions: 100 }, 'standard', pricing, 'auto', 'single'))
+      .toMatchObject({ ecku: 5, tier: 'basic', bindingLimit: 'ingressMBps' });
+    expect(calculateECKUs({ ingressMBps: 0 }, 'standard', pricing, 'auto', 'single'))
+      .toMatchObject({ ecku: 2, tier: 'basic', bindingLimit: 'minimum' });
+  });
+});
+
+describe('sizeDomainEnvironment', () => {
+  const domainInput = createDefaultInputs().cust;
+
+  test('sizes throughput, storage and partitions from the domain profile', () => {
+    const result = sizeDomainEnvironment(domainInput, 'prd', undefined, undefined, { availability: 'single' });
+
+    expect(result.rawThroughputMBps).toBeCloseTo(2.4414, 4);
+    expect(result.throughputMBps).toBeCloseTo(1.5869, 4);
+    expect(result.storageGB).toBeCloseTo(374.91, 2);
+    expect(result.partitions).toBe(60);
+    expect(result.tier).toBe('basic');
+    expect(result.ecku).toBe(1);
+  });
+
+  test('prices ECKUs and storage from the supplied catalogue', () => {
+    const pricing = {
+      ...DEFAULT_PRICE_BOOK,
+      ecku: { ...DEFAULT_PRICE_BOOK.ecku, basic: { ...DEFAULT_PRICE_BOOK.ecku.basic, monthlyPrice: 100 } },
+      storage: { ...DEFAULT_PRICE_BOOK.storage, basic: 1 }
+    };
+    const result = sizeDomainEnvironment(domainInput, 'prd', pricing, undefined, { availability: 'single' });
+
+    expect(result.costs.ecku).toBe(100);
+    expect(result.costs.storage).toBeCloseTo(result.storageGB, 6);
+    expect(result.costs.annual).toBeCloseTo(result.costs.monthly * 12, 6);
+  });
+});
+
+describe('priceNetworking', () => {
+  const transfer = { ingressGB: 1000, egressGB: 3000, internetEgressGB: 300 };
+
+  test('prices data transfer per GB from the price book', () => {
+    const costs = priceNetworking(transfer, 'public');
+
+    expect(costs.ingress).toBeCloseTo(10, 6);
+    expect(costs.egress).toBeCloseTo(120, 6);
+    expect(costs.internetEgress).toBeCloseTo(21, 6);
+    expect(costs.crossAz).toBeCloseTo(4000 * (2 / 3) * 0.008, 6);
+    expect(costs.networking).toBe(0);
+  });
+
+  test('adds the attachment fee and processing charge for private networking', () => {
+    expect(priceNetworking(transfer, 'privateLink').networking).toBeCloseTo(150 + 4000 * 0.008, 6);
+    expect(priceNetworking(transfer, 'transitGateway').networking).toBeCloseTo(110 + 4000 * 0.016, 6);
+  });
+});
+
+describe('sizeDomainEnvironment networking', () => {
+  test('scales egress with consumer groups, read fan-out and the share leaving the cloud', () => {
+    const domainInput = { ...createDefaultInputs().cust, consumerGroups: 3, readFanout: 2, internetEgressShare: 0.5 };
+    const { transfer, costs, ingressMBps, egressMBps } = sizeDomainEnvironment(domainInput, 'prd');
+
+    expect(egressMBps).toBeCloseTo(ingressMBps * 6, 6);
+    expect(transfer.egressGB).toBeCloseTo(transfer.ingressGB * 6, 6);
+    expect(transfer.internetEgressGB).toBeCloseTo(transfer.egressGB * 0.5, 6);
+    expect(costs.monthly).toBeCloseTo(
+      costs.ecku + costs.storage + costs.ingress + costs.egress + costs.internetEgress + costs.crossAz + costs.networking,
+      6
+    );
+  });
+
+  test('uses the networking type configured for the environment', () => {
+    const domainInput = createDefaultInputs().cust;
+    const result = sizeDomainEnvironment(domainInput, 'dev', undefined, { dev: 'peering' });
+
+    expect(result.networkingType).toBe('peering');
+  });
+});
+
+describe('calculateSizing', () => {
+  test('skips disabled environments', () => {
+    const inputs = createDefaultInputs();
+    inputs.corp.environments.dev.enabled = false;
+    const results = calculateSizing(inputs);
+
+    expect(Object.keys(results.corp)).toEqual(['tst', 'pre', 'prd']);
+    expect(Object.keys(results.cust)).toEqual(['dev', 'tst', 'pre', 'prd']);
+  });
+});
+
+describe('environment policies', () => {
+  test('size only the configured environments', () => {
+    const environments = addEnvironment(createDefaultEnvironments(), 'perf', 'Performance', 0.5);
+    const inputs = createDefaultInputs(undefined, environments);
+    const results = calculateSizing(inputs, undefined, undefined, environments);
+
+    expect(Object.keys(results.cust)).toEqual(['dev', 'tst', 'pre', 'prd', 'perf']);
+    expect(results.cust.perf.scalingFactors.scale).toBe(0.5);
+  });
+
+  test('apply replication and retention overrides to storage', () => {
+    const inputs = createDefaultInputs();
+    const environments = updateEnvironment(createDefaultEnvironments(), 'dev', { replicationFactor: 1, retentionDays: 1 });
+    const physical = { ...DEFAULT_PRICE_BOOK, storageBilling: 'physical' };
+    const before = calculateSizing(inputs, physical).cust.dev;
+    const after = calculateSizing(inputs, physical, undefined, environments).cust.dev;
+
+    expect(after.replicationFactor).toBe(1);
+    expect(after.storageGB).toBeCloseTo(before.storageGB / 3 / 7, 6);
+  });
+
+  test('drop cross-AZ charges for single-zone clusters and honour a pinned cluster type', () => {
+    const inputs = createDefaultInputs();
+    const environments = updateEnvironment(createDefaultEnvironments(), 'tst', { availability: 'single', clusterType: 'dedicated' });
+    const result = calculateSizing(inputs, undefined, undefined, environments).cust.tst;
+
+    expect(result.costs.crossAz).toBe(0);
+    expect(result.tier).toBe('dedicated');
+  });
+
+  test('let an environment override the scenario cluster mode', () => {
+    const environments = updateEnvironment(createDefaultEnvironments(), 'prd', { clusterMode: 'domain' });
+    const { totals } = sizeEstate({ inputs: createDefaultInputs(), clusterMode: 'single', environments });
+
+    expect(Object.keys(totals.clusters)).toEqual(expect.arrayContaining(['dev', 'tst', 'pre', 'cust.prd']));
+    expect(totals.clusters.prd).toBeUndefined();
+    expect(totals.totalECKUs).toBe(3 + 5);
+  });
+});
+
+describe('calculateTotals', () => {
+  const results = calculateSizing(createDefaultInputs());
+
+  test('sums ECKUs and storage across domain clusters', () => {
+    const totals = calculateTotals(results, 'domain');
+    const domainSum = Object.values(totals.domainTotals).reduce((sum, cost) => sum + cost, 0);
+    const envSum = Object.values(totals.environmentTotals).reduce((sum, cost) => sum + cost, 0);
+
+    expect(totals.totalECKUs).toBe(20);
+    expect(domainSum).toBeCloseTo(totals.totalCost, 6);
+    expect(envSum).toBeCloseTo(totals.totalCost, 6);
+    expect(totals.annualCost).toBeCloseTo(totals.totalCost * 12, 6);
+  });
+
+  test('prices one shared cluster per environment in single mode', () => {
+    const totals = calculateTotals(results, 'single');
+    const clusterCost = Object.values(totals.clusters)
+      .reduce((sum, cluster) => sum + cluster.costs.monthly, 0);
+    const standaloneCost = calculateTotals(results, 'domain').totalCost;
+
+    expect(totals.totalECKUs).toBe(4);
+    expect(totals.totalCost).toBeCloseTo(clusterCost, 6);
+    expect(totals.totalCost).toBeLessThan(standaloneCost);
+    expect(totals.environmentTotals.prd).toBeCloseTo(totals.clusters.prd.costs.monthly, 6);
+  });
+
+  test('charges each shared cluster one networking attachment', () => {
+    const single = calculateTotals(results, 'single');
+    const perDomain = calculateTotals(results, 'domain');
+
+    expect(single.costLineTotals.networking.prd).toBeLessThan(perDomain.costLineTotals.networking.prd);
+    expect(single.costLineTotals.ingress.prd).toBeCloseTo(perDomain.costLineTotals.ingress.prd, 6);
+  });
+});
+
+describe('calculateClusters', () => {
+  test('sizes one cluster per environment from combined demand', () => {
+    const inputs = createDefaultInputs();
+    inputs.hols.messagesPerSecond = 300000;
+    const results = calculateSizing(inputs);
+    const clusters = calculateClusters(results);
+    const prd = clusters.prd;
+
+    const combinedThroughput = Object.keys(results)
+      .reduce((sum, domain) => sum + results[domain].prd.throughputMBps, 0);
+    expect(prd.throughputMBps).toBeCloseTo(combinedThroughput, 6);
+    expect(prd.partitions).toBe(324);
+    expect(prd.connections).toBe(Object.keys(results).reduce((sum, domain) => sum + results[domain].prd.connections, 0));
+    expect(prd).toMatchObject({ tier: 'enterprise', ecku: 9, bindingLimit: 'ingressMBps' });
+  });
+
+  test('splits the cluster cost across contributing domains', () => {
+    const clusters = calculateClusters(calculateSizing(createDefaultInputs()));
+    const prd = clusters.prd;
+    const contributed = Object.values(prd.contributions)
+      .reduce((sum, contribution) => sum + contribution.monthly, 0);
+
+    expect(contributed).toBeCloseTo(prd.costs.monthly, 6);
+    expect(prd.contributions.cust.throughputShare).toBeCloseTo(0.2, 6);
+  });
+});
+
+describe('cluster topology', () => {
+  const topology = {
+    clusters: [
+      { id: 'core', name: 'Core', env: 'prd', domains: ['cust', 'comm'] },
+      { id: 'ops', name: 'Operations', env: 'prd', domains: ['aops'] }
+    ]
+  };
+
+  test('sizes named clusters from their own domains only', () => {
+    const { results, totals } = sizeEstate({ inputs: createDefaultInputs(), clusterMode: 'single', topology });
+    const core = totals.clusters.core;
+
+    expect(core.name).toBe('Core');
+    expect(core.kind).toBe('named');
+    expect(core.domains).toEqual(['cust', 'comm']);
+    expect(core.throughputMBps).toBeCloseTo(results.cust.prd.throughputMBps + results.comm.prd.throughputMBps, 6);
+    expect(totals.clusters.prd.domains).toEqual(['corp', 'hols']);
+    expect(totals.clusterAssignments.aops.prd).toBe('ops');
+    expect(totals.clusterAssignments.aops.dev).toBe('dev');
+  });
+
+  test('bills each named cluster in full to its domains', () => {
+    const { totals } = sizeEstate({ inputs: createDefaultInputs(), clusterMode: 'domain', topology });
+    const clusterCost = ['core', 'ops'].reduce((sum, id) => sum + totals.clusters[id].costs.monthly, 0);
+    const domainCost = ['cust', 'comm', 'aops'].reduce((sum, domain) => sum + totals.domainEnvironmentCosts[domain].prd, 0);
+
+    expect(domainCost).toBeCloseTo(clusterCost, 6);
+    expect(totals.clusters['corp.prd'].kind).toBe('domain');
+    expect(totals.totalECKUs).toBe(Object.values(totals.clusters).reduce((sum, cluster) => sum + cluster.ecku, 0));
+  });
+});
+
+describe('client load', () => {
+  test('estimate clients from the topic layout until they are planned', () => {
+    expect(planClients(createDefaultInputs().cust))
+      .toEqual({ producerInstances: 10, consumerInstances: 20, requestsPerSecond: 90 });
+  });
+
+  test('move a domain off Basic when its instances pass the connection cap', () => {
+    const inputs = createDefaultInputs();
+    const environments = createDefaultEnvironments().map(environment => ({ ...environment, availability: 'single' }));
+    expect(calculateSizing(inputs, undefined, undefined, environments).hols.prd.tier).toBe('basic');
+
+    inputs.hols.producerInstances = 3000;
+    inputs.hols.consumerInstances = 2000;
+    const { prd, dev } = calculateSizing(inputs, undefined, undefined, environments).hols;
+
+    expect(prd).toMatchObject({ connections: 15000, tier: 'standard', ecku: 4, bindingLimit: 'connections' });
+    expect(dev.connections).toBe(1500);
+  });
+});
+
+describe('storage modes', () => {
+  const GB = 1024 * 1024 * 1024;
+  const domainInput = createDefaultInputs().cust;
+  const { scale } = domainInput.environments.prd;
+
+  test('bill logical bytes unless the price book charges for every replica', () => {
+    const logical = sizeDomainEnvironment(domainInput, 'prd');
+    const physical = sizeDomainEnvironment(domainInput, 'prd', { ...DEFAULT_PRICE_BOOK, storageBilling: 'physical' });
+
+    expect(logical.storageGB).toBeCloseTo(logical.logicalStorageGB, 6);
+    expect(physical.storageGB).toBeCloseTo(logical.storageGB * 3, 6);
+    expect(physical.costs.storage).toBeCloseTo(logical.costs.storage * 3, 6);
+  });
+
+  test('size compacted topics from key cardinality and record size, whatever the throughput', () => {
+    const compacted = { ...domainInput, cleanupPolicy: 'compact', keyCardinality: 1000000 };
+    const result = sizeDomainEnvironment(compacted, 'prd');
+    const busier = sizeDomainEnvironment({ ...compacted, messagesPerSecond: 10000 }, 'prd');
+
+    expect(result.storageByMode.compact).toBeCloseTo((1000000 * 1024 * 10 * scale * 0.65) / GB, 6);
+    expect(result.storageByMode.delete).toBe(0);
+    expect(busier.storageGB).toBeCloseTo(result.storageGB, 6);
+    expect(result.costs.compactedStorage).toBeCloseTo(result.storageGB * DEFAULT_PRICE_BOOK.storage[result.tier], 6);
+    expect(result.costs.storage).toBe(0);
+  });
+
+  test('hold the planning horizon of data for infinite retention', () => {
+    const infinite = { ...domainInput, infiniteRetention: true };
+    const year = sizeDomainEnvironment(infinite, 'prd');
+    const twoYears = sizeDomainEnvironment({ ...infinite, retentionHorizonMonths: 24 }, 'prd');
+
+    expect(year.storageByMode.infinite).toBeCloseTo((1024000 * scale * 365 * 86400 * 0.65) / GB, 6);
+    expect(twoYears.storageGB).toBeCloseTo(year.storageGB * 2, 6);
+    expect(year.costs.infiniteStorage).toBeGreaterThan(0);
+    expect(year.costs.storage).toBe(0);
+  });
+
+  test('charge each domain for the storage it holds in each mode', () => {
+    const inputs = createDefaultInputs();
+    inputs.cust = { ...inputs.cust, cleanupPolicy: 'compact' };
+    const { prd } = calculateClusters(calculateSizing(inputs));
+
+    expect(prd.contributions.cust.costs.compactedStorage).toBeCloseTo(prd.costs.compactedStorage, 6);
+    expect(prd.contributions.cust.costs.storage).toBe(0);
+    expect(prd.contributions.corp.costs.compactedStorage).toBe(0);
+  });
+});
+
+describe('environment add-ons', () => {
+  test('price governance, compute units and connectors from the price book', () => {
+    const addOns = { governance: 'essentials', ksqldbCsus: 2, flinkCfus: 5, connectorTasks: 3, connectorThroughputMBps: 1 };
+
+    expect(priceAddOns(addOns)).toEqual({
+      governance: 75,
+      ksqldb: 340,
+      flink: 750,
+      connectors: expect.closeTo(3 * 110 + ((86400 * 365) / 12 / 1024) * 0.02, 6)
+    });
+  });
+
+  test('bill the environment rather than its domains', () => {
+    const inputs = createDefaultInputs();
+    const plain = sizeEstate({ inputs }).totals;
+    const environments = updateEnvironment(createDefaultEnvironments(), 'prd', {
+      addOns: { governance: 'advanced', ksqldbCsus: 0, flinkCfus: 2, connectorTasks: 0, connectorThroughputMBps: 0 }
+    });
+    const { totals } = sizeEstate({ inputs, environments });
+
+    expect(totals.addOnCosts.prd).toMatchObject({ governance: 580, flink: 300, monthly: 880 });
+    expect(totals.addOnCosts.dev.monthly).toBe(0);
+    expect(totals.costLineTotals.governance.prd).toBe(580);
+    expect(totals.environmentTotals.prd).toBeCloseTo(plain.environmentTotals.prd + 880, 6);
+    expect(totals.totalCost).toBeCloseTo(plain.totalCost + 880, 6);
+    expect(totals.domainTotals).toEqual(plain.domainTotals);
+  });
+});
+
+describe('sizeEstate', () => {
+  test('returns results and totals together', () => {
+    const inputs = createDefaultInputs();
+    const { results, totals } = sizeEstate({ inputs, clusterMode: 'domain' });
+
+    expect(results).toEqual(calculateSizing(inputs));
+    expect(totals).toEqual(calculateTotals(results, 'domain'));
+  });
+});
@@ -0,0 +1,3 @@
+// Storage problems are reported to the user rather than logged, so saved work
+// is never lost without them knowing
+export const storageProblem = (action, error) => `Browser storage could not ${action} (${error.message})`;
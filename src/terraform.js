@@ -0,0 +1,203 @@
+import { BUSINESS_DOMAINS } from './constants';
+import { createDefaultEnvironments } from './environments';
+import { orderClusters } from './topology';
+import { createDefaultTopicTypes, profileTopics, topicStorageMode } from './topics';
+import { bindingLimitLabel } from './sizing';
+
+// Terraform for the confluent provider, generated from a sized estate. Each
+// environment gets its own folder so it can be planned and applied alone.
+const PROVIDER_VERSION = '~> 2.0';
+
+const MS_PER_DAY = 86400000;
+
+// Price book tiers the provider has a cluster block for
+const CLUSTER_BLOCKS = ['basic', 'standard', 'enterprise', 'dedicated', 'freight'];
+
+const GOVERNANCE_PACKAGES = { essentials: 'ESSENTIALS', advanced: 'ADVANCED' };
+
+// Terraform identifiers: lower-case letters, digits and underscores, not
+// starting with a digit
+export const terraformName = text => {
+  const name = String(text).toLowerCase().replace(/[^a-z0-9_]+/g, '_').replace(/^_+|_+$/g, '');
+  return /^[a-z_]/.test(name) ? name : `_${name}`;
+};
+
+// Quote a value as an HCL string, escaping interpolation as well as quotes
+const hclString = value =>
+  `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$\{/g, '$${')}"`;
+
+// Attribute lines with their equals signs aligned, as terraform fmt leaves them
+const attributes = (pairs, indent = '  ') => {
+  const width = Math.max(...pairs.map(([key]) => key.length));
+  return pairs.map(([key, value]) => `${indent}${key.padEnd(width)} = ${value}`);
+};
+
+// The availability the cluster was priced in. Sizing keeps single-zone types
+// out of multi-zone environments.
+const clusterAvailability = cluster => (cluster.availability === 'single' ? 'SINGLE_ZONE' : 'MULTI_ZONE');
+
+// The cluster type block, with the units the cluster was sized to
+const clusterTypeBlock = cluster => {
+  if (cluster.tier === 'dedicated') return ['  dedicated {', `    cku = ${cluster.ecku}`, '  }'];
+  if (CLUSTER_BLOCKS.includes(cluster.tier)) return [`  ${cluster.tier} {}`];
+  return [`  # No provider cluster type matches "${cluster.tier}"; Standard is used until one is chosen`, '  standard {}'];
+};
+
+// Topics a domain runs: its inventory, or its topic catalogue with the
+// profile's settings it is sized with
+const domainTopics = (domain, domainInput, subdomains, topicTypes) => (domainInput.topics.length > 0
+  ? domainInput.topics
+  : profileTopics(domain, subdomains, domainInput, topicTypes));
+
+// Topic settings for its storage mode, with the environment's retention
+// override applied as it is when sizing
+const topicConfig = (topic, environment) => {
+  const mode = topicStorageMode(topic);
+  if (mode === 'compact') return [['"cleanup.policy"', '"compact"']];
+  const retentionMs = mode === 'infinite'
+    ? -1
+    : Math.round((environment.retentionDays || topic.retentionDays) * MS_PER_DAY);
+  return [['"cleanup.policy"', '"delete"'], ['"retention.ms"', hclString(retentionMs)]];
+};
+
+const mainFile = environment => {
+  const governance = GOVERNANCE_PACKAGES[environment.addOns?.governance];
+  return [
+    'terraform {',
+    '  required_providers {',
+    '    confluent = {',
+    ...attributes([['source', '"confluentinc/confluent"'], ['version', hclString(PROVIDER_VERSION)]], '      '),
+    '    }',
+    '  }',
+    '}',
+    '',
+    'provider "confluent" {',
+    ...attributes([['cloud_api_key', 'var.confluent_cloud_api_key'], ['cloud_api_secret', 'var.confluent_cloud_api_secret']]),
+    '}',
+    '',
+    `resource "confluent_environment" "${terraformName(environment.key)}" {`,
+    `  display_name = ${hclString(environment.label)}`,
+    ...(governance ? ['', '  stream_governance {', `    package = "${governance}"`, '  }'] : []),
+    '}',
+    ''
+  ].join('\n');
+};
+
+const variablesFile = () => [
+  'variable "confluent_cloud_api_key" {',
+  '  type      = string',
+  '  sensitive = true',
+  '}',
+  '',
+  'variable "confluent_cloud_api_secret" {',
+  '  type      = string',
+  '  sensitive = true',
+  '}',
+  '',
+  'variable "cloud" {',
+  '  type    = string',
+  '  default = "AWS"',
+  '}',
+  '',
+  'variable "region" {',
+  '  type = string',
+  '}',
+  '',
+  '# Kafka API key for each cluster, keyed by its resource name',
+  'variable "kafka_credentials" {',
+  '  type = map(object({',
+  '    key    = string',
+  '    secret = string',
+  '  }))',
+  '  sensitive = true',
+  '}',
+  ''
+].join('\n');
+
+const clusterResource = (cluster, name, environment) => {
+  return [
+    `# Sized at ${cluster.ecku} ${cluster.unit}s on ${bindingLimitLabel(cluster.bindingLimit).toLowerCase()}; domains: ${cluster.domains.join(', ')}`,
+    `resource "confluent_kafka_cluster" "${name}" {`,
+    ...attributes([
+      ['display_name', hclString(cluster.name)],
+      ['availability', `"${clusterAvailability(cluster)}"`],
+      ['cloud', 'var.cloud'],
+      ['region', 'var.region']
+    ]),
+    '',
+    ...clusterTypeBlock(cluster),
+    '',
+    '  environment {',
+    `    id = confluent_environment.${terraformName(environment.key)}.id`,
+    '  }',
+    '}'
+  ].join('\n');
+};
+
+const topicResource = (topic, clusterName, environment) => [
+  `resource "confluent_kafka_topic" "${terraformName(topic.name)}" {`,
+  '  kafka_cluster {',
+  `    id = confluent_kafka_cluster.${clusterName}.id`,
+  '  }',
+  ...attributes([
+    ['topic_name', hclString(topic.name)],
+    ['partitions_count', String(topic.partitions)],
+    ['rest_endpoint', `confluent_kafka_cluster.${clusterName}.rest_endpoint`]
+  ]),
+  '  config = {',
+  ...attributes(topicConfig(topic, environment), '    '),
+  '  }',
+  '',
+  '  credentials {',
+  ...attributes([
+    ['key', `var.kafka_credentials["${clusterName}"].key`],
+    ['secret', `var.kafka_credentials["${clusterName}"].secret`]
+  ], '    '),
+  '  }',
+  '}'
+].join('\n');
+
+// Build the Terraform files for every environment with sized clusters, as
+// a list of { path, content } with one folder per environment
+export const buildTerraform = ({
+  inputs,
+  totals,
+  domainConfig = BUSINESS_DOMAINS,
+  environments = createDefaultEnvironments(),
+  topicTypes = createDefaultTopicTypes()
+}) => {
+  const clusters = orderClusters(totals.clusters, environments);
+
+  return environments
+    .filter(environment => clusters.some(cluster => cluster.env === environment.key))
+    .flatMap(environment => {
+      // Resource names from cluster names, kept unique within the environment
+      const names = {};
+      const used = new Set();
+      const envClusters = clusters.filter(cluster => cluster.env === environment.key);
+      envClusters.forEach(cluster => {
+        const base = terraformName(cluster.name);
+        let name = base;
+        for (let suffix = 2; used.has(name); suffix++) name = `${base}_${suffix}`;
+        used.add(name);
+        names[cluster.id] = name;
+      });
+
+      const topics = Object.keys(totals.clusterAssignments).flatMap(domain => {
+        const clusterId = totals.clusterAssignments[domain][environment.key];
+        if (!clusterId) return [];
+        return domainTopics(domain, inputs[domain], domainConfig[domain]?.subdomains || [], topicTypes)
+          .map(topic => topicResource(topic, names[clusterId], environment));
+      });
+
+      return [
+        { path: `${environment.key}/main.tf`, content: mainFile(environment) },
+        { path: `${environment.key}/variables.tf`, content: variablesFile() },
+        {
+          path: `${environment.key}/clusters.tf`,
+          content: `${envClusters.map(cluster => clusterResource(cluster, names[cluster.id], environment)).join('\n\n')}\n`
+        },
+        { path: `${environment.key}/topics.tf`, content: `${topics.join('\n\n')}\n` }
+      ];
+    });
+};
@@ -0,0 +1,109 @@
+import { buildTerraform, terraformName } from './terraform';
+import { createDefaultInputs, sizeEstate } from './sizing';
+import { createDefaultEnvironments, updateEnvironment } from './environments';
+import { createTopic } from './topics';
+
+const buildFiles = ({ inputs = createDefaultInputs(), environments = createDefaultEnvironments(), clusterMode = 'single' } = {}) => {
+  const { totals } = sizeEstate({ inputs, clusterMode, environments });
+  const files = buildTerraform({ inputs, totals, environments });
+  return { totals, files: Object.fromEntries(files.map(({ path, content }) => [path, content])) };
+};
+
+describe('terraformName', () => {
+  test('makes a valid identifier from a name', () => {
+    expect(terraformName('cust.marketing.events.v1')).toBe('cust_marketing_events_v1');
+    expect(terraformName('Core services (EU)')).toBe('core_services_eu');
+    expect(terraformName('2024 archive')).toBe('_2024_archive');
+  });
+});
+
+describe('buildTerraform', () => {
+  test('writes one folder per environment', () => {
+    const { files } = buildFiles();
+
+    expect(Object.keys(files)).toHaveLength(16);
+    expect(Object.keys(files).filter(path => path.startsWith('prd/')))
+      .toEqual(['prd/main.tf', 'prd/variables.tf', 'prd/clusters.tf', 'prd/topics.tf']);
+    expect(files['prd/main.tf']).toContain('resource "confluent_environment" "prd" {\n  display_name = "Production"\n}');
+  });
+
+  test('declares each sized cluster with its tier', () => {
+    let environments = updateEnvironment(createDefaultEnvironments(), 'prd', { clusterType: 'dedicated' });
+    environments = updateEnvironment(environments, 'dev', { availability: 'single' });
+    environments = updateEnvironment(environments, 'tst', { clusterType: 'basic' });
+    const { files, totals } = buildFiles({ environments, clusterMode: 'domain' });
+
+    expect(files['dev/clusters.tf']).toContain('resource "confluent_kafka_cluster" "cust_development" {');
+    expect(files['dev/clusters.tf']).toContain('  availability = "SINGLE_ZONE"');
+    expect(files['dev/clusters.tf']).toContain(`  ${totals.clusters['cust.dev'].tier} {}`);
+    // Basic is single-zone only, so multi-zone test clusters are sized and exported as Standard
+    expect(totals.clusters['cust.tst'].tier).toBe('standard');
+    expect(files['tst/clusters.tf']).toContain('  availability = "MULTI_ZONE"');
+    expect(files['tst/clusters.tf']).not.toContain('basic {}');
+    expect(files['prd/clusters.tf']).toContain('  availability = "MULTI_ZONE"');
+    expect(totals.clusters['cust.prd']).toMatchObject({ tier: 'dedicated', ecku: 2 });
+    expect(files['prd/clusters.tf']).toContain('  dedicated {\n    cku = 2\n  }');
+    expect(files['prd/clusters.tf'].match(/resource "confluent_kafka_cluster"/g)).toHaveLength(5);
+  });
+
+  test('creates every generated topic with its partitions and retention', () => {
+    const { files } = buildFiles();
+    const topics = files['prd/topics.tf'];
+
+    expect(topics.match(/resource "confluent_kafka_topic"/g)).toHaveLength(2 * (5 + 5 + 4 + 5 + 8));
+    expect(topics).toContain([
+      'resource "confluent_kafka_topic" "cust_marketing_events_v1" {',
+      '  kafka_cluster {',
+      '    id = confluent_kafka_cluster.production_shared.id',
+      '  }',
+      '  topic_name       = "cust.marketing.events.v1"',
+      '  partitions_count = 6',
+      '  rest_endpoint    = confluent_kafka_cluster.production_shared.rest_endpoint',
+      '  config = {',
+      '    "cleanup.policy" = "delete"',
+      '    "retention.ms"   = "604800000"',
+      '  }'
+    ].join('\n'));
+  });
+
+  test('exports profile-sized domains with the partitions, retention and storage mode they are sized with', () => {
+    const inputs = createDefaultInputs();
+    Object.assign(inputs.cust, { partitionsPerTopic: 12, retentionDays: 30, infiniteRetention: true });
+    Object.assign(inputs.hols, { partitionsPerTopic: 4, retentionDays: 30 });
+    const { files, totals } = buildFiles({ inputs, clusterMode: 'domain' });
+    const topics = files['prd/topics.tf'];
+
+    expect(totals.clusters['cust.prd'].partitions).toBe(120);
+    expect(topics).toMatch(/"cust\.marketing\.events\.v1"\n {2}partitions_count = 12[\s\S]*?"retention\.ms" {3}= "-1"/);
+    expect(topics).toMatch(/"hols\.booking\.events\.v1"\n {2}partitions_count = 4[\s\S]*?"retention\.ms" {3}= "2592000000"/);
+  });
+
+  test('follows the topic inventory, storage modes and environment overrides', () => {
+    const inputs = createDefaultInputs();
+    const profile = { messagesPerSecond: 10, avgMessageSize: 100, partitions: 3, retentionDays: 7 };
+    inputs.hols.topics = [
+      createTopic('hols', 'booking', 'events', 2, { ...profile, infiniteRetention: true }),
+      createTopic('hols', 'booking', 'commands', 1, { ...profile, cleanupPolicy: 'compact' })
+    ];
+    const environments = updateEnvironment(createDefaultEnvironments(), 'dev', {
+      retentionDays: 1,
+      addOns: { governance: 'advanced', ksqldbCsus: 0, flinkCfus: 0, connectorTasks: 0, connectorThroughputMBps: 0 }
+    });
+    const { files } = buildFiles({ inputs, environments });
+
+    expect(files['prd/topics.tf']).toContain('  topic_name       = "hols.booking.events.v2"');
+    expect(files['prd/topics.tf']).toContain('    "retention.ms"   = "-1"');
+    expect(files['prd/topics.tf']).toMatch(/"hols\.booking\.commands\.v1"[\s\S]*?"cleanup\.policy" = "compact"\n {2}\}/);
+    expect(files['prd/topics.tf']).not.toContain('hols.search_compare');
+    expect(files['dev/topics.tf']).toContain(`"retention.ms"   = "${86400000}"`);
+    expect(files['dev/main.tf']).toContain('  stream_governance {\n    package = "ADVANCED"\n  }');
+  });
+
+  test('leaves out environments without clusters', () => {
+    const inputs = createDefaultInputs();
+    Object.values(inputs).forEach(domainInput => { domainInput.environments.tst.enabled = false; });
+    const { files } = buildFiles({ inputs });
+
+    expect(Object.keys(files).some(path => path.startsWith('tst/'))).toBe(false);
+  });
+});
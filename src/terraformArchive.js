@@ -0,0 +1,8 @@
+import JSZip from 'jszip';
+
+// Pack generated Terraform files into one zip, keeping their folders
+export const renderTerraformArchive = files => {
+  const zip = new JSZip();
+  files.forEach(({ path, content }) => zip.file(path, content));
+  return zip.generateAsync({ type: 'blob' });
+};
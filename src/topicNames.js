@@ -0,0 +1,177 @@
+import { BUSINESS_DOMAINS } from './constants';
+import { buildTopicName, createDefaultTopicTypes, enabledTopicTypes } from './topics';
+
+// Kafka rejects topic names longer than this or using other characters
+export const TOPIC_NAME_MAX_LENGTH = 249;
+const LEGAL_CHARACTERS = /^[a-zA-Z0-9._-]+$/;
+
+const VERSION_PATTERN = /^v(\d+)$/;
+
+// Type keys the default catalogue uses
+const DEFAULT_TYPE_KEYS = enabledTopicTypes(createDefaultTopicTypes()).map(type => type.key);
+
+// Common shorthand for the convention's topic types
+const TYPE_ALIASES = {
+  event: 'events',
+  evt: 'events',
+  command: 'commands',
+  cmd: 'commands',
+  cmds: 'commands',
+  dead_letter: 'dlq',
+  dlt: 'dlq'
+};
+
+// Lower-case a segment and join its words with underscores, as domain codes
+// and subdomain names are written
+const normalizeSegment = segment => segment.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The candidate a segment most likely meant: an exact match once normalised,
+// a match ignoring underscores, or the one unambiguous near-miss
+const closestMatch = (segment, candidates, aliases = {}) => {
+  if (!segment) return null;
+  const normalized = normalizeSegment(segment);
+  if (candidates.includes(aliases[normalized])) return aliases[normalized];
+  const compact = normalized.replace(/_/g, '');
+  const exact = candidates.find(candidate => candidate === normalized || candidate.replace(/_/g, '') === compact);
+  if (exact) return exact;
+
+  const ranked = candidates
+    .map(candidate => ({ candidate, distance: editDistance(normalized, candidate) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance);
+  if (ranked.length === 0 || ranked[1]?.distance === ranked[0].distance) return null;
+  return ranked[0].candidate;
+};
+
+// Domains match on their code, or on their display name
+const matchDomain = (segment, domainConfig) => {
+  const byName = Object.keys(domainConfig).find(domain =>
+    normalizeSegment(domainConfig[domain].name) === normalizeSegment(segment || ''));
+  return byName || closestMatch(segment, Object.keys(domainConfig));
+};
+
+// Split a name into the convention's segments. A name one segment short whose
+// last segment is a version is missing its type, not its version.
+const splitName = name => {
+  const segments = name.split('.');
+  if (segments.length === 3 && VERSION_PATTERN.test(segments[2])) {
+    return { domain: segments[0], subdomain: segments[1], type: undefined, version: segments[2], extra: [] };
+  }
+  const [domain, subdomain, type, version, ...extra] = segments;
+  return { domain, subdomain, type, version, extra };
+};
+
+// Check one topic name against {domain}.{subdomain}.{type}.v{version} and
+// Kafka's own rules. The suggestion is the nearest compliant name, or null
+// when the domain, subdomain or type cannot be worked out.
+export const lintTopicName = (name, domainConfig = BUSINESS_DOMAINS, topicTypes = DEFAULT_TYPE_KEYS) => {
+  const issues = [];
+  if (!LEGAL_CHARACTERS.test(name) || name === '.' || name === '..') {
+    issues.push('Uses characters Kafka does not allow in topic names');
+  }
+  if (name.length > TOPIC_NAME_MAX_LENGTH) {
+    issues.push(`Longer than Kafka's ${TOPIC_NAME_MAX_LENGTH} character limit`);
+  }
+
+  const parts = splitName(name);
+  if (parts.extra.length > 0) {
+    issues.push(`Has ${parts.extra.length} segment${parts.extra.length > 1 ? 's' : ''} after the version`);
+  }
+
+  const domain = matchDomain(parts.domain, domainConfig);
+  const subdomains = domain ? domainConfig[domain].subdomains : [];
+  const subdomain = closestMatch(parts.subdomain, subdomains);
+  const type = closestMatch(parts.type, topicTypes, TYPE_ALIASES);
+  const versionDigits = (parts.version || '').match(/\d+/);
+  const version = versionDigits ? parseInt(versionDigits[0], 10) : 1;
+
+  // A domain is known when it matches by code, name or near-miss, and the
+  // name must then use its code
+  if (!domain) {
+    issues.push(`Unknown domain "${parts.domain}"`);
+  } else {
+    if (parts.domain !== domain) {
+      issues.push(`Domain "${parts.domain}" should be written as its code "${domain}"`);
+    }
+    if (!parts.subdomain) {
+      issues.push('Missing subdomain');
+    } else if (!subdomains.includes(parts.subdomain)) {
+      issues.push(`Unknown subdomain "${parts.subdomain}" for ${domainConfig[domain].name}`);
+    }
+  }
+  if (!parts.type) {
+    issues.push('Missing type');
+  } else if (!topicTypes.includes(parts.type)) {
+    issues.push(`Type "${parts.type}" is not one of ${topicTypes.join(', ')}`);
+  }
+  if (!parts.version) {
+    issues.push('Missing version');
+  } else if (!VERSION_PATTERN.test(parts.version)) {
+    issues.push(`Version "${parts.version}" is not v followed by a number`);
+  }
+
+  const suggestion = domain && subdomain && type ? buildTopicName(domain, subdomain, type, version) : null;
+  return {
+    name,
+    domain,
+    issues,
+    compliant: issues.length === 0,
+    suggestion: issues.length === 0 ? name : suggestion
+  };
+};
+
+// Topic names from pasted text or an uploaded file: one per line, or
+// separated by commas or spaces. Internal topics, which start with an
+// underscore, are left out.
+export const readTopicNames = text => {
+  const names = text
+    .split(/[\s,;]+/)
+    .map(name => name.replace(/^["']|["']$/g, ''))
+    .filter(Boolean);
+  const unique = [...new Set(names)];
+  return {
+    names: unique.filter(name => !name.startsWith('_')),
+    internal: unique.filter(name => name.startsWith('_')).length
+  };
+};
+
+// Lint a list of topic names, with the share compliant for each domain they
+// belong to. Names whose domain cannot be recognised are counted together.
+export const lintTopicNames = (names, domainConfig = BUSINESS_DOMAINS, topicTypes = DEFAULT_TYPE_KEYS) => {
+  const results = names.map(name => lintTopicName(name, domainConfig, topicTypes));
+  const groups = {};
+  results.forEach(result => {
+    const key = result.domain || '';
+    groups[key] = groups[key] || { domain: result.domain, total: 0, compliant: 0 };
+    groups[key].total += 1;
+    if (result.compliant) groups[key].compliant += 1;
+  });
+
+  const byDomain = [...Object.keys(domainConfig), '']
+    .filter(key => groups[key])
+    .map(key => ({
+      ...groups[key],
+      name: key ? domainConfig[key].name : 'Unrecognised domain',
+      compliance: (groups[key].compliant / groups[key].total) * 100
+    }));
+  const compliant = results.filter(result => result.compliant).length;
+
+  return {
+    results,
+    byDomain,
+    compliant,
+    compliance: results.length > 0 ? (compliant / results.length) * 100 : null
+  };
+};
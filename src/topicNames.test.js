@@ -0,0 +1,84 @@
+import { lintTopicName, lintTopicNames, readTopicNames } from './topicNames';
+
+describe('lintTopicName', () => {
+  test('passes names that follow the convention', () => {
+    expect(lintTopicName('cust.marketing.events.v1')).toEqual({
+      name: 'cust.marketing.events.v1',
+      domain: 'cust',
+      issues: [],
+      compliant: true,
+      suggestion: 'cust.marketing.events.v1'
+    });
+  });
+
+  test('flags each broken segment and suggests a corrected name', () => {
+    expect(lintTopicName('hols.Booking.event.1')).toMatchObject({
+      domain: 'hols',
+      compliant: false,
+      issues: [
+        'Unknown subdomain "Booking" for easyJet Holidays',
+        'Type "event" is not one of events, commands',
+        'Version "1" is not v followed by a number'
+      ],
+      suggestion: 'hols.booking.events.v1'
+    });
+    expect(lintTopicName('Customer.customer-management.commands').issues).toEqual([
+      'Domain "Customer" should be written as its code "cust"',
+      'Unknown subdomain "customer-management" for Customer',
+      'Missing version'
+    ]);
+    expect(lintTopicName('Customer.customer-management.commands').suggestion).toBe('cust.customer_management.commands.v1');
+    expect(lintTopicName('corp.finance_and_risk.v3')).toMatchObject({ issues: ['Missing type'], suggestion: null });
+  });
+
+  test('applies Kafka limits on characters and length', () => {
+    expect(lintTopicName('cust.sales.events.v2!').issues).toEqual([
+      'Uses characters Kafka does not allow in topic names',
+      'Version "v2!" is not v followed by a number'
+    ]);
+    expect(lintTopicName('cust.sales.events.v2!').suggestion).toBe('cust.sales.events.v2');
+    expect(lintTopicName(`cust.sales.events.v1.${'x'.repeat(250)}`).issues).toEqual([
+      'Longer than Kafka\'s 249 character limit',
+      'Has 1 segment after the version'
+    ]);
+  });
+
+  test('treats a near-miss domain as known and asks for its code', () => {
+    expect(lintTopicName('cst.sales.events.v1')).toMatchObject({
+      domain: 'cust',
+      issues: ['Domain "cst" should be written as its code "cust"'],
+      suggestion: 'cust.sales.events.v1'
+    });
+  });
+
+  test('leaves the suggestion out when the domain cannot be recognised', () => {
+    expect(lintTopicName('orders-created')).toMatchObject({ domain: null, suggestion: null });
+    expect(lintTopicName('constructor.x.events.v1')).toMatchObject({ compliant: false, issues: ['Unknown domain "constructor"'] });
+  });
+});
+
+describe('readTopicNames', () => {
+  test('reads one name per line or comma and skips internal topics', () => {
+    expect(readTopicNames('cust.sales.events.v1\r\n"hols.booking.events.v1", __consumer_offsets\n\ncust.sales.events.v1\n_schemas'))
+      .toEqual({ names: ['cust.sales.events.v1', 'hols.booking.events.v1'], internal: 2 });
+  });
+});
+
+describe('lintTopicNames', () => {
+  test('reports compliance for each domain', () => {
+    const report = lintTopicNames([
+      'cust.sales.events.v1',
+      'cust.sales.event.v1',
+      'hols.booking.commands.v2',
+      'payments'
+    ]);
+
+    expect(report.compliant).toBe(2);
+    expect(report.compliance).toBe(50);
+    expect(report.byDomain).toEqual([
+      { domain: 'cust', name: 'Customer', total: 2, compliant: 1, compliance: 50 },
+      { domain: 'hols', name: 'easyJet Holidays', total: 1, compliant: 1, compliance: 100 },
+      { domain: null, name: 'Unrecognised domain', total: 1, compliant: 0, compliance: 0 }
+    ]);
+  });
+});
@@ -0,0 +1,188 @@
+export const CLEANUP_POLICIES = ['delete', 'compact'];
+
+// Topic types a subdomain can publish, with the settings a new topic of each
+// type starts from. Only enabled types go into the topic catalogue.
+const TOPIC_TYPE_DEFAULTS = [
+  { key: 'events', label: 'Events', enabled: true, partitions: 6, retentionDays: 7, cleanupPolicy: 'delete' },
+  { key: 'commands', label: 'Commands', enabled: true, partitions: 6, retentionDays: 7, cleanupPolicy: 'delete' },
+  { key: 'state', label: 'State', enabled: false, partitions: 6, retentionDays: 7, cleanupPolicy: 'compact' },
+  { key: 'dlq', label: 'Dead letter', enabled: false, partitions: 1, retentionDays: 14, cleanupPolicy: 'delete' },
+  { key: 'retry', label: 'Retry', enabled: false, partitions: 3, retentionDays: 3, cleanupPolicy: 'delete' },
+  { key: 'changelog', label: 'Changelog', enabled: false, partitions: 6, retentionDays: 7, cleanupPolicy: 'compact' }
+];
+
+export const TOPIC_TYPES = TOPIC_TYPE_DEFAULTS.map(({ key }) => key);
+
+export const createDefaultTopicTypes = () => TOPIC_TYPE_DEFAULTS.map(type => ({ ...type }));
+
+const positiveOr = (value, fallback) => (typeof value === 'number' && value > 0 ? value : fallback);
+
+// Fill in types and settings missing from a saved configuration
+export const normalizeTopicTypes = topicTypes => {
+  const saved = Array.isArray(topicTypes) ? topicTypes : [];
+  return TOPIC_TYPE_DEFAULTS.map(defaults => {
+    const type = saved.find(candidate => candidate?.key === defaults.key) || {};
+    return {
+      ...defaults,
+      enabled: typeof type.enabled === 'boolean' ? type.enabled : defaults.enabled,
+      partitions: positiveOr(type.partitions, defaults.partitions),
+      retentionDays: positiveOr(type.retentionDays, defaults.retentionDays),
+      cleanupPolicy: CLEANUP_POLICIES.includes(type.cleanupPolicy) ? type.cleanupPolicy : defaults.cleanupPolicy
+    };
+  });
+};
+
+export const updateTopicType = (topicTypes, key, changes) =>
+  topicTypes.map(type => (type.key === key ? { ...type, ...changes } : type));
+
+export const enabledTopicTypes = topicTypes => topicTypes.filter(type => type.enabled);
+
+// How a topic's stored data grows: bounded by its retention period, kept
+// forever, or compacted down to the latest record for each key. Each mode is
+// priced on its own cost line.
+export const STORAGE_MODES = [
+  { key: 'delete', label: 'Time-bounded', costLine: 'storage' },
+  { key: 'infinite', label: 'Infinite retention', costLine: 'infiniteStorage' },
+  { key: 'compact', label: 'Compacted', costLine: 'compactedStorage' }
+];
+
+const SECONDS_PER_DAY = 86400;
+const SECONDS_PER_MONTH = (SECONDS_PER_DAY * 365) / 12;
+
+// Compaction wins over retention, since a compacted topic keeps its keys
+export const topicStorageMode = ({ cleanupPolicy, infiniteRetention }) => {
+  if (cleanupPolicy === 'compact') return 'compact';
+  return infiniteRetention ? 'infinite' : 'delete';
+};
+
+// Cleanup policy and retention flag that put a topic in a storage mode
+export const storageModeFields = mode => ({
+  cleanupPolicy: mode === 'compact' ? 'compact' : 'delete',
+  infiniteRetention: mode === 'infinite'
+});
+
+// Bytes a topic holds once its storage has settled. Infinite retention keeps
+// everything written over the domain's planning horizon; a compacted topic
+// holds one record per key whatever its throughput.
+const retainedBytes = (source, bytesPerSecond, retentionHorizonMonths) => {
+  const mode = topicStorageMode(source);
+  if (mode === 'compact') return { mode, bytes: source.keyCardinality * source.avgMessageSize };
+  if (mode === 'infinite') return { mode, bytes: bytesPerSecond * retentionHorizonMonths * SECONDS_PER_MONTH };
+  return { mode, bytes: bytesPerSecond * source.retentionDays * SECONDS_PER_DAY };
+};
+
+// Distinct keys a compacted topic holds when nothing else is planned
+export const DEFAULT_KEY_CARDINALITY = 10000;
+
+const noStorage = () => Object.fromEntries(STORAGE_MODES.map(({ key }) => [key, 0]));
+
+// Topic naming convention: {domain}.{subdomain}.{type}.v{version}
+export const buildTopicName = (domain, subdomain, type, version = 1) =>
+  `${domain}.${subdomain}.${type}.v${version}`;
+
+export const createTopic = (domain, subdomain, type, version, profile) => ({
+  name: buildTopicName(domain, subdomain, type, version),
+  subdomain,
+  type,
+  version,
+  messagesPerSecond: profile.messagesPerSecond,
+  avgMessageSize: profile.avgMessageSize,
+  partitions: profile.partitions,
+  retentionDays: profile.retentionDays,
+  cleanupPolicy: profile.cleanupPolicy || 'delete',
+  infiniteRetention: Boolean(profile.infiniteRetention),
+  keyCardinality: profile.keyCardinality ?? DEFAULT_KEY_CARDINALITY
+});
+
+// Fill in storage fields missing from topics saved before they existed
+export const normalizeTopic = topic => ({
+  infiniteRetention: false,
+  keyCardinality: DEFAULT_KEY_CARDINALITY,
+  ...topic
+});
+
+// Every topic a domain's subdomains publish: one per subdomain and enabled
+// type, with that type's settings
+export const buildTopicCatalogue = (domain, subdomains, topicTypes = createDefaultTopicTypes()) =>
+  subdomains.flatMap(subdomain => enabledTopicTypes(topicTypes).map(type => ({
+    name: buildTopicName(domain, subdomain, type.key),
+    subdomain,
+    type: type.key,
+    partitions: type.partitions,
+    retentionDays: type.retentionDays,
+    cleanupPolicy: type.cleanupPolicy
+  })));
+
+// Topics a domain profile sizes for, derived from the catalogue
+export const catalogueTopicCount = (subdomains, topicTypes = createDefaultTopicTypes()) =>
+  subdomains.length * enabledTopicTypes(topicTypes).length;
+
+// Generate the catalogue's topics, splitting the domain's base load evenly so
+// the inventory starts out carrying the same traffic as the domain profile.
+// Each topic takes its type's settings unless settings gives its own.
+export const generateTopics = (domain, subdomains, domainInput, topicTypes = createDefaultTopicTypes(), settings = entry => entry) => {
+  const catalogue = buildTopicCatalogue(domain, subdomains, topicTypes);
+  const messagesPerSecond = catalogue.length > 0 ? Math.round(domainInput.messagesPerSecond / catalogue.length) : 0;
+
+  return catalogue.map(entry => {
+    const { partitions, retentionDays, cleanupPolicy, infiniteRetention } = settings(entry);
+    return createTopic(domain, entry.subdomain, entry.type, 1, {
+      messagesPerSecond,
+      avgMessageSize: domainInput.avgMessageSize,
+      partitions,
+      retentionDays,
+      cleanupPolicy,
+      infiniteRetention,
+      keyCardinality: domainInput.keyCardinality
+    });
+  });
+};
+
+// The catalogue's topics as a profile-sized domain is sized: every topic
+// with the profile's partitions, retention and storage mode
+export const profileTopics = (domain, subdomains, domainInput, topicTypes = createDefaultTopicTypes()) =>
+  generateTopics(domain, subdomains, domainInput, topicTypes, () => ({
+    partitions: domainInput.partitionsPerTopic,
+    retentionDays: domainInput.retentionDays,
+    cleanupPolicy: domainInput.cleanupPolicy,
+    infiniteRetention: domainInput.infiniteRetention
+  }));
+
+// Workload a domain puts on a cluster at 1x scale: from its topic inventory
+// when it has one, otherwise from the domain-level profile. Retained bytes
+// are split by storage mode as well as totalled.
+export const summarizeWorkload = domainInput => {
+  const topics = domainInput.topics || [];
+  const { retentionHorizonMonths } = domainInput;
+
+  if (topics.length === 0) {
+    const bytesPerSecond = domainInput.messagesPerSecond * domainInput.avgMessageSize;
+    // The profile's key count is per topic
+    const { mode, bytes } = retainedBytes(
+      { ...domainInput, keyCardinality: domainInput.keyCardinality * domainInput.topicsCount },
+      bytesPerSecond,
+      retentionHorizonMonths
+    );
+    return {
+      messagesPerSecond: domainInput.messagesPerSecond,
+      bytesPerSecond,
+      retainedBytes: bytes,
+      retainedBytesByMode: { ...noStorage(), [mode]: bytes },
+      partitions: domainInput.topicsCount * domainInput.partitionsPerTopic,
+      topics: domainInput.topicsCount
+    };
+  }
+
+  return topics.reduce((workload, topic) => {
+    const bytesPerSecond = topic.messagesPerSecond * topic.avgMessageSize;
+    const { mode, bytes } = retainedBytes(topic, bytesPerSecond, retentionHorizonMonths);
+    return {
+      messagesPerSecond: workload.messagesPerSecond + topic.messagesPerSecond,
+      bytesPerSecond: workload.bytesPerSecond + bytesPerSecond,
+      retainedBytes: workload.retainedBytes + bytes,
+      retainedBytesByMode: { ...workload.retainedBytesByMode, [mode]: workload.retainedBytesByMode[mode] + bytes },
+      partitions: workload.partitions + topic.partitions,
+      topics: workload.topics + 1
+    };
+  }, { messagesPerSecond: 0, bytesPerSecond: 0, retainedBytes: 0, retainedBytesByMode: noStorage(), partitions: 0, topics: 0 });
+};
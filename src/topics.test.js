@@ -0,0 +1,139 @@
+import {
+  buildTopicCatalogue,
+  buildTopicName,
+  createDefaultTopicTypes,
+  createTopic,
+  generateTopics,
+  normalizeTopicTypes,
+  summarizeWorkload,
+  updateTopicType
+} from './topics';
+import { createDefaultInputs, sizeDomainEnvironment } from './sizing';
+import { BUSINESS_DOMAINS } from './constants';
+
+describe('buildTopicName', () => {
+  test('follows {domain}.{subdomain}.{type}.v{version}', () => {
+    expect(buildTopicName('hols', 'booking', 'events', 2)).toBe('hols.booking.events.v2');
+  });
+});
+
+describe('generateTopics', () => {
+  test('creates an events and commands topic per subdomain', () => {
+    const domainInput = createDefaultInputs().hols;
+    const topics = generateTopics('hols', BUSINESS_DOMAINS.hols.subdomains, domainInput);
+
+    expect(topics).toHaveLength(16);
+    expect(topics[0]).toEqual({
+      name: 'hols.search_compare.events.v1',
+      subdomain: 'search_compare',
+      type: 'events',
+      version: 1,
+      messagesPerSecond: 63,
+      avgMessageSize: 1024,
+      partitions: 6,
+      retentionDays: 7,
+      cleanupPolicy: 'delete',
+      infiniteRetention: false,
+      keyCardinality: 10000
+    });
+  });
+});
+
+describe('topic types', () => {
+  test('build the catalogue from the enabled types and their settings', () => {
+    let topicTypes = updateTopicType(createDefaultTopicTypes(), 'commands', { enabled: false });
+    topicTypes = updateTopicType(topicTypes, 'state', { enabled: true });
+    const catalogue = buildTopicCatalogue('hols', ['booking', 'payment'], topicTypes);
+
+    expect(catalogue.map(entry => entry.name)).toEqual([
+      'hols.booking.events.v1',
+      'hols.booking.state.v1',
+      'hols.payment.events.v1',
+      'hols.payment.state.v1'
+    ]);
+    expect(catalogue[1]).toMatchObject({ type: 'state', partitions: 6, cleanupPolicy: 'compact' });
+  });
+
+  test('give generated topics their type settings', () => {
+    const topicTypes = updateTopicType(createDefaultTopicTypes(), 'dlq', { enabled: true });
+    const topics = generateTopics('hols', ['booking'], createDefaultInputs().hols, topicTypes);
+
+    expect(topics.map(topic => topic.type)).toEqual(['events', 'commands', 'dlq']);
+    expect(topics[2]).toMatchObject({ name: 'hols.booking.dlq.v1', partitions: 1, retentionDays: 14, messagesPerSecond: 333 });
+  });
+
+  test('fill in types and settings missing from saved data', () => {
+    const topicTypes = normalizeTopicTypes([{ key: 'retry', enabled: true, partitions: -1 }, { key: 'audit' }]);
+
+    expect(topicTypes.map(type => type.key)).toEqual(['events', 'commands', 'state', 'dlq', 'retry', 'changelog']);
+    expect(topicTypes[4]).toEqual({ key: 'retry', label: 'Retry', enabled: true, partitions: 3, retentionDays: 3, cleanupPolicy: 'delete' });
+    expect(normalizeTopicTypes(undefined)).toEqual(createDefaultTopicTypes());
+  });
+});
+
+describe('summarizeWorkload', () => {
+  test('uses the domain profile when there is no topic inventory', () => {
+    const domainInput = createDefaultInputs().corp;
+
+    expect(summarizeWorkload(domainInput)).toEqual({
+      messagesPerSecond: 1000,
+      bytesPerSecond: 1024000,
+      retainedBytes: 1024000 * 7 * 86400,
+      retainedBytesByMode: { delete: 1024000 * 7 * 86400, infinite: 0, compact: 0 },
+      partitions: 48,
+      topics: 8
+    });
+  });
+
+  test('sums the topic inventory, honouring each topic retention', () => {
+    const profile = { messagesPerSecond: 100, avgMessageSize: 1000, partitions: 12, retentionDays: 1 };
+    const domainInput = {
+      ...createDefaultInputs().hols,
+      topics: [
+        createTopic('hols', 'booking', 'events', 1, profile),
+        createTopic('hols', 'notification', 'events', 1, { ...profile, messagesPerSecond: 50, retentionDays: 30 })
+      ]
+    };
+
+    expect(summarizeWorkload(domainInput)).toEqual({
+      messagesPerSecond: 150,
+      bytesPerSecond: 150000,
+      retainedBytes: (100000 * 1 + 50000 * 30) * 86400,
+      retainedBytesByMode: { delete: (100000 * 1 + 50000 * 30) * 86400, infinite: 0, compact: 0 },
+      partitions: 24,
+      topics: 2
+    });
+  });
+
+  test('splits retained bytes by storage mode', () => {
+    const profile = { messagesPerSecond: 100, avgMessageSize: 1000, partitions: 6, retentionDays: 7, keyCardinality: 5000 };
+    const domainInput = {
+      ...createDefaultInputs().hols,
+      retentionHorizonMonths: 12,
+      topics: [
+        createTopic('hols', 'booking', 'events', 1, profile),
+        createTopic('hols', 'booking', 'commands', 1, { ...profile, infiniteRetention: true }),
+        createTopic('hols', 'payment', 'events', 1, { ...profile, cleanupPolicy: 'compact', infiniteRetention: true })
+      ]
+    };
+
+    expect(summarizeWorkload(domainInput).retainedBytesByMode).toEqual({
+      delete: 100000 * 7 * 86400,
+      infinite: 100000 * 365 * 86400,
+      compact: 5000 * 1000
+    });
+  });
+
+  test('drives domain sizing from the topics', () => {
+    const domainInput = createDefaultInputs().hols;
+    const fromProfile = sizeDomainEnvironment(domainInput, 'prd');
+    const fromTopics = sizeDomainEnvironment({
+      ...domainInput,
+      topics: generateTopics('hols', BUSINESS_DOMAINS.hols.subdomains, domainInput)
+    }, 'prd');
+
+    expect(fromTopics.topics).toBe(fromProfile.topics);
+    expect(fromTopics.partitions).toBe(fromProfile.partitions);
+    expect(fromTopics.messagesPerSecond).toBe(16 * 63);
+  });
+});
@@ -0,0 +1,93 @@
+import { resolveClusterMode } from './environments';
+
+// Named clusters, each in one environment and holding some of its domains.
+// Domain/environment pairs outside every named cluster follow the
+// environment's cluster mode.
+export const createDefaultTopology = () => ({ clusters: [] });
+
+export const createClusterId = () =>
+  `cl-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+// Fill in anything missing from a saved topology
+export const normalizeTopology = topology => ({
+  clusters: (Array.isArray(topology?.clusters) ? topology.clusters : [])
+    .filter(cluster => cluster && cluster.id && cluster.env)
+    .map(cluster => ({
+      id: cluster.id,
+      name: cluster.name || cluster.id,
+      env: cluster.env,
+      domains: Array.isArray(cluster.domains) ? cluster.domains : []
+    }))
+});
+
+export const validateClusterName = (topology, name, currentId = null) => {
+  if (!name.trim()) return 'Give the cluster a name';
+  if (topology.clusters.some(cluster => cluster.id !== currentId && cluster.name === name.trim())) {
+    return `A cluster called "${name.trim()}" already exists`;
+  }
+  return null;
+};
+
+export const addCluster = (topology, env, name, id = createClusterId()) => ({
+  clusters: [...topology.clusters, { id, name: name.trim(), env, domains: [] }]
+});
+
+export const renameCluster = (topology, id, name) => ({
+  clusters: topology.clusters.map(cluster => (cluster.id === id ? { ...cluster, name } : cluster))
+});
+
+export const removeCluster = (topology, id) => ({
+  clusters: topology.clusters.filter(cluster => cluster.id !== id)
+});
+
+// Drop the named clusters of an environment that no longer exists
+export const removeEnvironmentClusters = (topology, env) => ({
+  clusters: topology.clusters.filter(cluster => cluster.env !== env)
+});
+
+// Move a domain into a named cluster of the environment, or back to the
+// environment default when clusterId is null
+export const assignDomain = (topology, env, domain, clusterId) => ({
+  clusters: topology.clusters.map(cluster => {
+    if (cluster.env !== env) return cluster;
+    const domains = cluster.domains.filter(code => code !== domain);
+    return { ...cluster, domains: cluster.id === clusterId ? [...domains, domain] : domains };
+  })
+});
+
+// The named cluster a domain is assigned to in an environment, if any
+export const findAssignedCluster = (topology, env, domain) =>
+  topology.clusters.find(cluster => cluster.env === env && cluster.domains.includes(domain));
+
+// Map every sized domain/environment pair to a cluster. Returns the
+// assignments (domain -> env -> cluster id) and each cluster's identity.
+export const resolveClusters = (results, clusterMode, environments, topology = createDefaultTopology()) => {
+  const assignments = {};
+  const clusters = {};
+
+  Object.keys(results).forEach(domain => {
+    assignments[domain] = {};
+    Object.keys(results[domain]).forEach(env => {
+      const environment = environments.find(candidate => candidate.key === env);
+      const named = findAssignedCluster(topology, env, domain);
+      let cluster;
+      if (named) {
+        cluster = { id: named.id, name: named.name, env, kind: 'named' };
+      } else if (resolveClusterMode(environment, clusterMode) === 'single') {
+        cluster = { id: env, name: `${environment?.label || env} shared`, env, kind: 'shared' };
+      } else {
+        cluster = { id: `${domain}.${env}`, name: `${domain.toUpperCase()} ${environment?.label || env}`, env, kind: 'domain' };
+      }
+      assignments[domain][env] = cluster.id;
+      clusters[cluster.id] = cluster;
+    });
+  });
+
+  return { assignments, clusters };
+};
+
+// Sized clusters grouped by environment in configured order, then by name
+export const orderClusters = (clusters, environments) => {
+  const order = env => environments.findIndex(environment => environment.key === env);
+  return Object.values(clusters).sort((a, b) => order(a.env) - order(b.env) || a.name.localeCompare(b.name));
+};
@@ -0,0 +1,46 @@
+import {
+  addCluster,
+  assignDomain,
+  createDefaultTopology,
+  findAssignedCluster,
+  normalizeTopology,
+  orderClusters,
+  removeEnvironmentClusters,
+  resolveClusters,
+  validateClusterName
+} from './topology';
+import { createDefaultEnvironments, updateEnvironment } from './environments';
+
+describe('topology', () => {
+  test('add clusters and move domains between them', () => {
+    let topology = addCluster(createDefaultTopology(), 'prd', 'Core', 'core');
+    topology = addCluster(topology, 'prd', 'Edge', 'edge');
+    topology = assignDomain(topology, 'prd', 'cust', 'core');
+    topology = assignDomain(topology, 'prd', 'cust', 'edge');
+
+    expect(findAssignedCluster(topology, 'prd', 'cust').id).toBe('edge');
+    expect(topology.clusters[0].domains).toEqual([]);
+    expect(findAssignedCluster(assignDomain(topology, 'prd', 'cust', null), 'prd', 'cust')).toBeUndefined();
+    expect(validateClusterName(topology, ' Core ')).toBe('A cluster called "Core" already exists');
+    expect(validateClusterName(topology, 'Core', 'core')).toBeNull();
+    expect(removeEnvironmentClusters(topology, 'prd')).toEqual(createDefaultTopology());
+  });
+
+  test('fall back to each environment cluster mode outside named clusters', () => {
+    const environments = updateEnvironment(createDefaultEnvironments(), 'dev', { clusterMode: 'single' });
+    const topology = { clusters: [{ id: 'core', name: 'Core', env: 'prd', domains: ['cust'] }] };
+    const results = { cust: { dev: {}, prd: {} }, comm: { dev: {}, prd: {} } };
+    const { assignments, clusters } = resolveClusters(results, 'domain', environments, topology);
+
+    expect(assignments.cust).toEqual({ dev: 'dev', prd: 'core' });
+    expect(assignments.comm).toEqual({ dev: 'dev', prd: 'comm.prd' });
+    expect(clusters.dev).toMatchObject({ name: 'Development shared', kind: 'shared' });
+    expect(orderClusters(clusters, environments).map(cluster => cluster.id)).toEqual(['dev', 'comm.prd', 'core']);
+  });
+
+  test('drop malformed clusters from a saved topology', () => {
+    expect(normalizeTopology({ clusters: [{ id: 'a', env: 'prd' }, { name: 'No id' }] }))
+      .toEqual({ clusters: [{ id: 'a', name: 'a', env: 'prd', domains: [] }] });
+    expect(normalizeTopology(undefined)).toEqual(createDefaultTopology());
+  });
+});
@@ -0,0 +1,83 @@
+import { DEFAULT_NETWORKING } from './constants';
+import { createDefaultEnvironments } from './environments';
+import { createDefaultTopology } from './topology';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+import { sizeEstate } from './sizing';
+import { scaleDomainInput } from './forecast';
+
+// Estate-wide multipliers for trying out changes without touching the plan
+export const WHAT_IF_FACTORS = [
+  { key: 'throughput', label: 'Throughput', min: 0.25, max: 4, step: 0.05 },
+  { key: 'messageSize', label: 'Message size', min: 0.25, max: 4, step: 0.05 },
+  { key: 'retention', label: 'Retention', min: 0.1, max: 4, step: 0.05 },
+  { key: 'replication', label: 'Replication', min: 0.34, max: 2, step: 0.01 }
+];
+
+// Swings the sensitivity analysis can move each factor by, either way
+export const SENSITIVITY_SWINGS = [0.1, 0.2, 0.5];
+
+export const createDefaultWhatIf = () => Object.fromEntries(WHAT_IF_FACTORS.map(({ key }) => [key, 1]));
+
+export const isWhatIfNeutral = whatIf => WHAT_IF_FACTORS.every(({ key }) => whatIf[key] === 1);
+
+// Replication factors stay whole numbers of copies
+const scaleReplication = (replicationFactor, factor) => Math.max(1, Math.round(replicationFactor * factor));
+
+const scaleOverride = (value, scale) => (value ? scale(value) : value);
+
+// Apply the multipliers to every domain, topic and environment override. The
+// inputs passed in are left as they are.
+export const applyWhatIf = (inputs, environments, whatIf) => {
+  const adjustedInputs = Object.fromEntries(Object.entries(inputs).map(([domain, domainInput]) => {
+    const scaled = scaleDomainInput(domainInput, whatIf.throughput);
+    return [domain, {
+      ...scaled,
+      avgMessageSize: scaled.avgMessageSize * whatIf.messageSize,
+      retentionDays: scaled.retentionDays * whatIf.retention,
+      replicationFactor: scaleReplication(scaled.replicationFactor, whatIf.replication),
+      topics: scaled.topics.map(topic => ({
+        ...topic,
+        avgMessageSize: topic.avgMessageSize * whatIf.messageSize,
+        retentionDays: topic.retentionDays * whatIf.retention
+      }))
+    }];
+  }));
+
+  const adjustedEnvironments = environments.map(environment => ({
+    ...environment,
+    retentionDays: scaleOverride(environment.retentionDays, days => days * whatIf.retention),
+    replicationFactor: scaleOverride(environment.replicationFactor, copies => scaleReplication(copies, whatIf.replication))
+  }));
+
+  return { inputs: adjustedInputs, environments: adjustedEnvironments };
+};
+
+// Size the estate with the multipliers applied
+export const sizeWhatIf = ({
+  inputs,
+  clusterMode = 'single',
+  pricing = DEFAULT_PRICE_BOOK,
+  networking = DEFAULT_NETWORKING,
+  environments = createDefaultEnvironments(),
+  topology = createDefaultTopology(),
+  whatIf = createDefaultWhatIf()
+}) => {
+  const adjusted = applyWhatIf(inputs, environments, whatIf);
+  return sizeEstate({ inputs: adjusted.inputs, clusterMode, pricing, networking, environments: adjusted.environments, topology });
+};
+
+// Monthly total when each factor alone moves down and up by the swing from
+// the current what-if, ranked by how far the total moves
+export const analyseSensitivity = ({ whatIf = createDefaultWhatIf(), swing = 0.2, ...estate }) => {
+  const baseline = sizeWhatIf({ ...estate, whatIf }).totals.totalCost;
+  const totalWith = (key, multiplier) =>
+    sizeWhatIf({ ...estate, whatIf: { ...whatIf, [key]: whatIf[key] * multiplier } }).totals.totalCost;
+
+  const factors = WHAT_IF_FACTORS.map(({ key, label }) => {
+    const lowCost = totalWith(key, 1 - swing);
+    const highCost = totalWith(key, 1 + swing);
+    return { key, label, lowCost, highCost, range: Math.abs(highCost - lowCost) };
+  }).sort((a, b) => b.range - a.range);
+
+  return { baseline, swing, factors };
+};
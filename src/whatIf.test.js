@@ -0,0 +1,41 @@
+import { analyseSensitivity, applyWhatIf, createDefaultWhatIf, sizeWhatIf } from './whatIf';
+import { createDefaultInputs, sizeEstate } from './sizing';
+import { createDefaultEnvironments, updateEnvironment } from './environments';
+import { createTopic } from './topics';
+import { DEFAULT_PRICE_BOOK } from './pricing';
+
+describe('what-if', () => {
+  test('scales every domain, topic and environment override without changing the plan', () => {
+    const inputs = createDefaultInputs();
+    inputs.hols.topics = [createTopic('hols', 'booking', 'events', 1, { messagesPerSecond: 100, avgMessageSize: 500, partitions: 6, retentionDays: 10 })];
+    const environments = updateEnvironment(createDefaultEnvironments(), 'dev', { retentionDays: 2, replicationFactor: 2 });
+    const whatIf = { throughput: 2, messageSize: 0.5, retention: 0.3, replication: 0.7 };
+
+    const adjusted = applyWhatIf(inputs, environments, whatIf);
+
+    expect(adjusted.inputs.cust).toMatchObject({ messagesPerSecond: 2000, avgMessageSize: 512, retentionDays: 2.1, replicationFactor: 2 });
+    expect(adjusted.inputs.hols.topics[0]).toMatchObject({ messagesPerSecond: 200, avgMessageSize: 250, retentionDays: 3 });
+    expect(adjusted.environments[0]).toMatchObject({ retentionDays: 0.6, replicationFactor: 1 });
+    expect(adjusted.environments[3].retentionDays).toBeNull();
+    expect(inputs.cust.messagesPerSecond).toBe(1000);
+    expect(environments[0].retentionDays).toBe(2);
+  });
+
+  test('sizes the plan unchanged at the neutral multipliers', () => {
+    const inputs = createDefaultInputs();
+    expect(sizeWhatIf({ inputs }).totals.totalCost).toBe(sizeEstate({ inputs }).totals.totalCost);
+    expect(sizeWhatIf({ inputs, whatIf: { ...createDefaultWhatIf(), throughput: 3 } }).totals.totalCost)
+      .toBeGreaterThan(sizeEstate({ inputs }).totals.totalCost);
+  });
+
+  test('ranks inputs by how far they move the monthly total', () => {
+    const analysis = analyseSensitivity({ inputs: createDefaultInputs(), pricing: DEFAULT_PRICE_BOOK, swing: 0.5 });
+    const replication = analysis.factors.find(factor => factor.key === 'replication');
+
+    expect(analysis.factors.map(factor => factor.range)).toEqual([...analysis.factors.map(factor => factor.range)].sort((a, b) => b - a));
+    expect(analysis.factors[0].lowCost).toBeLessThan(analysis.baseline);
+    expect(analysis.factors[0].highCost).toBeGreaterThan(analysis.baseline);
+    // Logical billing stores one copy whatever the replication factor
+    expect(replication.range).toBe(0);
+  });
+});
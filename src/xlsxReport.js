@@ -0,0 +1,55 @@
+import ExcelJS from 'exceljs';
+import { CELL_FORMATS } from './report';
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF2563EB' } };
+
+// Write one table below the previous, with an optional title and totals row
+const writeTable = (worksheet, table) => {
+  if (table.title) {
+    worksheet.addRow([table.title]).font = { bold: true, size: 12 };
+  }
+
+  const header = worksheet.addRow(table.columns.map(column => column.header));
+  header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+  header.eachCell(cell => { cell.fill = HEADER_FILL; });
+
+  const addRow = values => {
+    const row = worksheet.addRow(values);
+    table.columns.forEach((column, index) => {
+      const cell = row.getCell(index + 1);
+      if (CELL_FORMATS[column.format] && typeof cell.value === 'number') {
+        cell.numFmt = CELL_FORMATS[column.format];
+      }
+    });
+    return row;
+  };
+
+  table.rows.forEach(addRow);
+  if (table.totals) addRow(table.totals).font = { bold: true };
+  worksheet.addRow([]);
+};
+
+// Render a workbook from buildWorkbook to an .xlsx blob
+export const renderWorkbook = async model => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Confluent Cloud Kafka Sizing Calculator';
+  workbook.created = new Date();
+
+  model.sheets.forEach(sheet => {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    sheet.tables.forEach(table => writeTable(worksheet, table));
+
+    // Size each column for the widest table that uses it
+    sheet.tables.forEach(table => {
+      table.columns.forEach((column, index) => {
+        const sheetColumn = worksheet.getColumn(index + 1);
+        sheetColumn.width = Math.max(sheetColumn.width || 0, column.width);
+      });
+    });
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], { type: XLSX_MIME_TYPE });
+};